@@ -1,66 +1,121 @@
-import { runReplicateModel } from './replicateService.js';
-import sharp from 'sharp';
+import { runModelWithFallbacks } from './providers/index.js';
+import { resolveModelRequest, getImageInputLimits } from './modelRegistry.js';
+import { preprocessImage } from './imagePreprocessing.js';
+import { renderPlacementMask } from './tattooMask.js';
+import { createApiError } from './errorHandling.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
-const model = "black-forest-labs/flux-fill-pro";
-
 /**
- * Normalizes image by removing EXIF data and correcting orientation.
- * @param {string} base64Image - A base64 encoded image string
- * @returns {Promise<string>} A normalized base64 image string
+ * Prepares the photo and its mask for the model: an uploaded mask is scaled to the photo,
+ * a placement is drawn at the photo's size (see tattooMask.js)
  */
-async function normalizeImageExif(base64Image) {
-    try {
-        const base64Data = base64Image.replace(/^data:image\/[^;]+;base64,/, '');
-        const buffer = Buffer.from(base64Data, 'base64');
-
-        const processedBuffer = await sharp(buffer)
-            .rotate()
-            .toBuffer();
-
-        const normalizedBase64 = processedBuffer.toString('base64');
-        return `data:image/jpeg;base64,${normalizedBase64}`;
-    } catch (error) {
-        console.error('Error normalizing EXIF data:', error);
-        return base64Image;
+async function prepareTattooInputs(originalPhotoBase64, mask) {
+    const limits = getImageInputLimits('add-tattoo');
+    const photo = await preprocessImage(originalPhotoBase64, { ...limits, field: 'originalPhoto' });
+    const { original, result } = photo.report;
+
+    if (typeof mask === 'object') {
+        const rendered = await renderPlacementMask(mask, original, result);
+
+        return {
+            photo,
+            mask: {
+                dataUrl: rendered.dataUrl,
+                report: {
+                    field: 'placement',
+                    original: null,
+                    result: { format: 'png', width: rendered.width, height: rendered.height },
+                    changes: ['generated'],
+                },
+            },
+        };
     }
+
+    // The mask must line up with the photo pixel for pixel, and stays lossless
+    return {
+        photo,
+        mask: await preprocessImage(mask, {
+            ...limits,
+            field: 'resizedImage',
+            format: 'png',
+            size: { width: result.width, height: result.height }
+        }),
+    };
 }
 
 /**
- * Adds a tattoo design to a photo using Replicate's flux-fill-pro model.
- * Errors are handled by replicateService and global error handler.
+ * Builds the mask a placement makes for a photo, exactly as a generation would send it
+ * to the model, without running the model.
+ * 
+ * @param {string} originalPhotoBase64 - The body/person photo
+ * @param {object} placement - From parsePlacement
+ * @returns {Promise<{mask: string, width: number, height: number, photo: object}>} The mask as a
+ *   PNG data URL, its size and the photo's preprocessing report
+ */
+export async function previewTattooMask(originalPhotoBase64, placement) {
+    const { photo, mask } = await prepareTattooInputs(originalPhotoBase64, placement);
+
+    return {
+        mask: mask.dataUrl,
+        width: mask.report.result.width,
+        height: mask.report.result.height,
+        photo: photo.report
+    };
+}
+
+/**
+ * Builds the inpainting request for a tattoo without running the model.
+ * Shared by the blocking route and async jobs.
  * 
  * @param {string} prompt - The tattoo design description
  * @param {string} originalPhotoBase64 - The body/person photo
- * @param {string} resizedImageBase64 - The tattoo mask
- * @returns {Promise<string>} The resulting image URL
- * @throws Will throw NSFW_BLOCKED or GENERATION_FAILED on error
+ * @param {string|object} mask - The tattoo mask, or a placement to build it from (see parsePlacement)
+ * @param {object} [parameters] - Client parameters (steps, guidance, ...) allowed by the model registry
+ * @returns {Promise<{provider: string, model: string, input: object, fallbacks: object[], preprocessing: object[]}>}
+ *   The model request, with what preprocessing changed in the photo and mask
  */
-export async function addTattoo(prompt, originalPhotoBase64, resizedImageBase64) { 
-    if (!prompt || !originalPhotoBase64 || !resizedImageBase64) {
-        throw new Error('Prompt, image data, or mask data is missing for image generation.');
+export async function prepareAddTattoo(prompt, originalPhotoBase64, mask, parameters = {}) {
+    if (!prompt) {
+        throw createApiError(400, 'PROMPT_REQUIRED');
+    }
+
+    if (!originalPhotoBase64 || !mask) {
+        throw createApiError(400, 'TATTOO_IMAGES_REQUIRED');
     }
 
-    console.log('Normalizing EXIF data for original photo and mask...');
-    const normalizedOriginalPhoto = await normalizeImageExif(originalPhotoBase64);
-    const normalizedMask = await normalizeImageExif(resizedImageBase64);
-
-    const input = {
-        image: normalizedOriginalPhoto, 
-        mask: normalizedMask, 
-        prompt: prompt,
-        steps: 50,
-        guidance: 60,
-        outpaint: "None",
-        output_format: "jpg",
-        safety_tolerance: 2,
-        prompt_upsampling: false
+    console.log('Preprocessing original photo and mask...');
+    const inputs = await prepareTattooInputs(originalPhotoBase64, mask);
+
+    return {
+        ...resolveModelRequest('add-tattoo', parameters, {
+            image: inputs.photo.dataUrl, 
+            mask: inputs.mask.dataUrl, 
+            prompt: prompt
+        }),
+        preprocessing: [inputs.photo.report, inputs.mask.report]
     };
+}
+
+/**
+ * Adds a tattoo design to a photo using the registry's add-tattoo model (flux-fill-pro by default),
+ * or its fallbacks if it fails. Errors are handled by the provider layer and global error handler.
+ * 
+ * @param {string} prompt - The tattoo design description
+ * @param {string} originalPhotoBase64 - The body/person photo
+ * @param {string|object} mask - The tattoo mask, or a placement to build it from (see parsePlacement)
+ * @param {object} [parameters] - Client parameters allowed by the model registry
+ * @param {object} [runOptions] - { signal, deadline } for the model call (see generationDeadlineMiddleware.js)
+ * @returns {Promise<{imageUrl: string, model: string, preprocessing: object[]}>} The resulting image URL,
+ *   the model that made it and what preprocessing changed in the inputs
+ * @throws Will throw NSFW_BLOCKED, GENERATION_FAILED or GENERATION_TIMEOUT on error
+ */
+export async function addTattoo(prompt, originalPhotoBase64, mask, parameters = {}, runOptions = {}) { 
+    const request = await prepareAddTattoo(prompt, originalPhotoBase64, mask, parameters);
 
-    // Use the service layer - handles NSFW and generation errors
-    const output = await runReplicateModel(model, input);
+    // Use the service layer - handles NSFW and generation errors and fallbacks
+    const { output, model } = await runModelWithFallbacks(request, runOptions);
 
     let imageUrl = null;
 
@@ -88,5 +143,5 @@ export async function addTattoo(prompt, originalPhotoBase64, resizedImageBase64)
     }
 
     console.log('Image generation done. Output URL:', imageUrl);
-    return imageUrl;
+    return { imageUrl, model, preprocessing: request.preprocessing };
 }
\ No newline at end of file
@@ -0,0 +1,160 @@
+import admin from 'firebase-admin';
+import crypto from 'crypto';
+import { sendError, createApiError } from './errorHandling.js';
+
+/**
+ * AUTH_MODE controls how callers identify themselves:
+ * - "strict": a Firebase ID token is required
+ * - "transition" (default): a token is preferred, but the legacy userId body field
+ *   is still accepted on generation requests, with a deprecation warning
+ */
+const getAuthMode = () => (process.env.AUTH_MODE === 'strict' ? 'strict' : 'transition');
+
+const DEPRECATION_WARNING =
+  '299 - "Identifying with userId is deprecated; send a Firebase ID token in the Authorization header"';
+
+/**
+ * Read the ID token from "Authorization: Bearer <token>", or from ?access_token= on
+ * routes that allow it (see acceptQueryToken). Tokens in URLs end up in access logs,
+ * proxy logs and Referer headers, so no other route reads them.
+ */
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme === 'Bearer' && token) return token;
+  return (req.acceptQueryToken && req.query?.access_token) || null;
+};
+
+/**
+ * Middleware for EventSource streams, which can't set headers: lets the ID token come
+ * as ?access_token=. Place before authenticateUser or authenticateOptional.
+ */
+export const acceptQueryToken = (req, res, next) => {
+  req.acceptQueryToken = true;
+  next();
+};
+
+/**
+ * Map a verified token to the RevenueCat app user ID that isUserSubscribed expects.
+ * By default the app logs into RevenueCat with the Firebase UID; set
+ * REVENUECAT_APP_USER_ID_CLAIM to read it from a custom claim instead.
+ */
+export const resolveAppUserId = (decodedToken) => {
+  const claim = process.env.REVENUECAT_APP_USER_ID_CLAIM;
+  return (claim && decodedToken[claim]) || decodedToken.uid;
+};
+
+// Methods of the generation requests old clients send userId with
+const LEGACY_METHODS = ['POST', 'PUT', 'PATCH'];
+
+/**
+ * The legacy userId, read only from the body of generation requests. Reads and
+ * deletes (GET, DELETE) and /users/:userId routes always need a token: there the
+ * ID names the account being accessed, so accepting it would let anyone in.
+ */
+const getLegacyUserId = (req) => {
+  if (!LEGACY_METHODS.includes(req.method) || req.params?.userId !== undefined) {
+    return null;
+  }
+
+  return req.body?.userId || null;
+};
+
+const unauthenticated = (req, res, messageKey) =>
+  sendError(req, res, createApiError(401, 'UNAUTHENTICATED', { messageKey }));
+
+/**
+ * Identify the caller and set req.userId (the RevenueCat app user ID),
+ * req.authUid (Firebase UID, token auth only) and req.authMethod ("token" | "legacy").
+ * Place after multer on multipart routes so legacy body fields are parsed.
+ */
+const identifyUser = async (req, res, { optional }) => {
+  const token = getBearerToken(req);
+
+  if (token) {
+    try {
+      const decodedToken = await admin.auth().verifyIdToken(token);
+      req.userId = resolveAppUserId(decodedToken);
+      req.authUid = decodedToken.uid;
+      req.authMethod = 'token';
+
+      const legacyUserId = getLegacyUserId(req);
+      if (legacyUserId && legacyUserId !== req.userId) {
+        console.warn(`⚠️ Ignoring userId ${legacyUserId} in favor of token user ${req.userId}`);
+      }
+
+      return true;
+    } catch (error) {
+      console.warn('⚠️ Invalid Firebase ID token:', error.code || error.message);
+      unauthenticated(req, res, 'SESSION_EXPIRED');
+      return false;
+    }
+  }
+
+  const legacyUserId = getLegacyUserId(req);
+
+  if (legacyUserId && getAuthMode() === 'transition') {
+    console.warn('⚠️ Deprecated userId authentication for:', legacyUserId);
+    res.set('Deprecation', 'true');
+    res.set('Warning', DEPRECATION_WARNING);
+    req.userId = legacyUserId;
+    req.authMethod = 'legacy';
+    return true;
+  }
+
+  if (optional) {
+    return true;
+  }
+
+  unauthenticated(req, res, 'UNAUTHENTICATED');
+  return false;
+};
+
+/**
+ * Middleware that requires an authenticated user
+ */
+export const authenticateUser = async (req, res, next) => {
+  if (await identifyUser(req, res, { optional: false })) {
+    next();
+  }
+};
+
+/**
+ * Middleware that identifies the user when credentials are sent, but lets
+ * anonymous requests through (e.g. polling a bg-removal job)
+ */
+export const authenticateOptional = async (req, res, next) => {
+  if (await identifyUser(req, res, { optional: true })) {
+    next();
+  }
+};
+
+/**
+ * Middleware for /users/:userId style routes: the caller may only access their own data
+ */
+export const requireSameUser = (req, res, next) => {
+  if (req.params.userId !== req.userId) {
+    return sendError(req, res, createApiError(403, 'FORBIDDEN'));
+  }
+
+  next();
+};
+
+/**
+ * Middleware for operator endpoints: requires the ADMIN_API_KEY in the X-Admin-Key header
+ */
+export const requireAdmin = (req, res, next) => {
+  const expected = process.env.ADMIN_API_KEY;
+  const received = req.headers['x-admin-key'];
+
+  const valid = expected && received &&
+    Buffer.byteLength(received) === Buffer.byteLength(expected) &&
+    crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+
+  if (!valid) {
+    return sendError(req, res, createApiError(403, 'FORBIDDEN', { messageKey: 'ADMIN_REQUIRED' }));
+  }
+
+  next();
+};
@@ -1,70 +1,21 @@
-import Replicate from 'replicate';
-import sharp from 'sharp';
-import dotenv from 'dotenv';
+import { runModelWithFallbacks } from './providers/index.js';
+import { resolveModelRequest, getImageInputLimits } from './modelRegistry.js';
+import { preprocessImage, preprocessImages } from './imagePreprocessing.js';
 
-dotenv.config();
-
-// Initialize Replicate once
-const replicate = new Replicate({
-    auth: process.env.REPLICATE_API_TOKEN,
-});
-
-const model = "google/nano-banana";
-
-/**
- * Normalizes image by removing EXIF data and correcting orientation.
- * This prevents unexpected rotations from auto-orienting.
- * @param {string} base64Image - A base64 encoded image string
- * @returns {Promise<string>} A normalized base64 image string
- */
-async function normalizeImageExif(base64Image) {
-    try {
-        // Remove 'data:image/jpeg;base64,' or similar prefix if present
-        const base64Data = base64Image.replace(/^data:image\/[^;]+;base64,/, '');
-        
-        // Convert base64 to buffer
-        const buffer = Buffer.from(base64Data, 'base64');
-
-        // Use sharp to:
-        // 1. Auto-orient the image based on EXIF data
-        // 2. Remove all EXIF metadata
-        // 3. Convert back to base64
-        const processedBuffer = await sharp(buffer)
-            .rotate() // Auto-rotates based on EXIF orientation, then removes EXIF
-            .toBuffer();
-
-        // Convert back to base64
-        const normalizedBase64 = processedBuffer.toString('base64');
-        
-        // Return with proper data URI prefix
-        return `data:image/jpeg;base64,${normalizedBase64}`;
-    } catch (error) {
-        console.error('Error normalizing EXIF data:', error);
-        // If normalization fails, return the original image
-        return base64Image;
-    }
-}
+// Runs the back-in-time model from the registry (modelRegistry.js), with its fallbacks
+// and its retry and deadline policy
+const FEATURE = 'back-in-time';
 
 /**
- * Normalizes an array of base64 images
- * @param {string[]} imageArray - Array of base64 encoded images
- * @returns {Promise<string[]>} Array of normalized base64 images
+ * Builds the back-in-time request for prepared images, keeping their aspect ratio
+ * @param {string[]} images - Preprocessed data URLs
+ * @param {string} styleString - The prompt
  */
-async function normalizeImageArrayExif(imageArray) {
-    if (!imageArray || imageArray.length === 0) {
-        return imageArray;
-    }
-
-    try {
-        const normalizedImages = await Promise.all(
-            imageArray.map(img => normalizeImageExif(img))
-        );
-        return normalizedImages;
-    } catch (error) {
-        console.error('Error normalizing image array:', error);
-        return imageArray;
-    }
-}
+const buildRequest = (images, styleString) =>
+    resolveModelRequest(FEATURE, { aspect_ratio: 'match_input_image' }, {
+        image_input: images,
+        prompt: styleString
+    });
 
 /**
  * Extracts the image URL from various Replicate output formats.
@@ -108,13 +59,14 @@ function extractImageUrl(output) {
 }
 
 /**
- * Calls the Replicate API to style a single image.
+ * Runs the back-in-time model on a single image.
  * @param {string} base64Image - A single base64 encoded image.
  * @param {string} styleString - The prompt describing the desired style/transformation.
- * @returns {Promise<string>} The URL of the resulting styled image from Replicate.
+ * @param {object} [runOptions] - { signal, deadline } for the model call (the feature's deadline if omitted)
+ * @returns {Promise<string>} The URL of the resulting image.
  * @throws {Error} If image or style prompt is missing, or API call fails
  */
-async function styleSingleImage(base64Image, styleString) {
+async function styleSingleImage(base64Image, styleString, runOptions = {}) {
     if (!base64Image) {
         throw new Error('Image is required for styling.');
     }
@@ -123,20 +75,14 @@ async function styleSingleImage(base64Image, styleString) {
         throw new Error('Style prompt is required and must be a string.');
     }
 
-    console.log('Normalizing EXIF data for single image...');
-    // Normalize the image to prevent rotation issues
-    const normalizedImage = await normalizeImageExif(base64Image);
+    console.log('Preprocessing single image...');
+    // Orient, strip metadata and fit the image to the model's limits, keeping its format
+    const { dataUrl: normalizedImage } = await preprocessImage(base64Image, getImageInputLimits(FEATURE));
 
-    console.log('Running Replicate nano-banana model with 1 image...');
+    const request = buildRequest([normalizedImage], styleString);
+    console.log(`Running ${request.provider} model: ${request.model} with 1 image...`);
 
-    const output = await replicate.run(model, {
-        input: {
-            image_input: [normalizedImage],  // Single image in array
-            prompt: styleString,
-            aspect_ratio: "match_input_image",
-            output_format: "jpg"
-        }
-    });
+    const { output } = await runModelWithFallbacks(request, runOptions);
 
     const imageUrl = extractImageUrl(output);
     console.log('Single image processed successfully. Output URL:', imageUrl);
@@ -144,13 +90,14 @@ async function styleSingleImage(base64Image, styleString) {
 }
 
 /**
- * Calls the Replicate API to style/composite multiple images.
+ * Runs the back-in-time model on multiple images.
  * @param {string[]} imageArray - Array of base64 images (1 or 2 images).
  * @param {string} styleString - The prompt describing the desired style/composition.
- * @returns {Promise<string>} The URL of the resulting styled image from Replicate.
+ * @param {object} [runOptions] - { signal, deadline } for the model call (the feature's deadline if omitted)
+ * @returns {Promise<string>} The URL of the resulting image.
  * @throws {Error} If images or style prompt is missing, or API call fails
  */
-async function styleMultipleImages(imageArray, styleString) {
+async function styleMultipleImages(imageArray, styleString, runOptions = {}) {
     if (!imageArray || !Array.isArray(imageArray) || imageArray.length === 0) {
         throw new Error('At least one image is required for styling.');
     }
@@ -163,20 +110,14 @@ async function styleMultipleImages(imageArray, styleString) {
         throw new Error('Style prompt is required and must be a string.');
     }
 
-    console.log(`Normalizing EXIF data for ${imageArray.length} image(s)...`);
-    // Normalize all images to prevent rotation issues
-    const normalizedImages = await normalizeImageArrayExif(imageArray);
+    console.log(`Preprocessing ${imageArray.length} image(s)...`);
+    // Orient, strip metadata and fit the images to the model's limits, keeping their formats
+    const { dataUrls: normalizedImages } = await preprocessImages(imageArray, getImageInputLimits(FEATURE));
 
-    console.log(`Running Replicate nano-banana model with ${normalizedImages.length} image(s)...`);
+    const request = buildRequest(normalizedImages, styleString);
+    console.log(`Running ${request.provider} model: ${request.model} with ${normalizedImages.length} image(s)...`);
 
-    const output = await replicate.run(model, {
-        input: {
-            image_input: normalizedImages,  // Pass the array (1 or 2 images)
-            prompt: styleString,
-            aspect_ratio: "match_input_image",
-            output_format: "jpg"
-        }
-    });
+    const { output } = await runModelWithFallbacks(request, runOptions);
 
     const imageUrl = extractImageUrl(output);
     console.log(`${normalizedImages.length} image(s) processed successfully. Output URL:`, imageUrl);
@@ -184,14 +125,15 @@ async function styleMultipleImages(imageArray, styleString) {
 }
 
 /**
- * Calls the Replicate API to style/composite images (backward compatible).
+ * Runs the back-in-time model on one or more images (backward compatible).
  * Automatically routes to single or multiple image function based on input.
  * @param {string|string[]} imageInput - Either a base64 image string or array of base64 images.
  * @param {string} styleString - The prompt describing the desired style/composition.
- * @returns {Promise<string>} The URL of the resulting styled image from Replicate.
+ * @param {object} [runOptions] - { signal, deadline } for the model call (the feature's deadline if omitted)
+ * @returns {Promise<string>} The URL of the resulting image.
  * @throws {Error} If images or style prompt is missing, or API call fails
  */
-async function styleImage(imageInput, styleString) {
+async function styleImage(imageInput, styleString, runOptions = {}) {
     if (!imageInput) {
         throw new Error('At least one image is required for styling.');
     }
@@ -202,12 +144,12 @@ async function styleImage(imageInput, styleString) {
 
     // Handle single image (string input)
     if (typeof imageInput === 'string') {
-        return styleSingleImage(imageInput, styleString);
+        return styleSingleImage(imageInput, styleString, runOptions);
     }
 
     // Handle multiple images (array input)
     if (Array.isArray(imageInput)) {
-        return styleMultipleImages(imageInput, styleString);
+        return styleMultipleImages(imageInput, styleString, runOptions);
     }
 
     throw new Error('Image input must be a base64 string or array of base64 strings.');
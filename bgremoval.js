@@ -1,45 +1,13 @@
 /**
  * Background Removal Service
- * Uses unified replicateService for all Replicate error handling
+ * Runs on the feature's image provider (providers/index.js), which handles all errors
  * This keeps the code DRY and maintainable
  */
 
-import { runReplicateModel } from './replicateService.js';
-import sharp from 'sharp';
-
-const MODEL = 'recraft-ai/recraft-remove-background';
-
-/**
- * Normalizes image by removing EXIF data and correcting orientation.
- * This is specific to background removal to prevent rotation issues.
- * 
- * @param {string} base64Image - Base64 encoded image
- * @returns {Promise<string>} Normalized base64 image
- */
-async function normalizeImageExif(base64Image) {
-    try {
-        console.log('Normalizing image EXIF data...');
-        
-        // Remove data URI prefix if present
-        const base64Data = base64Image.replace(/^data:image\/[^;]+;base64,/, '');
-        
-        // Convert to buffer
-        const buffer = Buffer.from(base64Data, 'base64');
-
-        // Auto-rotate and remove EXIF data using sharp
-        const processedBuffer = await sharp(buffer)
-            .rotate()
-            .toBuffer();
-
-        // Convert back to base64 with prefix
-        return `data:image/jpeg;base64,${processedBuffer.toString('base64')}`;
-        
-    } catch (error) {
-        console.error('EXIF normalization failed, using original image:', error.message);
-        // Graceful fallback
-        return base64Image;
-    }
-}
+import { runModelWithFallbacks } from './providers/index.js';
+import { resolveModelRequest, getImageInputLimits } from './modelRegistry.js';
+import { preprocessImage } from './imagePreprocessing.js';
+import { createApiError } from './errorHandling.js';
 
 /**
  * Extracts image URL from Replicate response
@@ -179,31 +147,47 @@ function tryStringify(obj) {
 }
 
 /**
- * Removes background from an image using Replicate
- * 
- * Error handling is centralized in replicateService.js, so this function
- * focuses only on the model-specific logic (EXIF normalization and URL extraction)
+ * Builds the background removal request without running the model.
+ * Shared by the blocking route and async jobs.
  * 
  * @param {string} imageBase64 - Base64 encoded image
- * @returns {Promise<string>} URL of image with background removed
- * @throws {Error} NSFW_BLOCKED, PAYMENT_REQUIRED, or GENERATION_FAILED
+ * @returns {Promise<{provider: string, model: string, input: object, fallbacks: object[], preprocessing: object[]}>}
+ *   The model request, with what preprocessing changed in the image
+ * @throws {Error} 400 if the image is missing or unreadable
  */
-export const removeBackground = async (imageBase64) => {
+export const prepareRemoveBackground = async (imageBase64) => {
     if (!imageBase64) {
-        const error = new Error('Image data is required for background removal');
-        error.statusCode = 400;
-        throw error;
+        throw createApiError(400, 'IMAGE_REQUIRED', { params: { field: 'image' } });
     }
 
-    try {
-        console.log('Step 1: Normalizing image EXIF data');
-        const normalizedImage = await normalizeImageExif(imageBase64);
+    const { dataUrl, report } = await preprocessImage(imageBase64, { ...getImageInputLimits('bg-removal'), field: 'image' });
+
+    return {
+        ...resolveModelRequest('bg-removal', {}, { image: dataUrl }),
+        preprocessing: [report]
+    };
+};
+
+/**
+ * Removes background from an image using the bg-removal model
+ * 
+ * Error handling is centralized in the provider layer (providers/index.js), so this function
+ * focuses only on the model-specific logic (preprocessing and URL extraction)
+ * 
+ * @param {string} imageBase64 - Base64 encoded image
+ * @param {object} [runOptions] - { signal, deadline } for the model call (see generationDeadlineMiddleware.js)
+ * @returns {Promise<{imageUrl: string, model: string, preprocessing: object[]}>} URL of image with background removed,
+ *   the model that made it and what preprocessing changed in the input
+ * @throws {Error} NSFW_BLOCKED, PAYMENT_REQUIRED, GENERATION_FAILED or GENERATION_TIMEOUT
+ */
+export const removeBackground = async (imageBase64, runOptions = {}) => {
+    console.log('Step 1: Preprocessing image');
+    const request = await prepareRemoveBackground(imageBase64);
 
-        console.log('Step 2: Calling Replicate API');
-        // All error handling (402, NSFW, rate limit, etc) is handled by replicateService
-        const output = await runReplicateModel(MODEL, {
-            image: normalizedImage
-        });
+    try {
+        console.log('Step 2: Calling image provider');
+        // All error handling (402, NSFW, rate limit, etc) is handled by the provider
+        const { output, model } = await runModelWithFallbacks(request, runOptions);
 
         console.log('Step 3: Extracting URL from response');
         const imageUrl = extractImageUrl(output);
@@ -211,12 +195,12 @@ export const removeBackground = async (imageBase64) => {
         console.log('Step 4: Background removal complete');
         console.log('Result URL:', imageUrl);
         
-        return imageUrl;
+        return { imageUrl, model, preprocessing: request.preprocessing };
 
     } catch (error) {
         console.error('Background removal error:', error.message);
         
-        // Errors from runReplicateModel are already properly formatted
+        // Errors from the provider are already properly formatted
         // Just re-throw them
         throw error;
     }
@@ -0,0 +1,44 @@
+/**
+ * JSON configuration from environment variables
+ * Settings like PLAN_CONFIG or MODEL_REGISTRY are JSON objects merged over the
+ * module's defaults. Invalid JSON is logged and the defaults are used, so a typo in
+ * one setting doesn't stop the server.
+ */
+
+const cache = new Map();
+
+/**
+ * Read an environment variable as a JSON object, shallow-merged over `defaults`.
+ * Read once per process: the result of `build` is cached, so modules that derive
+ * something from their settings (deeper merges, compiled patterns) do it in `build`
+ * and keep no cache of their own:
+ *
+ *   const getVariants = () => loadJsonConfig('IMAGE_VARIANTS', { defaults: DEFAULT_VARIANTS });
+ *   const getRegistry = () => loadJsonConfig('MODEL_REGISTRY', { build: buildRegistry });
+ *
+ * @param {string} name - Environment variable, e.g. "PLAN_CONFIG"
+ * @param {object} [options]
+ * @param {object} [options.defaults] - Merged under the variable's settings
+ * @param {function(object): *} [options.build] - Turns the merged settings into what the module uses
+ * @returns {*} What `build` returned (the merged settings without it)
+ */
+export const loadJsonConfig = (name, { defaults = {}, build = (config) => config } = {}) => {
+  if (cache.has(name)) return cache.get(name);
+
+  let overrides = {};
+  if (process.env[name]) {
+    try {
+      overrides = JSON.parse(process.env[name]);
+      if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        throw new Error('expected an object');
+      }
+    } catch (error) {
+      console.error(`❌ ${name} is not valid JSON, using the defaults:`, error.message);
+      overrides = {};
+    }
+  }
+
+  const config = build({ ...defaults, ...overrides });
+  cache.set(name, config);
+  return config;
+};
@@ -0,0 +1,55 @@
+/**
+ * Credit Metering
+ * METERING_MODE selects how generations are limited:
+ * - "generations" (default): the tier's dailyLimit / monthlyLimit counters
+ * - "credits": each generation debits its cost from a credit balance that is
+ *   topped up to the tier's monthlyCredits at the start of each month
+ *
+ * Costs are set per feature, with optional per-parameter surcharges. Override the
+ * defaults with CREDIT_COSTS (JSON, merged over the defaults), e.g.
+ * {
+ *   "text-to-image": 2,
+ *   "back-in-time": { "base": 2, "parameters": { "size": { "4K": 3 } } }
+ * }
+ * A number is shorthand for { "base": n }. Surcharges are added to the base cost
+ * when the request's parameter has that value.
+ */
+
+import { loadJsonConfig } from './config.js';
+
+const DEFAULT_CREDIT_COSTS = {
+  'text-to-image': { base: 1 },
+  'style-image': { base: 2 },
+  'add-tattoo': { base: 3 },
+  'back-in-time': { base: 2, parameters: { size: { '4K': 2 } } },
+};
+
+export const getMeteringMode = () =>
+  (process.env.METERING_MODE === 'credits' ? 'credits' : 'generations');
+
+const normalizeCost = (cost) => (typeof cost === 'number' ? { base: cost } : cost);
+
+/**
+ * Load the cost table once, merging CREDIT_COSTS over the defaults
+ */
+export const getCreditCosts = () => loadJsonConfig('CREDIT_COSTS', {
+  defaults: DEFAULT_CREDIT_COSTS,
+  build: (costs) => Object.fromEntries(
+    Object.entries(costs).map(([feature, cost]) => [feature, normalizeCost(cost)])
+  ),
+});
+
+/**
+ * Credits a generation costs: the feature's base cost plus any parameter surcharges
+ * @param {string} feature - Feature key (see GENERATION_FEATURES in plans.js)
+ * @param {object} [parameters] - Request parameters, e.g. { size: '4K' }
+ * @returns {number}
+ */
+export const getGenerationCost = (feature, parameters = {}) => {
+  const cost = getCreditCosts()[feature] || { base: 1 };
+
+  return Object.entries(cost.parameters || {}).reduce(
+    (total, [name, surcharges]) => total + (surcharges[parameters[name]] || 0),
+    cost.base || 0
+  );
+};
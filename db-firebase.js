@@ -1,41 +1,94 @@
 import admin from 'firebase-admin';
+import { randomUUID } from 'crypto';
+import {
+  getResetPolicy,
+  resolveTimezone,
+  getTimezoneUpdate,
+  getCurrentPeriodKey,
+  getPeriodKey,
+  getMonthKey,
+  getPeriodEnd,
+  getActiveTimestamps,
+  ROLLING_WINDOW_MS,
+} from './quotaPolicy.js';
+import { getMeteringMode } from './credits.js';
 
 /**
- * Get today's generation count for a user
+ * Work out a user's usage in the current quota periods from their user doc.
+ * Daily: calendar policy counts generationCount for today's date in the user's stored
+ * timezone; rolling policy counts generationTimestamps from the last 24 hours.
+ * Monthly: monthlyGenerationCount for the calendar month in the user's stored timezone.
+ * The request's timezone only counts for users who have none stored yet.
  */
-export const getTodayGenerationCount = async (userId) => {
-  try {
-    console.log('📊 Getting generation count for:', userId);
-    const db = admin.firestore();
-    const userRef = db.collection('users').doc(userId);
-    const userDoc = await userRef.get();
+const computeUsage = (data, { timeZone, now }) => {
+  const policy = getResetPolicy();
+  const zone = resolveTimezone(timeZone, data?.timezone);
+  const month = getCurrentPeriodKey(getMonthKey(new Date(now), zone), data?.generationMonth);
 
-    console.log('📄 Document exists:', userDoc.exists);
-    console.log('📄 Document data:', userDoc.data()); // ← ADD THIS
+  const monthly = {
+    month,
+    monthlyCount: data?.generationMonth === month ? (data?.monthlyGenerationCount || 0) : 0,
+    monthlyResetsAt: getPeriodEnd(month, zone),
+  };
 
-    if (!userDoc.exists) {
-      console.log('✅ No record found, returning 0');
-      return 0;
-    }
+  if (policy === 'rolling') {
+    const timestamps = getActiveTimestamps(data?.generationTimestamps, now);
+    return {
+      policy,
+      timeZone: zone,
+      timestamps,
+      count: timestamps.length,
+      // The oldest generation frees up its slot first
+      resetsAt: timestamps.length ? new Date(timestamps[0] + ROLLING_WINDOW_MS) : null,
+      ...monthly,
+    };
+  }
 
-    const data = userDoc.data();
-    const today = new Date().toDateString();
+  const date = getCurrentPeriodKey(getPeriodKey(new Date(now), zone), data?.generationDate);
+  return {
+    policy,
+    timeZone: zone,
+    date,
+    count: data?.generationDate === date ? (data?.generationCount || 0) : 0,
+    resetsAt: getPeriodEnd(date, zone),
+    ...monthly,
+  };
+};
 
-    console.log('📅 Today:', today, 'Stored date:', data?.generationDate);
-    console.log('📈 generationCount value:', data?.generationCount); // ← ADD THIS
+/**
+ * Whether `count` more generations would go over a tier's limits; null limits are unlimited.
+ * Returns "daily", "monthly" or null.
+ */
+const getExceededLimit = (usage, { dailyLimit, monthlyLimit }, count = 1) => {
+  if (dailyLimit != null && usage.count + count > dailyLimit) return 'daily';
+  if (monthlyLimit != null && usage.monthlyCount + count > monthlyLimit) return 'monthly';
+  return null;
+};
 
-    if (data?.generationDate !== today) {
-      console.log('🔄 Date mismatch, resetting count');
-      await userRef.update({
-        generationCount: 0,
-        generationDate: today,
-        lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
-      });
-      return 0;
-    }
+/**
+ * Get a user's usage for the current quota periods:
+ * { count, resetsAt, monthlyCount, monthlyResetsAt, policy, timeZone }
+ */
+export const getGenerationUsage = async (userId, { timeZone } = {}) => {
+  console.log('📊 Getting generation usage for:', userId);
+  const db = admin.firestore();
+  const userDoc = await db.collection('users').doc(userId).get();
+
+  const { timestamps, date, month, ...usage } = computeUsage(
+    userDoc.exists ? userDoc.data() : {},
+    { timeZone, now: Date.now() }
+  );
 
-    const count = data?.generationCount || 0;
-    console.log('📈 Returning count:', count); // ← ADD THIS
+  console.log(`📈 ${usage.policy} usage: ${usage.count}, resets at ${usage.resetsAt?.toISOString()}`);
+  return usage;
+};
+
+/**
+ * Get today's generation count for a user
+ */
+export const getTodayGenerationCount = async (userId, options = {}) => {
+  try {
+    const { count } = await getGenerationUsage(userId, options);
     return count;
   } catch (error) {
     console.error('❌ Error getting generation count:', error);
@@ -44,29 +97,164 @@ export const getTodayGenerationCount = async (userId) => {
 };
 
 /**
- * Increment user's daily generation count
+ * Atomically reserve generations in the current quota periods for a user: one, or
+ * `count` for a multi-image request (all or none).
+ * Runs in a transaction so concurrent requests can't all pass at the same count.
+ * A timezone sent by the client is stored on the user doc for later periods, at most
+ * once a day (see getTimezoneUpdate); this reservation counts in the stored one.
+ *
+ * limits is { dailyLimit, monthlyLimit } from the user's tier (null = unlimited).
+ * Returns { reserved, exceeded, count, monthlyCount, resetsAt, key } where the counts
+ * include this reservation, exceeded names the limit that blocked it and key
+ * identifies the reservation for releaseGeneration.
  */
-export const incrementGenerationCount = async (userId) => {
-  try {
-    console.log('⬆️ Incrementing count for:', userId);
-    const db = admin.firestore();
-    const userRef = db.collection('users').doc(userId);
-    const today = new Date().toDateString();
+export const reserveGeneration = async (userId, limits, { timeZone, count = 1 } = {}) => {
+  const db = admin.firestore();
+  const userRef = db.collection('users').doc(userId);
+  // Outside the transaction, which may run more than once
+  const id = randomUUID();
 
-    const userDoc = await userRef.get();
-    const currentCount = userDoc.exists ? (userDoc.data().generationCount || 0) : 0;
+  const reservation = await db.runTransaction(async (transaction) => {
+    const userDoc = await transaction.get(userRef);
+    const data = userDoc.exists ? userDoc.data() : {};
+    const now = Date.now();
+    const usage = computeUsage(data, { timeZone, now });
 
-    console.log('💾 Saving new count:', currentCount + 1);
+    const exceeded = getExceededLimit(usage, limits, count);
 
-    await userRef.set(
-      {
-        generationCount: currentCount + 1,
-        generationDate: today,
-        lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
-      },
-      { merge: true }
-    );
+    if (exceeded) {
+      return {
+        reserved: false,
+        exceeded,
+        count: usage.count,
+        monthlyCount: usage.monthlyCount,
+        resetsAt: exceeded === 'monthly' ? usage.monthlyResetsAt : usage.resetsAt,
+      };
+    }
+
+    const update = {
+      monthlyGenerationCount: usage.monthlyCount + count,
+      generationMonth: usage.month,
+      lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    let key;
+    let resetsAt = usage.resetsAt;
+
+    Object.assign(update, getTimezoneUpdate(timeZone, data, now));
+
+    if (usage.policy === 'rolling') {
+      update.generationTimestamps = [...usage.timestamps, ...Array(count).fill(now)];
+      key = { policy: 'rolling', id, timestamp: now, month: usage.month, count };
+      resetsAt = new Date((usage.timestamps[0] ?? now) + ROLLING_WINDOW_MS);
+    } else {
+      update.generationCount = usage.count + count;
+      update.generationDate = usage.date;
+      key = { policy: 'calendar', id, date: usage.date, month: usage.month, count };
+    }
+
+    transaction.set(userRef, update, { merge: true });
+    return {
+      reserved: true,
+      count: usage.count + count,
+      monthlyCount: usage.monthlyCount + count,
+      resetsAt,
+      key,
+    };
+  });
+
+  console.log(`🎟️ Reservation for ${userId}:`, reservation);
+  return reservation;
+};
+
+/**
+ * The key for one generation (the `index`th) of a multi-image reservation, so it can be
+ * released on its own (e.g. by the job that owns it)
+ */
+export const getUnitReservationKey = (key, index = 0) => {
+  const count = key.count || 1;
+  return key.policy === 'credits'
+    ? { ...key, amount: key.amount / count, count: 1 }
+    : { ...key, id: key.id && `${key.id}:${index}`, count: 1 };
+};
+
+// Released reservations are remembered on the user doc (releasedReservations: { [id]: { count, at } })
+// for as long as their counts could still be given back: the longest quota period
+const RELEASE_MEMORY_MS = 32 * 24 * 60 * 60 * 1000;
+
+/**
+ * Give back reserved generations after a failed, blocked or abandoned attempt: all of
+ * the reservation, or `count` of them when only some images of a multi-image request
+ * weren't produced. Counts from a previous day or month are left alone since they were
+ * already reset. Credit debits (see reserveCredits) are refunded.
+ * A reservation is never given back beyond its count, however often it's released.
+ */
+export const releaseGeneration = async (userId, key, count = key.count || 1) => {
+  if (key.policy === 'credits') {
+    return refundCredits(userId, key, (key.amount / (key.count || 1)) * count);
+  }
+
+  const db = admin.firestore();
+  const userRef = db.collection('users').doc(userId);
+
+  await db.runTransaction(async (transaction) => {
+    const userDoc = await transaction.get(userRef);
+    const data = userDoc.exists ? userDoc.data() : {};
+    const now = Date.now();
+
+    // Keys from before reservations had IDs can't be tracked
+    const released = Object.fromEntries(Object.entries(data.releasedReservations || {})
+      .filter(([, entry]) => now - entry.at < RELEASE_MEMORY_MS));
+    const alreadyReleased = key.id ? (released[key.id]?.count || 0) : 0;
+    const toRelease = Math.min(count, (key.count || 1) - alreadyReleased);
+
+    if (toRelease <= 0) {
+      return;
+    }
+
+    const update = {};
+
+    if (key.id) {
+      update.releasedReservations = { ...released, [key.id]: { count: alreadyReleased + toRelease, at: now } };
+    }
+
+    if (key.policy === 'rolling') {
+      const timestamps = data.generationTimestamps || [];
+      let toRemove = toRelease;
+      const remaining = timestamps.filter((timestamp) => {
+        if (timestamp === key.timestamp && toRemove > 0) {
+          toRemove -= 1;
+          return false;
+        }
+        return true;
+      });
+
+      if (remaining.length !== timestamps.length) {
+        update.generationTimestamps = remaining;
+      }
+    } else if (data.generationDate === key.date && data.generationCount > 0) {
+      update.generationCount = Math.max(0, data.generationCount - toRelease);
+    }
+
+    if (key.month && data.generationMonth === key.month && data.monthlyGenerationCount > 0) {
+      update.monthlyGenerationCount = Math.max(0, data.monthlyGenerationCount - toRelease);
+    }
+
+    transaction.update(userRef, {
+      ...update,
+      lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  });
 
+  console.log(`↩️ Released ${count} reserved generation(s) for:`, userId);
+};
+
+/**
+ * Increment user's daily generation count (no limit check)
+ */
+export const incrementGenerationCount = async (userId, options = {}) => {
+  try {
+    console.log('⬆️ Incrementing count for:', userId);
+    await reserveGeneration(userId, { dailyLimit: null, monthlyLimit: null }, options);
     console.log('✅ Count incremented successfully');
   } catch (error) {
     console.error('❌ Error incrementing count:', error);
@@ -75,12 +263,480 @@ export const incrementGenerationCount = async (userId) => {
 };
 
 /**
- * Get remaining generations for a user
+ * Remaining generations under a tier's limits: the tighter of daily and monthly
+ */
+export const computeRemaining = (usage, { dailyLimit, monthlyLimit }) => Math.min(
+  dailyLimit == null ? Infinity : Math.max(0, dailyLimit - usage.count),
+  monthlyLimit == null ? Infinity : Math.max(0, monthlyLimit - usage.monthlyCount)
+);
+
+/**
+ * Get remaining generations for a user on a tier.
+ * With credit metering this is the credit balance.
+ */
+export const getRemainingGenerations = async (userId, tier, options = {}) => {
+  if (getMeteringMode() === 'credits') {
+    if (tier.monthlyCredits == null) return Infinity;
+    const { balance } = await getCreditBalance(userId, tier.monthlyCredits, options);
+    return balance;
+  }
+
+  if (tier.dailyLimit == null && tier.monthlyLimit == null) return Infinity;
+
+  const usage = await getGenerationUsage(userId, options);
+  return computeRemaining(usage, tier);
+};
+
+
+
+// ========== ENTITLEMENT CACHE ==========
+// RevenueCat entitlement state on the user doc:
+// entitlements: { [entitlementId]: { productId, expiresAt, willRenew, billingIssue, eventAt } }
+// entitlementsSyncedAt: when the state was last confirmed (ms), 0 when invalidated
+
+const ENTITLEMENT_CACHE_FIELDS = ['entitlements', 'entitlementsSyncedAt'];
+
+/**
+ * Get a user's cached entitlements, or null if they were never stored
+ */
+export const getEntitlementCache = async (userId) => {
+  const userDoc = await admin.firestore().collection('users').doc(userId).get();
+  const data = userDoc.exists ? userDoc.data() : null;
+
+  if (!data?.entitlements) {
+    return null;
+  }
+
+  return { entitlements: data.entitlements, syncedAt: data.entitlementsSyncedAt || 0 };
+};
+
+/**
+ * Replace a user's cached entitlements (e.g. with a fresh RevenueCat API response)
  */
-export const getRemainingGenerations = async (userId, isSubscribed) => {
-  if (isSubscribed) return Infinity;
+export const saveEntitlementCache = async (userId, entitlements) => {
+  await admin.firestore().collection('users').doc(userId).set({
+    entitlements,
+    entitlementsSyncedAt: Date.now(),
+  }, { mergeFields: ENTITLEMENT_CACHE_FIELDS });
+};
+
+/**
+ * Atomically change a user's cached entitlements.
+ * update receives the current entitlements map and returns the new one.
+ * Only a change to a synced map is fresh: a map started from one event (nothing
+ * cached, or invalidated) may be missing other entitlements, so it stays stale and
+ * the next check asks RevenueCat.
+ */
+export const updateEntitlementCache = async (userId, update) => {
+  const db = admin.firestore();
+  const userRef = db.collection('users').doc(userId);
+
+  await db.runTransaction(async (transaction) => {
+    const userDoc = await transaction.get(userRef);
+    const data = userDoc.exists ? userDoc.data() : {};
+    const synced = !!data.entitlements && !!data.entitlementsSyncedAt;
+
+    transaction.set(userRef, {
+      entitlements: update({ ...data.entitlements }),
+      entitlementsSyncedAt: synced ? Date.now() : 0,
+    }, { mergeFields: ENTITLEMENT_CACHE_FIELDS });
+  });
+};
 
-  const count = await getTodayGenerationCount(userId);
-  const DAILY_LIMIT = 5;
-  return Math.max(0, DAILY_LIMIT - count);
-};
\ No newline at end of file
+/**
+ * Mark a user's cached entitlements stale so the next check asks RevenueCat
+ */
+export const invalidateEntitlementCache = async (userId) => {
+  await admin.firestore().collection('users').doc(userId).set({
+    entitlementsSyncedAt: 0,
+  }, { merge: true });
+};
+
+// ========== MODERATION ==========
+// Blocked generations on the user doc:
+// moderation: { strikes: [ms, ...] (recent blocks, oldest first), blockedUntil: ms or null,
+//               totalBlocks, lastBlockedAt, lastBlockSource }
+
+// Enough for any escalation threshold; older strikes would fall out of the window anyway
+const MAX_STORED_STRIKES = 50;
+
+/**
+ * Get a user's moderation record
+ * @returns {Promise<{strikes: number[], blockedUntil: number|null, totalBlocks: number}>}
+ */
+export const getModerationState = async (userId) => {
+  const userDoc = await admin.firestore().collection('users').doc(userId).get();
+  const moderation = (userDoc.exists && userDoc.data().moderation) || {};
+
+  return {
+    strikes: moderation.strikes || [],
+    blockedUntil: moderation.blockedUntil || null,
+    totalBlocks: moderation.totalBlocks || 0,
+  };
+};
+
+/**
+ * Record a blocked generation. Strikes older than the window are dropped, and
+ * cooldownFor(strikeCount) decides the cooldown the new count earns (ms, or null).
+ * A cooldown never shortens one already running.
+ *
+ * @param {string} userId
+ * @param {object} options
+ * @param {number} options.windowMs - How long a strike counts
+ * @param {(strikes: number) => number|null} options.cooldownFor
+ * @param {string} [options.source] - What blocked it ("terms", "model", "provider")
+ * @returns {Promise<{strikes: number, blockedUntil: number|null, cooldownStarted: boolean}>}
+ */
+export const recordModerationStrike = async (userId, { windowMs, cooldownFor, source = null }) => {
+  const db = admin.firestore();
+  const userRef = db.collection('users').doc(userId);
+
+  return db.runTransaction(async (transaction) => {
+    const userDoc = await transaction.get(userRef);
+    const current = (userDoc.exists && userDoc.data().moderation) || {};
+    const now = Date.now();
+
+    const strikes = [...(current.strikes || []).filter((at) => now - at < windowMs), now]
+      .slice(-MAX_STORED_STRIKES);
+    const cooldown = cooldownFor(strikes.length);
+    const blockedUntil = Math.max(current.blockedUntil || 0, cooldown ? now + cooldown : 0) || null;
+
+    transaction.set(userRef, {
+      moderation: {
+        strikes,
+        blockedUntil,
+        totalBlocks: (current.totalBlocks || 0) + 1,
+        lastBlockedAt: now,
+        lastBlockSource: source,
+      },
+    }, { merge: true });
+
+    return {
+      strikes: strikes.length,
+      blockedUntil,
+      cooldownStarted: !!cooldown && blockedUntil !== (current.blockedUntil || null),
+    };
+  });
+};
+
+// ========== GENERATION HISTORY ==========
+// Stored per user at users/{userId}/generations/{generationId}
+
+const HISTORY_PAGE_SIZE = 20;
+const HISTORY_MAX_PAGE_SIZE = 50;
+
+const historyCollection = (userId) =>
+  admin.firestore().collection('users').doc(userId).collection('generations');
+
+/**
+ * Format a history document for API responses
+ */
+const serializeHistoryEntry = (doc) => {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    feature: data.feature,
+    model: data.model,
+    prompt: data.prompt ?? null,
+    style: data.style ?? null,
+    parameters: data.parameters || {},
+    imageUrl: data.imageUrl ?? null,
+    // Signed on read and left out of responses (see withImageUrls)
+    storagePath: data.storagePath ?? null,
+    variants: data.variants || null,
+    watermarked: !!data.watermarked,
+    countedAgainstQuota: !!data.countedAgainstQuota,
+    creditsCharged: data.creditsCharged ?? null,
+    createdAt: data.createdAt?.toDate?.().toISOString() || null,
+  };
+};
+
+/**
+ * Record a successful generation in the user's history
+ */
+export const addGenerationHistory = async (userId, generationId, entry) => {
+  console.log('📝 Recording generation history:', userId, generationId);
+  await historyCollection(userId).doc(generationId).set({
+    feature: entry.feature,
+    model: entry.model,
+    prompt: entry.prompt ?? null,
+    style: entry.style ?? null,
+    parameters: entry.parameters || {},
+    imageUrl: entry.imageUrl ?? null,
+    storagePath: entry.storagePath || null,
+    variants: entry.variants || null,
+    variantPaths: entry.variantPaths || [],
+    watermarked: !!entry.watermarked,
+    countedAgainstQuota: !!entry.countedAgainstQuota,
+    creditsCharged: entry.creditsCharged ?? null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+};
+
+/**
+ * List a user's generations, newest first.
+ * The cursor is the ID of the last entry from the previous page.
+ * Filtering by feature needs the (feature, createdAt desc) composite index.
+ */
+export const listGenerationHistory = async (userId, { limit, cursor, feature } = {}) => {
+  const pageSize = Math.min(Math.max(Number(limit) || HISTORY_PAGE_SIZE, 1), HISTORY_MAX_PAGE_SIZE);
+  let query = historyCollection(userId);
+
+  if (feature) {
+    query = query.where('feature', '==', feature);
+  }
+
+  query = query.orderBy('createdAt', 'desc');
+
+  if (cursor) {
+    const cursorDoc = await historyCollection(userId).doc(cursor).get();
+
+    if (!cursorDoc.exists) {
+      const error = new Error('Invalid pagination cursor');
+      error.statusCode = 400;
+      error.error = 'INVALID_CURSOR';
+      throw error;
+    }
+
+    query = query.startAfter(cursorDoc);
+  }
+
+  // Fetch one extra entry to know whether another page exists
+  const snapshot = await query.limit(pageSize + 1).get();
+  const docs = snapshot.docs.slice(0, pageSize);
+
+  return {
+    generations: docs.map(serializeHistoryEntry),
+    nextCursor: snapshot.docs.length > pageSize ? docs[docs.length - 1].id : null,
+  };
+};
+
+/**
+ * Get one generation from a user's history, or null if it doesn't exist
+ */
+export const getGenerationHistoryEntry = async (userId, generationId) => {
+  const doc = await historyCollection(userId).doc(generationId).get();
+  return doc.exists ? serializeHistoryEntry(doc) : null;
+};
+
+/**
+ * Delete a generation from a user's history.
+ * Returns the storage paths of its image and variants (empty if none were stored) so
+ * the caller can remove the files, or undefined if the entry didn't exist.
+ */
+export const deleteGenerationHistoryEntry = async (userId, generationId) => {
+  const docRef = historyCollection(userId).doc(generationId);
+  const doc = await docRef.get();
+
+  if (!doc.exists) {
+    return undefined;
+  }
+
+  await docRef.delete();
+  console.log('🗑️ Deleted generation history entry:', userId, generationId);
+  const { storagePath, variantPaths = [] } = doc.data();
+  return [storagePath, ...variantPaths].filter(Boolean);
+};
+
+
+// ========== CREDIT LEDGER ==========
+// Balance on the user doc (creditBalance, creditMonth), entries at users/{userId}/creditLedger/{entryId}
+
+const LEDGER_PAGE_SIZE = 20;
+
+const ledgerCollection = (userId) =>
+  admin.firestore().collection('users').doc(userId).collection('creditLedger');
+
+/**
+ * Work out a user's credit balance, including the monthly top-up they're due.
+ * The balance is raised to the tier's allowance at the start of each month in the
+ * user's stored timezone; credits above the allowance carry over.
+ */
+const computeCredits = (data, allowance, { timeZone, now }) => {
+  const zone = resolveTimezone(timeZone, data?.timezone);
+  const month = getCurrentPeriodKey(getMonthKey(new Date(now), zone), data?.creditMonth);
+  const stored = data?.creditBalance || 0;
+  const grant = data?.creditMonth === month ? 0 : Math.max(0, allowance - stored);
+
+  return {
+    month,
+    grant,
+    balance: stored + grant,
+    resetsAt: getPeriodEnd(month, zone),
+  };
+};
+
+/**
+ * Format a ledger document for API responses
+ */
+const serializeLedgerEntry = (doc) => {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    amount: data.amount,
+    balance: data.balance,
+    reason: data.reason,
+    feature: data.feature ?? null,
+    // Debits tagged before multi-image requests have a single generationId
+    generationId: data.generationIds?.[0] ?? data.generationId ?? null,
+    generationIds: data.generationIds ?? (data.generationId ? [data.generationId] : []),
+    createdAt: data.createdAt?.toDate?.().toISOString() || null,
+  };
+};
+
+/**
+ * Get a user's credit balance: { balance, resetsAt }
+ */
+export const getCreditBalance = async (userId, allowance, { timeZone } = {}) => {
+  const userDoc = await admin.firestore().collection('users').doc(userId).get();
+  const { balance, resetsAt } = computeCredits(
+    userDoc.exists ? userDoc.data() : null,
+    allowance,
+    { timeZone, now: Date.now() }
+  );
+
+  return { balance, resetsAt };
+};
+
+/**
+ * Atomically debit a generation's cost from a user's credits. A multi-image request
+ * debits the cost of all `count` images at once.
+ * Applies the monthly top-up first and writes a ledger entry for each change.
+ *
+ * Returns { reserved, balance, resetsAt, key } where key identifies the debit for
+ * releaseGeneration (refund) and tagCreditDebit.
+ */
+export const reserveCredits = async (userId, { amount, allowance, feature, count = 1 }, { timeZone } = {}) => {
+  const db = admin.firestore();
+  const userRef = db.collection('users').doc(userId);
+
+  const reservation = await db.runTransaction(async (transaction) => {
+    const userDoc = await transaction.get(userRef);
+    const data = userDoc.exists ? userDoc.data() : null;
+    const now = Date.now();
+    const credits = computeCredits(data, allowance, { timeZone, now });
+
+    const update = {
+      creditMonth: credits.month,
+      lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+      ...getTimezoneUpdate(timeZone, data, now),
+    };
+
+    if (credits.grant > 0) {
+      transaction.set(ledgerCollection(userId).doc(), {
+        amount: credits.grant,
+        balance: credits.balance,
+        reason: 'monthly-grant',
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+
+    if (credits.balance < amount) {
+      update.creditBalance = credits.balance;
+      transaction.set(userRef, update, { merge: true });
+      return { reserved: false, balance: credits.balance, resetsAt: credits.resetsAt };
+    }
+
+    const entryRef = ledgerCollection(userId).doc();
+    const balance = credits.balance - amount;
+
+    transaction.set(entryRef, {
+      amount: -amount,
+      balance,
+      reason: 'generation',
+      feature,
+      generationIds: [],
+      refunded: false,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    update.creditBalance = balance;
+    transaction.set(userRef, update, { merge: true });
+
+    return {
+      reserved: true,
+      balance,
+      resetsAt: credits.resetsAt,
+      key: { policy: 'credits', entryId: entryRef.id, amount, count },
+    };
+  });
+
+  console.log(`🪙 Credit debit for ${userId}:`, reservation);
+  return reservation;
+};
+
+/**
+ * Record which generations a credit debit paid for: every image a multi-image request delivered
+ * @param {string} userId
+ * @param {object} key - The debit's reservation key
+ * @param {string[]} generationIds
+ */
+export const tagCreditDebit = async (userId, key, generationIds) => {
+  await ledgerCollection(userId).doc(key.entryId).update({ generationIds });
+};
+
+/**
+ * Give back a credit debit, or `amount` of it, after a failed, blocked or abandoned
+ * generation. A debit is never refunded beyond what it took.
+ */
+const refundCredits = async (userId, key, amount = key.amount) => {
+  const db = admin.firestore();
+  const userRef = db.collection('users').doc(userId);
+  const debitRef = ledgerCollection(userId).doc(key.entryId);
+
+  await db.runTransaction(async (transaction) => {
+    const [userDoc, debitDoc] = await Promise.all([
+      transaction.get(userRef),
+      transaction.get(debitRef),
+    ]);
+
+    if (!debitDoc.exists) {
+      return;
+    }
+
+    const debit = debitDoc.data();
+    const debited = -debit.amount;
+    // Debits from before partial refunds only record whether they were refunded
+    const alreadyRefunded = debit.refundedAmount ?? (debit.refunded ? debited : 0);
+    const refund = Math.min(amount, debited - alreadyRefunded);
+
+    if (refund <= 0) {
+      return;
+    }
+
+    const balance = (userDoc.data()?.creditBalance || 0) + refund;
+
+    transaction.update(debitRef, {
+      refundedAmount: alreadyRefunded + refund,
+      refunded: alreadyRefunded + refund >= debited,
+    });
+    transaction.set(ledgerCollection(userId).doc(), {
+      amount: refund,
+      balance,
+      reason: 'refund',
+      feature: debit.feature ?? null,
+      generationIds: debit.generationIds ?? (debit.generationId ? [debit.generationId] : []),
+      refundOf: key.entryId,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    transaction.set(userRef, {
+      creditBalance: balance,
+      lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
+  });
+
+  console.log('↩️ Refunded credits for:', userId, amount);
+};
+
+/**
+ * A user's most recent credit transactions, newest first
+ */
+export const listCreditTransactions = async (userId, { limit } = {}) => {
+  const pageSize = Math.min(Math.max(Number(limit) || LEDGER_PAGE_SIZE, 1), HISTORY_MAX_PAGE_SIZE);
+  const snapshot = await ledgerCollection(userId)
+    .orderBy('createdAt', 'desc')
+    .limit(pageSize)
+    .get();
+
+  return snapshot.docs.map(serializeLedgerEntry);
+};
@@ -2,63 +2,157 @@
  * Global Error Handler Middleware
  * Catches all errors from routes and formats them consistently
  * Place this LAST in your middleware chain in the main app.js
+ *
+ * Every error body has a stable code ("error") and a message in the caller's
+ * language (see i18n.js). Errors pick their message with messageKey/messageParams,
+ * otherwise the code's message is used.
  */
 
-export const errorHandler = (err, req, res, next) => {
-    console.error('=== API Error ===');
-    console.error('Message:', err.message);
-    console.error('Stack:', err.stack);
-    console.error('================');
+import { translate, getRequestLocale, DEFAULT_LOCALE } from './i18n.js';
+
+/**
+ * Builds an error with a code, a status and a localizable message.
+ * Throw it (or pass it to sendError) instead of writing the response by hand.
+ *
+ * @param {number} statusCode - HTTP status
+ * @param {string} code - Stable error code, returned as "error"
+ * @param {object} [options]
+ * @param {string} [options.messageKey] - Message key, when it isn't the code
+ * @param {object} [options.params] - Message placeholders, e.g. { limit: 5 }
+ * @param {object} [options.details] - Extra fields for the response body
+ * @returns {Error}
+ */
+export const createApiError = (statusCode, code, { messageKey, params, details } = {}) => {
+    const error = new Error(translate(messageKey || code, params));
+    error.statusCode = statusCode;
+    error.error = code;
+    error.messageKey = messageKey || code;
+    error.messageParams = params;
+    error.details = details;
+    return error;
+};
 
+// The error's own message if it has one, otherwise the default for its code
+const localize = (err, defaultKey, locale) =>
+    translate(err.messageKey || defaultKey, err.messageParams, locale);
+
+/**
+ * Maps an error onto the HTTP status and JSON body the API returns for it.
+ * Also used outside Express (job polling, SSE) so every error body looks the same.
+ *
+ * @param {Error} err - The error to format
+ * @param {string} [locale] - Language of the message (English if omitted)
+ * @returns {{status: number, body: {success: boolean, error: string, message: string}}}
+ */
+export const formatErrorResponse = (err, locale = DEFAULT_LOCALE) => {
     // NSFW Content Blocked (Input or Output) - Return 400
     if (err.message === 'NSFW_BLOCKED') {
-        return res.status(400).json({
-            success: false,
-            error: 'NSFW_BLOCKED',
-            message: err.userMessage || 'The design could not be generated due to content safety filters. Please try a different prompt.'
-        });
+        return {
+            status: 400,
+            body: {
+                success: false,
+                error: 'NSFW_BLOCKED',
+                message: localize(err, 'NSFW_BLOCKED', locale)
+            }
+        };
     }
 
     // Payment Required (Insufficient Credit) - Return 402
     if (err.message === 'PAYMENT_REQUIRED') {
-        return res.status(402).json({
-            success: false,
-            error: 'PAYMENT_REQUIRED',
-            message: err.userMessage || 'Insufficient credit to generate images.'
-        });
+        return {
+            status: 402,
+            body: {
+                success: false,
+                error: 'PAYMENT_REQUIRED',
+                message: localize(err, 'PAYMENT_REQUIRED', locale)
+            }
+        };
     }
 
     // Generation Failed - Return 500
     if (err.message === 'GENERATION_FAILED') {
-        return res.status(500).json({
-            success: false,
-            error: 'GENERATION_FAILED',
-            message: err.userMessage || 'Failed to generate. Please try again.'
-        });
+        return {
+            status: 500,
+            body: {
+                success: false,
+                error: 'GENERATION_FAILED',
+                message: localize(err, 'GENERATION_FAILED', locale)
+            }
+        };
+    }
+
+    // Generation Timeout (deadline passed or client disconnected) - Return 504
+    if (err.message === 'GENERATION_TIMEOUT') {
+        return {
+            status: 504,
+            body: {
+                success: false,
+                error: 'GENERATION_TIMEOUT',
+                message: localize(err, 'GENERATION_TIMEOUT', locale)
+            }
+        };
     }
 
     // Replicate Prediction Failed (catches remaining prediction errors)
     if (err.message && err.message.includes('Prediction failed')) {
-        return res.status(500).json({
-            success: false,
-            error: 'GENERATION_FAILED',
-            message: 'Failed to generate. Please try again.'
-        });
+        return {
+            status: 500,
+            body: {
+                success: false,
+                error: 'GENERATION_FAILED',
+                message: translate('GENERATION_FAILED', {}, locale)
+            }
+        };
     }
 
-    // Validation Errors (4xx)
-    if (err.statusCode && err.statusCode >= 400 && err.statusCode < 500) {
-        return res.status(err.statusCode).json({
-            success: false,
-            error: err.error || 'Validation Error',
-            message: err.message
-        });
+    // Coded errors (createApiError) and other validation errors (4xx)
+    if (err.statusCode && (err.messageKey || (err.statusCode >= 400 && err.statusCode < 500))) {
+        return {
+            status: err.statusCode,
+            body: {
+                success: false,
+                error: err.error || 'Validation Error',
+                message: err.messageKey ? localize(err, null, locale) : err.message,
+                ...err.details
+            }
+        };
     }
 
     // Default Internal Server Error
-    res.status(500).json({
-        success: false,
-        error: 'Internal Server Error',
-        message: err.message || 'An unexpected error occurred.'
-    });
-};
\ No newline at end of file
+    return {
+        status: 500,
+        body: {
+            success: false,
+            error: 'Internal Server Error',
+            message: translate('INTERNAL_ERROR', {}, locale)
+        }
+    };
+};
+
+/**
+ * Answers a request with an error, in the request's language
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {Error} err - The error (usually from createApiError)
+ */
+export const sendError = (req, res, err) => {
+    const locale = getRequestLocale(req);
+    const { status, body } = formatErrorResponse(err, locale);
+
+    res.set('Content-Language', locale);
+    res.status(status).json(body);
+};
+
+export const errorHandler = (err, req, res, next) => {
+    console.error('=== API Error ===');
+    console.error('Message:', err.message);
+    console.error('Stack:', err.stack);
+    console.error('================');
+
+    // The client disconnected (e.g. mid-generation), so there's nobody to answer
+    if (res.destroyed) {
+        return;
+    }
+
+    sendError(req, res, err);
+};
@@ -0,0 +1,51 @@
+import { getRetryPolicy } from './retryPolicy.js';
+import { incrementMetric } from './metrics.js';
+
+/**
+ * The error a generation ends with when it's abandoned: the deadline passed,
+ * or the client went away before the image was ready
+ */
+const generationTimeout = (reason) => {
+  const error = new Error('GENERATION_TIMEOUT');
+  error.reason = reason;
+  error.messageKey = reason === 'deadline' ? 'GENERATION_TIMEOUT' : 'GENERATION_CANCELED';
+  return error;
+};
+
+/**
+ * Middleware factory that bounds a generation by the feature's deadline (deadlineMs,
+ * see retryPolicy.js) and by the client staying connected.
+ * Sets req.generationOptions = { signal, deadline } for the model call: when either
+ * fires, the signal aborts with GENERATION_TIMEOUT, the provider cancels the prediction,
+ * and the unsettled quota reservation is released when the response ends.
+ *
+ * Async (?async=1) requests answer right away, so they're never cut short.
+ *
+ * @param {string} feature - Feature key (e.g. "add-tattoo")
+ */
+export const trackGenerationRequest = (feature) => (req, res, next) => {
+  const controller = new AbortController();
+  const deadline = Date.now() + getRetryPolicy(feature).deadlineMs;
+
+  const abort = (reason) => {
+    if (controller.signal.aborted) return;
+
+    console.warn(`⏹️ Canceling ${feature} generation: ${reason === 'deadline' ? 'deadline passed' : 'client disconnected'}`);
+    incrementMetric(reason === 'deadline' ? 'generation_timeouts' : 'generations_abandoned');
+    controller.abort(generationTimeout(reason));
+  };
+
+  const timer = setTimeout(() => abort('deadline'), deadline - Date.now());
+  timer.unref?.();
+
+  // The request's own 'close' fires as soon as the body has been read, so a
+  // disconnect shows up as the response closing before it was sent
+  res.on('close', () => {
+    clearTimeout(timer);
+    if (!res.writableEnded) abort('disconnected');
+  });
+  res.on('finish', () => clearTimeout(timer));
+
+  req.generationOptions = { signal: controller.signal, deadline };
+  next();
+};
@@ -1,77 +1,222 @@
-import { isUserSubscribed } from './revenuecat.js';
-// Import one of these based on your choice:
-// import { getTodayGenerationCount, getRemainingGenerations } from './db-firebase.js';
-import { getTodayGenerationCount, getRemainingGenerations } from './db-firebase.js';
+import { getSubscriberPlan } from './revenuecat.js';
+import { reserveGeneration, releaseGeneration, computeRemaining, reserveCredits, tagCreditDebit } from './db-firebase.js';
+import { getRequestTimezone } from './quotaPolicy.js';
+import {
+  isFeatureAllowed,
+  getTiersWithFeature,
+  describeTier,
+  clampOutputSize,
+  clampImageCount,
+  MAX_IMAGES_PER_REQUEST,
+} from './plans.js';
+import { getMeteringMode, getGenerationCost } from './credits.js';
+import { sendError, createApiError } from './errorHandling.js';
 
-const DAILY_LIMIT = 5;
+/**
+ * Attach a quota reservation to the request.
+ * Routes call commit(generationIds) once the images are delivered (or jobs take over
+ * the reservation); if the response ends without a commit - an error, an NSFW block,
+ * a client disconnect - the slots are given back. A multi-image request commits the
+ * images it produced, and the slots for the rest are given back then.
+ */
+const attachReservation = (req, res, userId, reservation) => {
+  let settled = false;
+
+  req.quotaReservation = {
+    key: reservation.key,
+    commit: (generationIds) => {
+      settled = true;
+
+      const ids = [].concat(generationIds || []);
+      const unused = (reservation.key.count || 1) - ids.length;
+
+      // Credit debits record the generations they paid for in the ledger
+      if (ids.length && reservation.key.policy === 'credits') {
+        tagCreditDebit(userId, reservation.key, ids).catch((error) => {
+          console.error('Error tagging credit debit:', error);
+        });
+      }
+
+      if (generationIds && unused > 0) {
+        const unitCost = reservation.key.policy === 'credits' ? reservation.key.amount / reservation.key.count : 1;
+        req.remaining += unused * unitCost;
+
+        releaseGeneration(userId, reservation.key, unused).catch((error) => {
+          console.error('Error releasing unused generation reservations:', error);
+        });
+      }
+    },
+    release: async () => {
+      if (settled) return;
+      settled = true;
+      await releaseGeneration(userId, reservation.key);
+    },
+  };
+
+  const releaseIfUnsettled = () => {
+    req.quotaReservation.release().catch((error) => {
+      console.error('Error releasing generation reservation:', error);
+    });
+  };
+
+  res.on('finish', releaseIfUnsettled);
+  res.on('close', releaseIfUnsettled);
+};
+
+/**
+ * Debit the generation's cost from the user's credits (METERING_MODE=credits),
+ * once per requested image
+ */
+const checkCredits = async (req, res, next, feature) => {
+  const tier = req.plan;
+
+  // Tiers without a credit allowance aren't metered
+  if (tier.monthlyCredits == null) {
+    req.remaining = Infinity;
+    return next();
+  }
+
+  // Price the size that will actually be rendered, not one the plan caps
+  const parameters = { ...req.body };
+  if (parameters.size) {
+    parameters.size = clampOutputSize(tier, parameters.size) || parameters.size;
+  }
+
+  const cost = getGenerationCost(feature, parameters);
+  const reservation = await reserveCredits(req.userId, {
+    amount: cost * req.imageCount,
+    allowance: tier.monthlyCredits,
+    feature,
+    count: req.imageCount,
+  }, {
+    timeZone: getRequestTimezone(req),
+  });
+
+  if (!reservation.reserved) {
+    return sendError(req, res, createApiError(429, 'INSUFFICIENT_CREDITS', {
+      params: { cost: cost * req.imageCount, balance: reservation.balance },
+      details: {
+        cost: cost * req.imageCount,
+        balance: reservation.balance,
+        remaining: reservation.balance,
+        resetsAt: reservation.resetsAt?.toISOString() ?? null,
+        ...describeTier(tier),
+        subscriptionDegraded: req.subscriptionDegraded,
+      },
+    }));
+  }
+
+  req.creditCost = cost;
+  req.remaining = reservation.balance;
+  attachReservation(req, res, req.userId, reservation);
+
+  next();
+};
+
+/**
+ * Middleware for routes that can make several images per request: reads "count"
+ * into req.imageCount. checkGenerationLimit caps it at the plan's maxImagesPerRequest.
+ */
+export const parseImageCount = (req, res, next) => {
+  const value = req.body?.count;
+
+  if (value === undefined || value === '') {
+    req.imageCount = 1;
+    return next();
+  }
+
+  const count = Number(value);
+
+  if (!Number.isInteger(count) || count < 1 || count > MAX_IMAGES_PER_REQUEST) {
+    return sendError(req, res, createApiError(400, 'INVALID_PARAMETER', {
+      messageKey: 'INVALID_PARAMETER_RANGE',
+      params: { name: 'count', min: 1, max: MAX_IMAGES_PER_REQUEST },
+    }));
+  }
+
+  req.imageCount = count;
+  next();
+};
 
 /**
- * Middleware to check if user can generate an image
- * Expects userId in req.body.userId (from RevenueCat)
+ * Middleware factory to check if user can generate an image with a feature
+ * Expects req.userId (RevenueCat app user ID) from authenticateUser.
+ * Sets req.plan (the user's tier), req.isSubscribed, req.subscriptionDegraded and req.remaining
+ * (the credit balance with METERING_MODE=credits, plus req.creditCost, per image).
+ * Reserves req.imageCount generations (see parseImageCount), capped at the plan's maximum.
+ *
+ * @param {string} feature - Feature key (see GENERATION_FEATURES in plans.js)
  */
-export const checkGenerationLimit = async (req, res, next) => {
+export const checkGenerationLimit = (feature) => async (req, res, next) => {
   try {
-    const userId = req.body.userId;
+    const userId = req.userId;
 
     if (!userId) {
-      return res.status(400).json({
-        error: 'userId is required in request body',
-      });
+      return sendError(req, res, createApiError(401, 'UNAUTHENTICATED'));
     }
 
-    // Check subscription status
-    const isSubscribed = await isUserSubscribed(userId);
+    // Resolve the user's tier from their RevenueCat entitlements
+    const { tier, isSubscribed, degraded } = await getSubscriberPlan(userId);
+    req.plan = tier;
+    req.isSubscribed = isSubscribed;
+    req.subscriptionDegraded = degraded;
 
-    // If subscribed, allow generation
-    if (isSubscribed) {
-      req.isSubscribed = true;
-      return next();
+    // RevenueCat couldn't be reached; the outage policy picked the tier
+    if (degraded) {
+      res.set('X-Subscription-Status', 'degraded');
+    }
+
+    if (!isFeatureAllowed(tier, feature)) {
+      return sendError(req, res, createApiError(403, 'FEATURE_NOT_AVAILABLE', {
+        details: { tier: tier.name, availableIn: getTiersWithFeature(feature) },
+      }));
     }
 
-    // Check daily limit for free users
-    const generationCount = await getTodayGenerationCount(userId);
+    // Larger counts are capped at the plan's maximum
+    req.imageCount = clampImageCount(tier, req.imageCount || 1);
 
-    if (generationCount >= DAILY_LIMIT) {
-      return res.status(429).json({
-        error: 'Daily generation limit reached',
-        message: `You have reached your daily limit of ${DAILY_LIMIT} generations. Upgrade to pro version!`,
-        remaining: 0,
-      });
+    if (getMeteringMode() === 'credits') {
+      return await checkCredits(req, res, next, feature);
     }
 
-    // Store info in request for use in route
-    req.isSubscribed = false;
-    req.generationCount = generationCount;
-    req.remaining = DAILY_LIMIT - generationCount;
+    // Tiers without limits don't need a reservation
+    if (tier.dailyLimit == null && tier.monthlyLimit == null) {
+      req.remaining = Infinity;
+      return next();
+    }
 
-    next();
-  } catch (error) {
-    console.error('Error checking generation limit:', error);
-    // Fail secure: don't let them through if we can't verify
-    return res.status(500).json({
-      error: 'Failed to verify generation limit',
+    const reservation = await reserveGeneration(userId, tier, {
+      timeZone: getRequestTimezone(req),
+      count: req.imageCount,
     });
-  }
-};
 
-/**
- * Middleware to record a generation after successful creation
- * Call this AFTER the image is successfully generated
- */
-export const recordGeneration = async (req, res, next) => {
-  try {
-    const userId = req.body.userId;
+    if (!reservation.reserved) {
+      const monthly = reservation.exceeded === 'monthly';
+      const remaining = computeRemaining(reservation, tier);
 
-    if (userId && !req.isSubscribed) {
-      // Only record for free users (subscribers have unlimited)
-      // This is called after successful generation
-      // We don't increment here - do it in the route after success
-      req.shouldRecordGeneration = true;
+      // Some generations are left, just not as many as were asked for
+      return sendError(req, res, createApiError(429, monthly ? 'MONTHLY_LIMIT_REACHED' : 'DAILY_LIMIT_REACHED', {
+        messageKey: remaining > 0 ? 'COUNT_EXCEEDS_REMAINING' : undefined,
+        params: { limit: monthly ? tier.monthlyLimit : tier.dailyLimit, count: req.imageCount, remaining },
+        details: {
+          remaining,
+          resetsAt: reservation.resetsAt?.toISOString() ?? null,
+          ...describeTier(tier),
+          subscriptionDegraded: req.subscriptionDegraded,
+        },
+      }));
     }
 
+    // Store info in request for use in route
+    req.generationCount = reservation.count;
+    req.remaining = computeRemaining(reservation, tier);
+    req.resetsAt = reservation.resetsAt;
+    attachReservation(req, res, userId, reservation);
+
     next();
   } catch (error) {
-    console.error('Error in recordGeneration middleware:', error);
-    next();
+    console.error('Error checking generation limit:', error);
+    // Fail secure: don't let them through if we can't verify
+    return sendError(req, res, createApiError(500, 'LIMIT_CHECK_FAILED'));
   }
 };
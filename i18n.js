@@ -0,0 +1,79 @@
+/**
+ * Localized messages
+ * Error responses carry a stable code ("error") and a message in the caller's language.
+ * The locale comes from a "locale" body/query field, then Accept-Language; unsupported
+ * languages and missing messages fall back to English.
+ * Catalogs live in locales/<language>.js; add a language by adding a file and importing it here.
+ */
+
+import en from './locales/en.js';
+import es from './locales/es.js';
+import fr from './locales/fr.js';
+import de from './locales/de.js';
+import pt from './locales/pt.js';
+
+export const DEFAULT_LOCALE = 'en';
+
+const CATALOGS = { en, es, fr, de, pt };
+
+export const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+
+/**
+ * The supported locale for a language tag ("pt-BR" -> "pt"), or null
+ */
+const matchLocale = (tag) => {
+  if (!tag || typeof tag !== 'string') return null;
+
+  const normalized = tag.trim().toLowerCase().replace('_', '-');
+  if (CATALOGS[normalized]) return normalized;
+
+  const language = normalized.split('-')[0];
+  return CATALOGS[language] ? language : null;
+};
+
+/**
+ * Language tags from an Accept-Language header, most preferred first
+ * e.g. "fr-CH, fr;q=0.9, en;q=0.8" -> ["fr-CH", "fr", "en"]
+ */
+const parseAcceptLanguage = (header) =>
+  String(header || '')
+    .split(',')
+    .map((part) => {
+      const [tag, ...params] = part.trim().split(';');
+      const quality = params.map((param) => param.trim()).find((param) => param.startsWith('q='));
+      return { tag: tag.trim(), q: quality ? Number(quality.slice(2)) : 1 };
+    })
+    .filter(({ tag, q }) => tag && tag !== '*' && q > 0)
+    .sort((a, b) => b.q - a.q)
+    .map(({ tag }) => tag);
+
+/**
+ * Pick the locale to answer in
+ * @param {string} [requested] - An explicit locale (e.g. the "locale" field)
+ * @param {string} [acceptLanguage] - The Accept-Language header
+ * @returns {string} A supported locale
+ */
+export const resolveLocale = (requested, acceptLanguage) =>
+  matchLocale(requested) ||
+  parseAcceptLanguage(acceptLanguage).map(matchLocale).find(Boolean) ||
+  DEFAULT_LOCALE;
+
+/**
+ * The locale for a request: "locale" in the body or query, then Accept-Language.
+ * Resolved when needed, since multipart bodies are only parsed by the route's multer.
+ */
+export const getRequestLocale = (req) =>
+  resolveLocale(req?.body?.locale || req?.query?.locale, req?.headers?.['accept-language']);
+
+/**
+ * Look up a message and fill in its {placeholders}
+ * @param {string} key - Message key (usually the error code)
+ * @param {object} [params] - Placeholder values, e.g. { limit: 5 }
+ * @param {string} [locale] - A supported locale (English if omitted)
+ * @returns {string} The message, or the key itself if no catalog has it
+ */
+export const translate = (key, params = {}, locale = DEFAULT_LOCALE) => {
+  const template = CATALOGS[locale]?.[key] ?? CATALOGS[DEFAULT_LOCALE][key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    (params?.[name] !== undefined ? String(params[name]) : placeholder));
+};
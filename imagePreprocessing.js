@@ -0,0 +1,168 @@
+/**
+ * Image Preprocessing
+ * Prepares uploaded images for a model: applies the EXIF orientation, strips metadata,
+ * downscales to the model's maximum input size and converts formats the model doesn't
+ * accept (HEIC/AVIF, TIFF, the first frame of a GIF). The format and transparency are
+ * kept whenever the model accepts them, and the data URL is labeled with the real format.
+ *
+ * Every image comes with a report of what was changed, returned to the client as
+ * "preprocessing".
+ */
+
+import sharp from 'sharp';
+import { createApiError } from './errorHandling.js';
+
+const MIME_TYPES = {
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    webp: 'image/webp',
+    gif: 'image/gif',
+};
+
+// Re-encoding settings; JPEG and WebP stay close to the upload's quality
+const ENCODE_OPTIONS = {
+    jpeg: { quality: 90, mozjpeg: true },
+    png: {},
+    webp: { quality: 90 },
+    gif: {},
+};
+
+/**
+ * Split a data URL (or bare base64) into its bytes
+ */
+const decodeImage = (image) => {
+    if (Buffer.isBuffer(image)) return image;
+    return Buffer.from(String(image).replace(/^data:[^;,]*;base64,/, ''), 'base64');
+};
+
+/**
+ * The format name sharp reports, with HEIF split into its AVIF and HEIC flavors
+ */
+const describeFormat = ({ format, compression }) => {
+    if (format === 'heif') return compression === 'av1' ? 'avif' : 'heic';
+    return format;
+};
+
+/**
+ * Pick the output format: the requested one, else the input's if the model accepts it,
+ * else PNG for transparent images and JPEG otherwise (or the first accepted format)
+ */
+const chooseFormat = (inputFormat, hasAlpha, { format, formats }) => {
+    if (format) return format;
+    if (formats.includes(inputFormat) && MIME_TYPES[inputFormat]) return inputFormat;
+
+    const preferred = hasAlpha ? 'png' : 'jpeg';
+    return formats.includes(preferred) ? preferred : formats.find((name) => MIME_TYPES[name]) || 'jpeg';
+};
+
+/**
+ * Prepare one image for a model
+ *
+ * @param {string|Buffer} image - Data URL, base64 or raw bytes
+ * @param {object} [options]
+ * @param {string} [options.field] - Name of the input, used in the report and errors
+ * @param {number|null} [options.maxDimension] - Longest side allowed; larger images are downscaled
+ * @param {string[]} [options.formats] - Formats the model accepts (see getImageInputLimits)
+ * @param {string} [options.format] - Output format to use regardless of the input's
+ * @param {{width: number, height: number}} [options.size] - Exact output size, e.g. a mask
+ *   that must match its photo
+ * @returns {Promise<{dataUrl: string, report: object}>} The prepared image and a report:
+ *   { field, original: {format, width, height}, result: {format, width, height}, changes }
+ *   where changes lists "oriented", "metadata-stripped", "first-frame", "resized",
+ *   "converted" and "alpha-flattened"
+ * @throws {Error} 400 IMAGE_UNREADABLE if the image can't be decoded
+ */
+export const preprocessImage = async (image, {
+    field = 'image',
+    maxDimension = null,
+    formats = ['jpeg', 'png', 'webp'],
+    format = null,
+    size = null,
+} = {}) => {
+    const buffer = decodeImage(image);
+
+    let metadata;
+    try {
+        metadata = await sharp(buffer).metadata();
+    } catch (error) {
+        console.error(`❌ Could not read ${field} for preprocessing:`, error.message);
+        throw createApiError(400, 'IMAGE_UNREADABLE', { params: { field } });
+    }
+
+    const inputFormat = describeFormat(metadata);
+    const outputFormat = chooseFormat(inputFormat, metadata.hasAlpha, { format, formats });
+    const oriented = metadata.autoOrient || metadata;
+    const changes = [];
+
+    if (metadata.orientation > 1) changes.push('oriented');
+    if (metadata.exif || metadata.icc || metadata.xmp || metadata.iptc) changes.push('metadata-stripped');
+    if (metadata.pages > 1) changes.push('first-frame');
+    if (outputFormat !== inputFormat) changes.push('converted');
+
+    // Target size: exact if given, else scaled to fit maxDimension
+    let width = oriented.width;
+    let height = oriented.height;
+
+    if (size && (size.width !== width || size.height !== height)) {
+        ({ width, height } = size);
+    } else if (!size && maxDimension && Math.max(width, height) > maxDimension) {
+        const scale = maxDimension / Math.max(width, height);
+        width = Math.max(1, Math.round(width * scale));
+        height = Math.max(1, Math.round(height * scale));
+    }
+
+    if (width !== oriented.width || height !== oriented.height) changes.push('resized');
+
+    const flatten = metadata.hasAlpha && !['png', 'webp', 'gif'].includes(outputFormat);
+    if (flatten) changes.push('alpha-flattened');
+
+    const report = {
+        field,
+        original: { format: inputFormat, width: oriented.width, height: oriented.height },
+        result: { format: outputFormat, width, height },
+        changes,
+    };
+
+    // Already what the model wants: send the upload untouched rather than re-encoding it
+    if (!changes.length) {
+        return { dataUrl: `data:${MIME_TYPES[outputFormat]};base64,${buffer.toString('base64')}`, report };
+    }
+
+    try {
+        // pages: 1 reads only the first frame of animations; metadata isn't copied unless asked
+        let pipeline = sharp(buffer, { pages: 1 }).rotate();
+
+        if (changes.includes('resized')) {
+            pipeline = pipeline.resize(width, height, { fit: 'fill' });
+        }
+        if (flatten) {
+            pipeline = pipeline.flatten({ background: '#ffffff' });
+        }
+
+        const output = await pipeline.toFormat(outputFormat, ENCODE_OPTIONS[outputFormat]).toBuffer();
+
+        console.log(`🖼️ Prepared ${field}: ${inputFormat} ${oriented.width}x${oriented.height} -> ${outputFormat} ${width}x${height} (${changes.join(', ')})`);
+
+        return { dataUrl: `data:${MIME_TYPES[outputFormat]};base64,${output.toString('base64')}`, report };
+    } catch (error) {
+        console.error(`❌ Could not preprocess ${field}:`, error.message);
+        throw createApiError(400, 'IMAGE_UNREADABLE', { params: { field } });
+    }
+};
+
+/**
+ * Prepare several images with the same options
+ * @param {Array<string|Buffer>} images
+ * @param {object} [options] - As for preprocessImage; fields are named "<field><n>" (image1, image2, ...)
+ * @returns {Promise<{dataUrls: string[], reports: object[]}>}
+ */
+export const preprocessImages = async (images = [], { field = 'image', ...options } = {}) => {
+    const prepared = await Promise.all(
+        images.map((image, index) => preprocessImage(image, { ...options, field: `${field}${index + 1}` }))
+    );
+
+    return {
+        dataUrls: prepared.map(({ dataUrl }) => dataUrl),
+        reports: prepared.map(({ report }) => report),
+    };
+};
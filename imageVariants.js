@@ -0,0 +1,160 @@
+/**
+ * Output Variants
+ * Every stored generation is kept in three sizes: a thumbnail for gallery grids, a
+ * medium image for previews and the original. Clients choose the format (jpg, png,
+ * webp or avif) and quality with the "format" and "quality" request fields; by default
+ * the original keeps the model's format and the smaller variants are WebP.
+ *
+ * Override the sizes and default quality with IMAGE_VARIANTS (JSON, merged over the
+ * defaults), e.g.
+ * { "sizes": { "thumbnail": 320, "medium": 1280 }, "quality": 85 }
+ */
+
+import sharp from 'sharp';
+import { createApiError } from './errorHandling.js';
+import { loadJsonConfig } from './config.js';
+
+export const OUTPUT_FORMATS = ['jpg', 'png', 'webp', 'avif'];
+
+const DEFAULT_VARIANTS = {
+    // Longest side of each variant; the original is never resized
+    sizes: { thumbnail: 256, medium: 1024 },
+    // Quality for lossy formats when the client doesn't choose one
+    quality: 82,
+    // Format of the resized variants when the client doesn't choose one
+    variantFormat: 'webp',
+};
+
+const ENCODERS = {
+    jpg: { sharpFormat: 'jpeg', contentType: 'image/jpeg', options: (quality) => ({ quality, mozjpeg: true }) },
+    png: { sharpFormat: 'png', contentType: 'image/png', options: () => ({ compressionLevel: 9 }) },
+    webp: { sharpFormat: 'webp', contentType: 'image/webp', options: (quality) => ({ quality }) },
+    // Effort trades encoding time for size; the default (4) is slow for 2K images on small instances
+    avif: { sharpFormat: 'avif', contentType: 'image/avif', options: (quality) => ({ quality, effort: 2 }) },
+};
+
+// sharp's names for the formats models return
+const FROM_SHARP_FORMAT = { jpeg: 'jpg', png: 'png', webp: 'webp', heif: 'avif' };
+
+/**
+ * Load the variant settings once, merging IMAGE_VARIANTS over the defaults
+ */
+export const getVariantConfig = () => loadJsonConfig('IMAGE_VARIANTS', {
+    build: (overrides) => ({
+        ...DEFAULT_VARIANTS,
+        ...overrides,
+        sizes: { ...DEFAULT_VARIANTS.sizes, ...overrides.sizes },
+    }),
+});
+
+const invalidParameter = (messageKey, params) =>
+    createApiError(400, 'INVALID_PARAMETER', { messageKey, params });
+
+/**
+ * Middleware that reads the requested output format and quality into req.outputOptions
+ * ({ format, quality }, either null when not given). Place before quota is reserved.
+ * A PNG request also asks the model for PNG where it supports that, so a lossless
+ * output isn't made from a JPEG.
+ */
+export const parseOutputOptions = (req, res, next) => {
+    const { format, quality } = req.body || {};
+    const outputOptions = { format: null, quality: null };
+
+    if (format !== undefined && format !== '') {
+        const name = String(format).toLowerCase() === 'jpeg' ? 'jpg' : String(format).toLowerCase();
+
+        if (!OUTPUT_FORMATS.includes(name)) {
+            return next(invalidParameter('INVALID_PARAMETER_VALUES', { name: 'format', values: OUTPUT_FORMATS.join(', ') }));
+        }
+        outputOptions.format = name;
+    }
+
+    if (quality !== undefined && quality !== '') {
+        const number = Number(quality);
+
+        if (!Number.isInteger(number)) {
+            return next(invalidParameter('INVALID_PARAMETER_INTEGER', { name: 'quality' }));
+        }
+        if (number < 1 || number > 100) {
+            return next(invalidParameter('INVALID_PARAMETER_RANGE', { name: 'quality', min: 1, max: 100 }));
+        }
+        outputOptions.quality = number;
+    }
+
+    if (outputOptions.format === 'png' && req.body.output_format === undefined) {
+        req.body.output_format = 'png';
+    }
+
+    req.outputOptions = outputOptions;
+    next();
+};
+
+/**
+ * Encode one variant
+ */
+const encodeVariant = async (buffer, { maxDimension, format, quality, hasAlpha }) => {
+    const encoder = ENCODERS[format];
+    let pipeline = sharp(buffer);
+
+    if (maxDimension) {
+        pipeline = pipeline.resize({ width: maxDimension, height: maxDimension, fit: 'inside', withoutEnlargement: true });
+    }
+    // JPEG has no transparency: cutouts go on white rather than black
+    if (hasAlpha && format === 'jpg') {
+        pipeline = pipeline.flatten({ background: '#ffffff' });
+    }
+
+    const { data, info } = await pipeline
+        .toFormat(encoder.sharpFormat, encoder.options(quality))
+        .toBuffer({ resolveWithObject: true });
+
+    return { buffer: data, contentType: encoder.contentType, format, width: info.width, height: info.height, bytes: data.length };
+};
+
+/**
+ * Render the thumbnail, medium and original variants of an output image
+ *
+ * @param {Buffer} buffer - The generated (and possibly watermarked) image
+ * @param {object} [options] - From parseOutputOptions
+ * @param {string|null} [options.format] - jpg, png, webp or avif
+ * @param {number|null} [options.quality] - 1-100, for lossy formats
+ * @returns {Promise<Object<string, {buffer: Buffer, contentType: string, format: string, width: number, height: number, bytes: number}>>}
+ *   Variants by name: thumbnail, medium and original
+ * @throws {Error} If the image can't be decoded or encoded
+ */
+export const renderVariants = async (buffer, { format = null, quality = null } = {}) => {
+    const config = getVariantConfig();
+    const metadata = await sharp(buffer).metadata();
+    const sourceFormat = FROM_SHARP_FORMAT[metadata.format];
+    const lossyQuality = quality ?? config.quality;
+
+    // Nothing to change: keep the model's bytes as the original
+    const original = !format && !quality && sourceFormat
+        ? {
+            buffer,
+            contentType: ENCODERS[sourceFormat].contentType,
+            format: sourceFormat,
+            width: metadata.width,
+            height: metadata.height,
+            bytes: buffer.length,
+        }
+        : await encodeVariant(buffer, {
+            format: format || sourceFormat || 'jpg',
+            quality: lossyQuality,
+            hasAlpha: metadata.hasAlpha,
+        });
+
+    const variants = {};
+
+    for (const [name, maxDimension] of Object.entries(config.sizes)) {
+        variants[name] = await encodeVariant(buffer, {
+            maxDimension,
+            format: format || config.variantFormat,
+            quality: lossyQuality,
+            hasAlpha: metadata.hasAlpha,
+        });
+    }
+
+    variants.original = original;
+    return variants;
+};
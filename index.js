@@ -3,7 +3,18 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import admin from 'firebase-admin';
 import imageProcessorRouter from './routes/imageProcessor.js';
+import jobsRouter from './routes/jobs.js';
+import webhooksRouter from './routes/webhooks.js';
+import generationsRouter from './routes/generations.js';
+import creditsRouter from './routes/credits.js';
+import adminRouter from './routes/admin.js';
+import fakeProviderRouter from './routes/fakeProvider.js';
 import { errorHandler } from './errorHandling.js';
+import { recordModerationOutcome } from './moderation.js';
+import { getMetrics } from './metrics.js';
+import { isWatermarkingEnabled } from './watermark.js';
+import { isProviderInUse } from './modelRegistry.js';
+import { requireAdmin } from './authMiddleware.js';
 
 // Load environment variables FIRST
 dotenv.config();
@@ -22,9 +33,15 @@ if (!serviceAccount.projectId || !serviceAccount.clientEmail || !serviceAccount.
   process.exit(1);
 }
 
+// Outputs are marked on their way into the bucket, so without one they go out unmarked
+if (!process.env.FIREBASE_STORAGE_BUCKET && isWatermarkingEnabled()) {
+  console.warn('⚠️ FIREBASE_STORAGE_BUCKET is not set, so outputs will not be watermarked (see WATERMARK_CONFIG)');
+}
+
 try {
   admin.initializeApp({
     credential: admin.credential.cert(serviceAccount),
+    storageBucket: process.env.FIREBASE_STORAGE_BUCKET,
   });
   console.log('✅ Firebase initialized successfully');
 } catch (error) {
@@ -38,21 +55,41 @@ const PORT = process.env.PORT || 3000;
 
 // ========== MIDDLEWARE SETUP ==========
 app.use(cors());
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw body around for webhook signature checks
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 app.use(express.urlencoded({ extended: true }));
 
 app.get('/health', (req, res) => {
   res.json({ status: 'ok' });
 });
 
+app.get('/metrics', requireAdmin, (req, res) => {
+  res.json(getMetrics());
+});
+
 // ========== ROUTE REGISTRATION ==========
 app.use('/api', imageProcessorRouter);
+app.use('/api', jobsRouter);
+app.use('/api', webhooksRouter);
+app.use('/api', generationsRouter);
+app.use('/api', creditsRouter);
+app.use('/api', adminRouter);
+// Placeholder outputs exist only while the fake provider is configured
+if (isProviderInUse('fake')) {
+  app.use('/api', fakeProviderRouter);
+}
 
 app.get('/', (req, res) => {
     res.send('Image Processing Server is Running.');
 });
 
 // ========== GLOBAL ERROR HANDLER ==========
+// Blocked generations count toward the user's moderation cooldown
+app.use(recordModerationOutcome);
 app.use(errorHandler);
 
 // ========== SERVER START ==========
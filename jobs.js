@@ -0,0 +1,436 @@
+/**
+ * Generation Jobs
+ * Async alternative to the blocking routes: a prediction is created on the feature's provider,
+ * a job record is stored in Firestore and the client polls GET /api/jobs/:jobId.
+ * Quota reserved at creation is kept when the job succeeds and released if it fails.
+ * Fallback models are only tried while creating the prediction: the job doesn't keep
+ * the input (inline images), so a prediction that fails later can't be retried.
+ */
+
+import admin from 'firebase-admin';
+import { classifyReplicateError } from './replicateService.js';
+import { getProvider, runWithFallbacks } from './providers/index.js';
+import { releaseGeneration, addGenerationHistory } from './db-firebase.js';
+import { persistGeneratedImage, toStoredImage } from './storage-firebase.js';
+import { translate } from './i18n.js';
+import { recordNsfwBlock } from './moderation.js';
+
+const JOBS_COLLECTION = 'jobs';
+const TERMINAL_STATUSES = ['succeeded', 'failed', 'canceled'];
+
+const jobsCollection = () => admin.firestore().collection(JOBS_COLLECTION);
+
+/**
+ * Whether a Replicate prediction status is final
+ * @param {string} status - Prediction status
+ * @returns {boolean}
+ */
+export const isTerminalStatus = (status) => TERMINAL_STATUSES.includes(status);
+
+/**
+ * Extracts the first image URL from a raw prediction output.
+ * Predictions fetched over the API return plain strings, not FileOutput objects.
+ *
+ * @param {*} output - The prediction output
+ * @returns {string|null} Image URL
+ */
+function extractPredictionUrl(output) {
+    const firstItem = Array.isArray(output) ? output[0] : output;
+
+    if (typeof firstItem === 'string' && firstItem.startsWith('http')) {
+        return firstItem;
+    }
+
+    return null;
+}
+
+/**
+ * Converts a prediction into the fields stored on the job
+ * @param {object} prediction - Replicate prediction
+ * @returns {object} Job fields for the prediction's current state
+ */
+function predictionToJobFields(prediction) {
+    const fields = { status: prediction.status };
+
+    if (prediction.status === 'succeeded') {
+        const imageUrl = extractPredictionUrl(prediction.output);
+
+        if (!imageUrl) {
+            fields.status = 'failed';
+            fields.errorCode = 'GENERATION_FAILED';
+            fields.errorMessageKey = 'GENERATION_FAILED';
+            fields.errorMessage = translate('GENERATION_FAILED');
+            return fields;
+        }
+
+        fields.imageUrl = imageUrl;
+        return fields;
+    }
+
+    if (prediction.status === 'failed') {
+        // Same message shape as replicate.run() so the classification matches the blocking routes
+        const error = classifyReplicateError(new Error(`Prediction failed: ${prediction.error}`));
+        fields.errorCode = error.message;
+        fields.errorMessageKey = error.messageKey || 'GENERATION_FAILED';
+        fields.errorMessage = translate(fields.errorMessageKey);
+        return fields;
+    }
+
+    if (prediction.status === 'canceled') {
+        fields.errorCode = 'GENERATION_FAILED';
+        fields.errorMessageKey = 'JOB_CANCELED';
+        fields.errorMessage = translate('JOB_CANCELED');
+    }
+
+    return fields;
+}
+
+/**
+ * The fields of a job that failed with an error
+ * @param {Error} error - Why the job failed; API errors keep their code and message
+ * @returns {object} Job fields
+ */
+function toFailedFields(error) {
+    const errorCode = error.messageKey ? error.error : 'GENERATION_FAILED';
+    const errorMessageKey = error.messageKey || 'GENERATION_FAILED';
+
+    return {
+        status: 'failed',
+        imageUrl: null,
+        storagePath: null,
+        variants: null,
+        watermarked: null,
+        errorCode,
+        errorMessageKey,
+        errorMessage: translate(errorMessageKey, error.messageParams),
+    };
+}
+
+/**
+ * Applies a prediction update to a job. On success the output is stored and the
+ * generation is added to the user's history; on failure the quota slot is released,
+ * and an NSFW block counts toward the user's moderation cooldown. A result that
+ * can't be written fails the job.
+ * The terminal transition happens in a transaction so concurrent pollers
+ * can't finalize the same job twice.
+ *
+ * @param {FirebaseFirestore.DocumentReference} jobRef - The job document
+ * @param {object} prediction - Replicate prediction
+ * @returns {Promise<void>}
+ */
+export const applyPredictionUpdate = async (jobRef, prediction) => {
+    const db = admin.firestore();
+    const fields = predictionToJobFields(prediction);
+
+    // Copy the output to durable storage (watermarked for free users) before the job is
+    // marked succeeded, so clients never see the expiring Replicate URL. Uploads are keyed
+    // by job ID, so a concurrent finalizer reuses the same file.
+    let stored = null;
+
+    if (fields.status === 'succeeded') {
+        const current = (await jobRef.get()).data();
+
+        if (!current || isTerminalStatus(current.status)) {
+            return;
+        }
+
+        stored = await persistGeneratedImage({
+            userId: current.userId,
+            generationId: jobRef.id,
+            sourceUrl: fields.imageUrl,
+            isSubscribed: current.isSubscribed,
+            tier: current.tier,
+            feature: current.feature,
+            output: current.output,
+        });
+        Object.assign(fields, toStoredImage(stored));
+        fields.watermarked = stored.watermarked;
+    }
+
+    // Resolves to the finished job if this call moved it to a terminal state, otherwise null
+    const finalize = (jobFields) => db.runTransaction(async (transaction) => {
+        const snapshot = await transaction.get(jobRef);
+        const job = snapshot.data();
+
+        if (!job || isTerminalStatus(job.status)) {
+            return null;
+        }
+
+        const update = {
+            ...jobFields,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        };
+
+        if (isTerminalStatus(jobFields.status)) {
+            update.completedAt = admin.firestore.FieldValue.serverTimestamp();
+            // The slot was reserved when the job was created; it's only kept on success
+            update.charged = jobFields.status === 'succeeded' && !!job.quotaReservation;
+        }
+
+        transaction.update(jobRef, update);
+        return isTerminalStatus(jobFields.status) ? { ...job, ...update } : null;
+    });
+
+    let finishedJob;
+    try {
+        finishedJob = await finalize(fields);
+    } catch (error) {
+        if (!isTerminalStatus(fields.status)) {
+            throw error;
+        }
+
+        // A job that can't take its result (e.g. it won't fit the document) still has to
+        // end, or it's polled forever and its quota slot is never given back
+        console.error(`❌ Error finalizing job ${jobRef.id}, marking it failed:`, error.message);
+        finishedJob = await finalize(toFailedFields(error));
+    }
+
+    if (!finishedJob) {
+        return;
+    }
+
+    if (finishedJob.status !== 'succeeded') {
+        if (finishedJob.quotaReservation) {
+            await releaseGeneration(finishedJob.userId, finishedJob.quotaReservation);
+        }
+        if (finishedJob.errorCode === 'NSFW_BLOCKED') {
+            await recordNsfwBlock(finishedJob.userId, { feature: finishedJob.feature });
+        }
+        return;
+    }
+
+    // bg-removal jobs carry no details and aren't part of the user's history
+    if (finishedJob.details && finishedJob.userId) {
+        try {
+            await addGenerationHistory(finishedJob.userId, jobRef.id, {
+                ...finishedJob.details,
+                feature: finishedJob.feature,
+                model: finishedJob.model,
+                imageUrl: finishedJob.imageUrl,
+                storagePath: finishedJob.storagePath,
+                variants: finishedJob.variants,
+                variantPaths: stored?.variantPaths,
+                watermarked: finishedJob.watermarked,
+                countedAgainstQuota: finishedJob.charged,
+                creditsCharged: finishedJob.charged && finishedJob.quotaReservation.policy === 'credits'
+                    ? finishedJob.quotaReservation.amount
+                    : null,
+            });
+        } catch (error) {
+            console.error(`❌ Error recording history for job ${jobRef.id}:`, error.message);
+        }
+    }
+};
+
+/**
+ * Webhook registration for a job's prediction.
+ * Only possible when the server has a public URL Replicate can reach.
+ *
+ * @param {string} jobId - The job ID, passed back to us in the webhook URL
+ * @returns {object} Prediction options (empty when PUBLIC_BASE_URL is unset)
+ */
+function buildWebhookOptions(jobId) {
+    const baseUrl = process.env.PUBLIC_BASE_URL;
+
+    if (!baseUrl) {
+        return {};
+    }
+
+    return {
+        webhook: `${baseUrl.replace(/\/$/, '')}/api/webhooks/replicate?jobId=${encodeURIComponent(jobId)}`,
+        webhook_events_filter: ['completed'],
+    };
+}
+
+/**
+ * Creates a prediction on the provider and stores a job record for it
+ * @param {object} params
+ * @param {string} [params.userId] - The user's ID
+ * @param {boolean} [params.isSubscribed] - Skips the watermark
+ * @param {string} [params.tier] - The user's plan tier, for reporting remaining quota and storage retention
+ * @param {string} params.feature - Feature key (e.g. "add-tattoo")
+ * @param {string} [params.provider] - Image provider name (the default provider if omitted)
+ * @param {string} params.model - Model identifier
+ * @param {object} params.input - Model input
+ * @param {object[]} [params.fallbacks] - Fallback model requests, tried if the prediction can't be created
+ * @param {object} [params.details] - Prompt, style and parameters for the user's history
+ * @param {object} [params.output] - Requested output { format, quality } (see parseOutputOptions)
+ * @param {object} [params.quotaReservation] - Reserved quota slot ({ date }) the job now owns
+ * @returns {Promise<{id: string, status: string, model: string}>} The new job and the model it runs on
+ * @throws {Error} NSFW_BLOCKED, PAYMENT_REQUIRED or GENERATION_FAILED if the prediction can't be created
+ */
+export const createGenerationJob = async ({
+    userId, isSubscribed, tier, feature, provider, model, input, fallbacks, details, output, quotaReservation
+}) => {
+    const jobRef = jobsCollection().doc();
+    const { result: prediction, ...chosen } = await runWithFallbacks({ provider, model, input, fallbacks }, (step) => {
+        const imageProvider = getProvider(step.provider);
+        return imageProvider.createPrediction(
+            step.model,
+            step.input,
+            imageProvider.supportsWebhooks ? buildWebhookOptions(jobRef.id) : {}
+        );
+    });
+
+    await jobRef.set({
+        userId: userId || null,
+        isSubscribed: !!isSubscribed,
+        tier: tier || null,
+        feature,
+        provider: getProvider(chosen.provider).name,
+        model: chosen.model,
+        details: details || null,
+        output: output || null,
+        predictionId: prediction.id,
+        status: 'starting',
+        imageUrl: null,
+        storagePath: null,
+        variants: null,
+        errorCode: null,
+        errorMessage: null,
+        errorMessageKey: null,
+        quotaReservation: quotaReservation || null,
+        charged: false,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        completedAt: null,
+    });
+
+    await applyPredictionUpdate(jobRef, prediction);
+
+    console.log(`🧾 Job ${jobRef.id} created for prediction ${prediction.id}`);
+    return { id: jobRef.id, status: prediction.status, model: chosen.model };
+};
+
+/**
+ * Finalizes the job matching a prediction delivered by Replicate's webhook
+ * @param {object} prediction - The prediction from the webhook body
+ * @param {string} [jobId] - Job ID from the webhook URL
+ * @returns {Promise<boolean>} False if no matching job exists
+ */
+export const handlePredictionWebhook = async (prediction, jobId) => {
+    let jobRef = null;
+
+    if (jobId) {
+        jobRef = jobsCollection().doc(jobId);
+    } else {
+        const matches = await jobsCollection()
+            .where('predictionId', '==', prediction.id)
+            .limit(1)
+            .get();
+        jobRef = matches.empty ? null : matches.docs[0].ref;
+    }
+
+    const snapshot = jobRef ? await jobRef.get() : null;
+
+    // The job must exist and belong to this prediction
+    if (!snapshot?.exists || snapshot.data().predictionId !== prediction.id) {
+        console.warn(`No job found for prediction ${prediction.id}`);
+        return false;
+    }
+
+    await applyPredictionUpdate(jobRef, prediction);
+    console.log(`🔔 Job ${jobRef.id} updated from webhook: ${prediction.status}`);
+    return true;
+};
+
+/**
+ * Formats a stored job for API responses
+ * @param {string} jobId - The job ID
+ * @param {object} job - The stored job data
+ * @returns {object} Public job representation
+ */
+function serializeJob(jobId, job) {
+    return {
+        jobId,
+        feature: job.feature,
+        model: job.model || null,
+        status: job.status,
+        imageUrl: job.imageUrl || null,
+        // Signed on read and left out of responses (see withImageUrls)
+        storagePath: job.storagePath || null,
+        variants: job.variants || null,
+        watermarked: job.watermarked ?? null,
+        error: job.errorCode || null,
+        message: job.errorMessage || null,
+        createdAt: job.createdAt?.toDate?.().toISOString() || null,
+        completedAt: job.completedAt?.toDate?.().toISOString() || null,
+    };
+}
+
+/**
+ * Parses a percentage from Replicate prediction logs.
+ * Models that report progress usually print tqdm-style bars ("45%|####  | 23/50")
+ * or plain "step 23/50" lines; the last match wins.
+ *
+ * @param {string} logs - The prediction logs
+ * @returns {number|null} Progress from 0 to 100, or null if the model doesn't report it
+ */
+export const parsePredictionProgress = (logs) => {
+    if (!logs || typeof logs !== 'string') {
+        return null;
+    }
+
+    const lines = logs.trim().split('\n').reverse();
+
+    for (const line of lines) {
+        const percentMatch = line.match(/(\d{1,3})%/);
+        if (percentMatch) {
+            return Math.min(100, Number(percentMatch[1]));
+        }
+
+        const stepMatch = line.match(/(\d+)\s*\/\s*(\d+)/);
+        if (stepMatch && Number(stepMatch[2]) > 0) {
+            return Math.min(100, Math.round((Number(stepMatch[1]) / Number(stepMatch[2])) * 100));
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Gets a job, refreshing it from its provider while it's still running
+ * @param {string} jobId - The job ID
+ * @returns {Promise<object|null>} The job with its progress, userId, isSubscribed, tier and
+ *   messageKey (to localize the error message), or null if not found
+ */
+export const getGenerationJob = async (jobId) => {
+    const jobRef = jobsCollection().doc(jobId);
+    let snapshot = await jobRef.get();
+
+    if (!snapshot.exists) {
+        return null;
+    }
+
+    let progress = null;
+
+    if (!isTerminalStatus(snapshot.data().status)) {
+        try {
+            // Jobs created before providers existed ran on Replicate
+            const provider = getProvider(snapshot.data().provider || 'replicate');
+            const prediction = await provider.getPrediction(snapshot.data().predictionId);
+            progress = parsePredictionProgress(prediction.logs);
+            await applyPredictionUpdate(jobRef, prediction);
+            snapshot = await jobRef.get();
+        } catch (error) {
+            // Report the last known state rather than failing the poll
+            console.error(`Could not refresh job ${jobId}:`, error.message);
+        }
+    }
+
+    const job = snapshot.data();
+
+    if (job.status === 'succeeded') {
+        progress = 100;
+    }
+
+    return {
+        ...serializeJob(jobId, job),
+        progress,
+        userId: job.userId,
+        isSubscribed: job.isSubscribed,
+        tier: job.tier || null,
+        // Jobs that failed before messages were localized only have the English text
+        messageKey: job.errorMessageKey || null,
+    };
+};
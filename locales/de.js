@@ -0,0 +1,63 @@
+/**
+ * German messages. Missing keys fall back to English (locales/en.js).
+ */
+export default {
+  NSFW_BLOCKED: 'Das Design konnte nicht erstellt werden, weil es als Inhalt für Erwachsene markiert wurde. Versuche ein anderes Design oder formuliere deine Beschreibung genauer.',
+  NSFW_BLOCKED_OUTPUT: 'Das erstellte Design wurde als sensibler Inhalt markiert. Versuche ein anderes Design oder passe deine Beschreibung an.',
+  PAYMENT_REQUIRED: 'Nicht genügend Guthaben, um Bilder zu erstellen.',
+  GENERATION_FAILED: 'Die Erstellung ist fehlgeschlagen. Bitte versuche es erneut.',
+  IMAGE_NOT_PRODUCED: 'Das Modell hat weniger Bilder als angefragt geliefert.',
+  SERVICE_BUSY: 'Der Dienst ist ausgelastet. Bitte versuche es gleich noch einmal.',
+  GENERATION_TIMEOUT: 'Die Erstellung hat zu lange gedauert und wurde abgebrochen. Dir wurde nichts berechnet; bitte versuche es erneut.',
+  GENERATION_CANCELED: 'Die Erstellung wurde abgebrochen, weil die Anfrage geschlossen wurde.',
+  JOB_CANCELED: 'Die Erstellung wurde abgebrochen. Bitte versuche es erneut.',
+  MODERATION_COOLDOWN: 'Zu viele deiner letzten Anfragen wurden als sensible Inhalte blockiert. Bitte warte {minutes} Minuten, bevor du erneut generierst.',
+  MODERATION_BLOCKED: 'Das Generieren ist für dein Konto nach wiederholten Anfragen nach sensiblen Inhalten vorübergehend gesperrt. Versuche es in {hours} Stunden erneut.',
+
+  DAILY_LIMIT_REACHED: 'Du hast dein Tageslimit von {limit} Erstellungen erreicht. Wechsle zu einem höheren Tarif für mehr!',
+  MONTHLY_LIMIT_REACHED: 'Du hast dein Monatslimit von {limit} Erstellungen erreicht. Wechsle zu einem höheren Tarif für mehr!',
+  COUNT_EXCEEDS_REMAINING: 'Du hast {count} Bilder angefragt, hast aber nur noch {remaining} Erstellungen. Frage weniger an oder wechsle zu einem höheren Tarif!',
+  INSUFFICIENT_CREDITS: 'Diese Erstellung kostet {cost} Credits und du hast noch {balance}. Wechsle zu einem höheren Tarif für mehr!',
+  FEATURE_NOT_AVAILABLE: 'Diese Funktion ist in deinem Tarif nicht enthalten. Wechsle zu einem höheren Tarif, um sie freizuschalten!',
+  LIMIT_CHECK_FAILED: 'Dein Erstellungslimit konnte nicht geprüft werden. Bitte versuche es erneut.',
+
+  UNAUTHENTICATED: 'Bitte melde dich an.',
+  SESSION_EXPIRED: 'Deine Sitzung ist abgelaufen. Bitte melde dich erneut an.',
+  FORBIDDEN: 'Du kannst nur auf dein eigenes Konto zugreifen.',
+
+  GENERATION_NOT_FOUND: 'Es gibt keine Erstellung mit dieser ID.',
+  JOB_NOT_FOUND: 'Es gibt keinen Erstellungsauftrag mit dieser ID.',
+
+  IMAGE_REQUIRED: 'Im Feld „{field}“ wird eine Bilddatei benötigt.',
+  PROMPT_REQUIRED: 'Eine Beschreibung wird benötigt.',
+  STYLE_REQUIRED: 'Im Feld „style“ wird eine Stilbeschreibung benötigt.',
+  TATTOO_IMAGES_REQUIRED: 'Das Foto („originalPhoto“) und entweder eine Maske („resizedImage“) oder eine Platzierung („placement“) werden benötigt.',
+  TATTOO_MASK_CONFLICT: 'Sende entweder eine Maske („resizedImage“) oder eine Platzierung („placement“), nicht beides.',
+  INVALID_PLACEMENT: '„placement“ muss JSON sein, das ein Rechteck ({"centerX", "centerY", "width", "rotation"}) oder ein Polygon ({"points": [[x, y], ...]}, 3 bis 200 Punkte) beschreibt.',
+  PLACEMENT_OUTSIDE_PHOTO: 'Die Platzierung liegt vollständig außerhalb des Fotos.',
+  TOO_MANY_IMAGES: 'Höchstens {max} Bilder sind erlaubt.',
+  INVALID_SIZE: 'size muss einer dieser Werte sein: {sizes}.',
+  USER_ID_REQUIRED: 'userId wird benötigt.',
+  INVALID_PARAMETER_VALUES: '„{name}“ muss einer dieser Werte sein: {values}.',
+  INVALID_PARAMETER_INTEGER: '„{name}“ muss eine ganze Zahl sein.',
+  INVALID_PARAMETER_NUMBER: '„{name}“ muss eine Zahl sein.',
+  INVALID_PARAMETER_RANGE: '„{name}“ muss zwischen {min} und {max} liegen.',
+  INVALID_PARAMETER_BOOLEAN: '„{name}“ muss true oder false sein.',
+
+  INVALID_UPLOAD: 'Einige Felder sind ungültig: {fields}.',
+  TEXT_REQUIRED: '„{field}“ ist erforderlich.',
+  TEXT_INVALID: '„{field}“ muss Text sein.',
+  TEXT_TOO_SHORT: '„{field}“ muss mindestens {minLength} Zeichen lang sein.',
+  TEXT_TOO_LONG: '„{field}“ darf höchstens {maxLength} Zeichen lang sein.',
+  TEXT_INVALID_CHARACTERS: '„{field}“ enthält unzulässige Zeichen.',
+  FILE_TOO_LARGE: '„{field}“ ist größer als {maxMb} MB.',
+  FIELD_TOO_LARGE: '„{field}“ ist größer als {maxKb} KB.',
+  UNSUPPORTED_FILE_TYPE: '„{field}“ muss einer dieser Bildtypen sein: {types}.',
+  IMAGE_UNREADABLE: '„{field}“ konnte nicht als Bild gelesen werden.',
+  IMAGE_TOO_SMALL: '„{field}“ muss mindestens {minWidth}×{minHeight} Pixel groß sein.',
+  IMAGE_TOO_LARGE: '„{field}“ darf höchstens {maxWidth}×{maxHeight} Pixel groß sein.',
+  UNEXPECTED_FILE: '„{field}“ ist kein zulässiges Dateifeld.',
+  MALFORMED_UPLOAD: 'Der Upload konnte nicht gelesen werden.',
+
+  INTERNAL_ERROR: 'Ein unerwarteter Fehler ist aufgetreten. Bitte versuche es erneut.',
+};
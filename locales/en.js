@@ -0,0 +1,82 @@
+/**
+ * English messages, the fallback for every other locale.
+ * Keys are error codes, or a more specific message key where one code has
+ * several messages (e.g. SESSION_EXPIRED is sent with UNAUTHENTICATED).
+ * {placeholders} are filled from the error's parameters.
+ */
+export default {
+  // Generation
+  NSFW_BLOCKED: 'The design could not be generated because it was flagged as adult content. Try a different design or adjust your prompt to be more specific.',
+  NSFW_BLOCKED_OUTPUT: 'The generated design was flagged as sensitive content. Please try a different design or adjust your prompt.',
+  PAYMENT_REQUIRED: 'Insufficient credit to generate images.',
+  GENERATION_FAILED: 'Failed to generate. Please try again.',
+  IMAGE_NOT_PRODUCED: 'The model returned fewer images than requested.',
+  SERVICE_BUSY: 'Service is busy. Please try again in a moment.',
+  GENERATION_TIMEOUT: 'The generation took too long and was canceled. You were not charged; please try again.',
+  GENERATION_CANCELED: 'The generation was canceled because the request was closed.',
+  JOB_CANCELED: 'The generation was canceled. Please try again.',
+  MODERATION_COOLDOWN: 'Too many of your recent requests were blocked as sensitive content. Please wait {minutes} minutes before generating again.',
+  MODERATION_BLOCKED: 'Generating is temporarily disabled for your account after repeated requests for sensitive content. Try again in {hours} hours.',
+
+  // Plans and limits
+  DAILY_LIMIT_REACHED: 'You have reached your daily limit of {limit} generations. Upgrade your plan for more!',
+  MONTHLY_LIMIT_REACHED: 'You have reached your monthly limit of {limit} generations. Upgrade your plan for more!',
+  COUNT_EXCEEDS_REMAINING: 'You asked for {count} images but only have {remaining} generations left. Ask for fewer, or upgrade your plan for more!',
+  INSUFFICIENT_CREDITS: 'This generation costs {cost} credits and you have {balance} left. Upgrade your plan for more!',
+  FEATURE_NOT_AVAILABLE: 'This feature is not included in your plan. Upgrade to unlock it!',
+  LIMIT_CHECK_FAILED: 'We could not check your generation limit. Please try again.',
+
+  // Authentication
+  UNAUTHENTICATED: 'Authentication is required. Send a Firebase ID token in the Authorization header.',
+  SESSION_EXPIRED: 'Your session has expired. Please sign in again.',
+  FORBIDDEN: 'You can only access your own account.',
+  ADMIN_REQUIRED: 'Admin access is required.',
+
+  // Lookups
+  GENERATION_NOT_FOUND: 'No generation exists with this ID.',
+  JOB_NOT_FOUND: 'No generation job exists with this ID.',
+
+  // Validation
+  IMAGE_REQUIRED: 'An image file is required in the "{field}" field.',
+  PROMPT_REQUIRED: 'A prompt is required.',
+  STYLE_REQUIRED: 'A style prompt is required in the "style" field.',
+  TATTOO_IMAGES_REQUIRED: 'The photo ("originalPhoto") and either a mask ("resizedImage") or a placement ("placement") are required.',
+  TATTOO_MASK_CONFLICT: 'Send either a mask ("resizedImage") or a placement ("placement"), not both.',
+  INVALID_PLACEMENT: '"placement" must be JSON describing a box ({"centerX", "centerY", "width", "rotation"}) or a polygon ({"points": [[x, y], ...]}, 3 to 200 points).',
+  PLACEMENT_OUTSIDE_PHOTO: 'The placement does not cover any part of the photo.',
+  TOO_MANY_IMAGES: 'At most {max} images are allowed.',
+  INVALID_SIZE: 'size must be one of: {sizes}.',
+  USER_ID_REQUIRED: 'userId is required.',
+  INVALID_PARAMETER_VALUES: '"{name}" must be one of: {values}.',
+  INVALID_PARAMETER_INTEGER: '"{name}" must be an integer.',
+  INVALID_PARAMETER_NUMBER: '"{name}" must be a number.',
+  INVALID_PARAMETER_RANGE: '"{name}" must be between {min} and {max}.',
+  INVALID_PARAMETER_BOOLEAN: '"{name}" must be true or false.',
+
+  // Upload validation (one message per failing field)
+  INVALID_UPLOAD: 'Some fields are invalid: {fields}.',
+  TEXT_REQUIRED: '"{field}" is required.',
+  TEXT_INVALID: '"{field}" must be text.',
+  TEXT_TOO_SHORT: '"{field}" must be at least {minLength} characters long.',
+  TEXT_TOO_LONG: '"{field}" must be at most {maxLength} characters long.',
+  TEXT_INVALID_CHARACTERS: '"{field}" contains characters that are not allowed.',
+  FILE_TOO_LARGE: '"{field}" is larger than {maxMb} MB.',
+  FIELD_TOO_LARGE: '"{field}" is larger than {maxKb} KB.',
+  UNSUPPORTED_FILE_TYPE: '"{field}" must be one of these image types: {types}.',
+  IMAGE_UNREADABLE: '"{field}" could not be read as an image.',
+  IMAGE_TOO_SMALL: '"{field}" must be at least {minWidth}×{minHeight} pixels.',
+  IMAGE_TOO_LARGE: '"{field}" must be at most {maxWidth}×{maxHeight} pixels.',
+  UNEXPECTED_FILE: '"{field}" is not an accepted file field.',
+  MALFORMED_UPLOAD: 'The upload could not be read.',
+
+  INTERNAL_ERROR: 'An unexpected error occurred. Please try again.',
+
+  // Operator-facing (webhooks, development); not translated
+  WEBHOOK_NOT_CONFIGURED: 'Webhook verification is not configured.',
+  INVALID_SIGNATURE: 'Webhook signature could not be verified.',
+  INVALID_AUTHORIZATION: 'Webhook authorization could not be verified.',
+  INVALID_PREDICTION_PAYLOAD: 'Webhook body is not a prediction.',
+  INVALID_REVENUECAT_PAYLOAD: 'Webhook body is not a RevenueCat event.',
+  WEBHOOK_JOB_NOT_FOUND: 'No generation job matches this prediction.',
+  FAKE_OUTPUT_NOT_FOUND: 'No fake output exists with this name.',
+};
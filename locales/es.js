@@ -0,0 +1,63 @@
+/**
+ * Spanish messages. Missing keys fall back to English (locales/en.js).
+ */
+export default {
+  NSFW_BLOCKED: 'No se pudo generar el diseño porque se marcó como contenido para adultos. Prueba con otro diseño o haz tu descripción más específica.',
+  NSFW_BLOCKED_OUTPUT: 'El diseño generado se marcó como contenido sensible. Prueba con otro diseño o ajusta tu descripción.',
+  PAYMENT_REQUIRED: 'No hay crédito suficiente para generar imágenes.',
+  GENERATION_FAILED: 'No se pudo generar. Inténtalo de nuevo.',
+  IMAGE_NOT_PRODUCED: 'El modelo devolvió menos imágenes de las solicitadas.',
+  SERVICE_BUSY: 'El servicio está ocupado. Inténtalo de nuevo en un momento.',
+  GENERATION_TIMEOUT: 'La generación tardó demasiado y se canceló. No se te ha cobrado; inténtalo de nuevo.',
+  GENERATION_CANCELED: 'La generación se canceló porque se cerró la solicitud.',
+  JOB_CANCELED: 'La generación se canceló. Inténtalo de nuevo.',
+  MODERATION_COOLDOWN: 'Demasiadas de tus solicitudes recientes se bloquearon por contenido sensible. Espera {minutes} minutos antes de volver a generar.',
+  MODERATION_BLOCKED: 'La generación está desactivada temporalmente en tu cuenta tras repetidas solicitudes de contenido sensible. Inténtalo de nuevo en {hours} horas.',
+
+  DAILY_LIMIT_REACHED: 'Has alcanzado tu límite diario de {limit} generaciones. ¡Mejora tu plan para obtener más!',
+  MONTHLY_LIMIT_REACHED: 'Has alcanzado tu límite mensual de {limit} generaciones. ¡Mejora tu plan para obtener más!',
+  COUNT_EXCEEDS_REMAINING: 'Pediste {count} imágenes pero solo te quedan {remaining} generaciones. Pide menos o mejora tu plan para obtener más.',
+  INSUFFICIENT_CREDITS: 'Esta generación cuesta {cost} créditos y te quedan {balance}. ¡Mejora tu plan para obtener más!',
+  FEATURE_NOT_AVAILABLE: 'Esta función no está incluida en tu plan. ¡Mejóralo para desbloquearla!',
+  LIMIT_CHECK_FAILED: 'No pudimos comprobar tu límite de generaciones. Inténtalo de nuevo.',
+
+  UNAUTHENTICATED: 'Debes iniciar sesión.',
+  SESSION_EXPIRED: 'Tu sesión ha caducado. Vuelve a iniciar sesión.',
+  FORBIDDEN: 'Solo puedes acceder a tu propia cuenta.',
+
+  GENERATION_NOT_FOUND: 'No existe ninguna generación con este ID.',
+  JOB_NOT_FOUND: 'No existe ninguna tarea de generación con este ID.',
+
+  IMAGE_REQUIRED: 'Se requiere un archivo de imagen en el campo "{field}".',
+  PROMPT_REQUIRED: 'Se requiere una descripción.',
+  STYLE_REQUIRED: 'Se requiere una descripción del estilo en el campo "style".',
+  TATTOO_IMAGES_REQUIRED: 'Se requieren la foto ("originalPhoto") y una máscara ("resizedImage") o una ubicación ("placement").',
+  TATTOO_MASK_CONFLICT: 'Envía una máscara ("resizedImage") o una ubicación ("placement"), no ambas.',
+  INVALID_PLACEMENT: '"placement" debe ser un JSON que describa un rectángulo ({"centerX", "centerY", "width", "rotation"}) o un polígono ({"points": [[x, y], ...]}, de 3 a 200 puntos).',
+  PLACEMENT_OUTSIDE_PHOTO: 'La ubicación no cubre ninguna parte de la foto.',
+  TOO_MANY_IMAGES: 'Se permiten como máximo {max} imágenes.',
+  INVALID_SIZE: 'size debe ser uno de: {sizes}.',
+  USER_ID_REQUIRED: 'Se requiere userId.',
+  INVALID_PARAMETER_VALUES: '"{name}" debe ser uno de: {values}.',
+  INVALID_PARAMETER_INTEGER: '"{name}" debe ser un número entero.',
+  INVALID_PARAMETER_NUMBER: '"{name}" debe ser un número.',
+  INVALID_PARAMETER_RANGE: '"{name}" debe estar entre {min} y {max}.',
+  INVALID_PARAMETER_BOOLEAN: '"{name}" debe ser true o false.',
+
+  INVALID_UPLOAD: 'Algunos campos no son válidos: {fields}.',
+  TEXT_REQUIRED: '"{field}" es obligatorio.',
+  TEXT_INVALID: '"{field}" debe ser texto.',
+  TEXT_TOO_SHORT: '"{field}" debe tener al menos {minLength} caracteres.',
+  TEXT_TOO_LONG: '"{field}" debe tener como máximo {maxLength} caracteres.',
+  TEXT_INVALID_CHARACTERS: '"{field}" contiene caracteres no permitidos.',
+  FILE_TOO_LARGE: '"{field}" ocupa más de {maxMb} MB.',
+  FIELD_TOO_LARGE: '"{field}" ocupa más de {maxKb} KB.',
+  UNSUPPORTED_FILE_TYPE: '"{field}" debe ser uno de estos tipos de imagen: {types}.',
+  IMAGE_UNREADABLE: '"{field}" no se pudo leer como imagen.',
+  IMAGE_TOO_SMALL: '"{field}" debe medir al menos {minWidth}×{minHeight} píxeles.',
+  IMAGE_TOO_LARGE: '"{field}" debe medir como máximo {maxWidth}×{maxHeight} píxeles.',
+  UNEXPECTED_FILE: '"{field}" no es un campo de archivo aceptado.',
+  MALFORMED_UPLOAD: 'No se pudo leer el archivo enviado.',
+
+  INTERNAL_ERROR: 'Se produjo un error inesperado. Inténtalo de nuevo.',
+};
@@ -0,0 +1,63 @@
+/**
+ * French messages. Missing keys fall back to English (locales/en.js).
+ */
+export default {
+  NSFW_BLOCKED: 'Le design n’a pas pu être généré, car il a été signalé comme contenu pour adultes. Essayez un autre design ou précisez votre description.',
+  NSFW_BLOCKED_OUTPUT: 'Le design généré a été signalé comme contenu sensible. Essayez un autre design ou modifiez votre description.',
+  PAYMENT_REQUIRED: 'Crédit insuffisant pour générer des images.',
+  GENERATION_FAILED: 'La génération a échoué. Veuillez réessayer.',
+  IMAGE_NOT_PRODUCED: 'Le modèle a renvoyé moins d’images que demandé.',
+  SERVICE_BUSY: 'Le service est occupé. Veuillez réessayer dans un instant.',
+  GENERATION_TIMEOUT: 'La génération a pris trop de temps et a été annulée. Rien ne vous a été facturé ; veuillez réessayer.',
+  GENERATION_CANCELED: 'La génération a été annulée, car la requête a été fermée.',
+  JOB_CANCELED: 'La génération a été annulée. Veuillez réessayer.',
+  MODERATION_COOLDOWN: 'Trop de vos demandes récentes ont été bloquées pour contenu sensible. Veuillez patienter {minutes} minutes avant de générer à nouveau.',
+  MODERATION_BLOCKED: 'La génération est temporairement désactivée sur votre compte après des demandes répétées de contenu sensible. Réessayez dans {hours} heures.',
+
+  DAILY_LIMIT_REACHED: 'Vous avez atteint votre limite quotidienne de {limit} générations. Passez à un plan supérieur pour en obtenir plus !',
+  MONTHLY_LIMIT_REACHED: 'Vous avez atteint votre limite mensuelle de {limit} générations. Passez à un plan supérieur pour en obtenir plus !',
+  COUNT_EXCEEDS_REMAINING: 'Vous avez demandé {count} images mais il ne vous reste que {remaining} générations. Demandez-en moins ou passez à un plan supérieur !',
+  INSUFFICIENT_CREDITS: 'Cette génération coûte {cost} crédits et il vous en reste {balance}. Passez à un plan supérieur pour en obtenir plus !',
+  FEATURE_NOT_AVAILABLE: 'Cette fonctionnalité n’est pas incluse dans votre plan. Passez à un plan supérieur pour la débloquer !',
+  LIMIT_CHECK_FAILED: 'Nous n’avons pas pu vérifier votre limite de générations. Veuillez réessayer.',
+
+  UNAUTHENTICATED: 'Vous devez vous connecter.',
+  SESSION_EXPIRED: 'Votre session a expiré. Veuillez vous reconnecter.',
+  FORBIDDEN: 'Vous ne pouvez accéder qu’à votre propre compte.',
+
+  GENERATION_NOT_FOUND: 'Aucune génération ne correspond à cet identifiant.',
+  JOB_NOT_FOUND: 'Aucune tâche de génération ne correspond à cet identifiant.',
+
+  IMAGE_REQUIRED: 'Un fichier image est requis dans le champ « {field} ».',
+  PROMPT_REQUIRED: 'Une description est requise.',
+  STYLE_REQUIRED: 'Une description du style est requise dans le champ « style ».',
+  TATTOO_IMAGES_REQUIRED: 'La photo (« originalPhoto ») et un masque (« resizedImage ») ou un emplacement (« placement ») sont requis.',
+  TATTOO_MASK_CONFLICT: 'Envoyez soit un masque (« resizedImage »), soit un emplacement (« placement »), pas les deux.',
+  INVALID_PLACEMENT: '« placement » doit être un JSON décrivant un rectangle ({"centerX", "centerY", "width", "rotation"}) ou un polygone ({"points": [[x, y], ...]}, de 3 à 200 points).',
+  PLACEMENT_OUTSIDE_PHOTO: 'L’emplacement ne couvre aucune partie de la photo.',
+  TOO_MANY_IMAGES: '{max} images au maximum sont autorisées.',
+  INVALID_SIZE: 'size doit valoir : {sizes}.',
+  USER_ID_REQUIRED: 'userId est requis.',
+  INVALID_PARAMETER_VALUES: '« {name} » doit valoir : {values}.',
+  INVALID_PARAMETER_INTEGER: '« {name} » doit être un nombre entier.',
+  INVALID_PARAMETER_NUMBER: '« {name} » doit être un nombre.',
+  INVALID_PARAMETER_RANGE: '« {name} » doit être compris entre {min} et {max}.',
+  INVALID_PARAMETER_BOOLEAN: '« {name} » doit valoir true ou false.',
+
+  INVALID_UPLOAD: 'Certains champs ne sont pas valides : {fields}.',
+  TEXT_REQUIRED: '« {field} » est obligatoire.',
+  TEXT_INVALID: '« {field} » doit être du texte.',
+  TEXT_TOO_SHORT: '« {field} » doit contenir au moins {minLength} caractères.',
+  TEXT_TOO_LONG: '« {field} » doit contenir au plus {maxLength} caractères.',
+  TEXT_INVALID_CHARACTERS: '« {field} » contient des caractères non autorisés.',
+  FILE_TOO_LARGE: '« {field} » dépasse {maxMb} Mo.',
+  FIELD_TOO_LARGE: '« {field} » dépasse {maxKb} Ko.',
+  UNSUPPORTED_FILE_TYPE: '« {field} » doit être une image de l’un de ces types : {types}.',
+  IMAGE_UNREADABLE: '« {field} » n’a pas pu être lu comme une image.',
+  IMAGE_TOO_SMALL: '« {field} » doit mesurer au moins {minWidth}×{minHeight} pixels.',
+  IMAGE_TOO_LARGE: '« {field} » doit mesurer au plus {maxWidth}×{maxHeight} pixels.',
+  UNEXPECTED_FILE: '« {field} » n’est pas un champ de fichier accepté.',
+  MALFORMED_UPLOAD: 'Le fichier envoyé n’a pas pu être lu.',
+
+  INTERNAL_ERROR: 'Une erreur inattendue s’est produite. Veuillez réessayer.',
+};
@@ -0,0 +1,63 @@
+/**
+ * Portuguese messages. Missing keys fall back to English (locales/en.js).
+ */
+export default {
+  NSFW_BLOCKED: 'Não foi possível gerar o design porque ele foi marcado como conteúdo adulto. Tente outro design ou deixe sua descrição mais específica.',
+  NSFW_BLOCKED_OUTPUT: 'O design gerado foi marcado como conteúdo sensível. Tente outro design ou ajuste sua descrição.',
+  PAYMENT_REQUIRED: 'Crédito insuficiente para gerar imagens.',
+  GENERATION_FAILED: 'Não foi possível gerar. Tente novamente.',
+  IMAGE_NOT_PRODUCED: 'O modelo retornou menos imagens do que o solicitado.',
+  SERVICE_BUSY: 'O serviço está ocupado. Tente novamente em instantes.',
+  GENERATION_TIMEOUT: 'A geração demorou demais e foi cancelada. Nada foi cobrado; tente novamente.',
+  GENERATION_CANCELED: 'A geração foi cancelada porque a solicitação foi encerrada.',
+  JOB_CANCELED: 'A geração foi cancelada. Tente novamente.',
+  MODERATION_COOLDOWN: 'Muitas das suas solicitações recentes foram bloqueadas por conteúdo sensível. Aguarde {minutes} minutos antes de gerar novamente.',
+  MODERATION_BLOCKED: 'A geração está temporariamente desativada na sua conta após repetidas solicitações de conteúdo sensível. Tente novamente em {hours} horas.',
+
+  DAILY_LIMIT_REACHED: 'Você atingiu seu limite diário de {limit} gerações. Faça upgrade do seu plano para ter mais!',
+  MONTHLY_LIMIT_REACHED: 'Você atingiu seu limite mensal de {limit} gerações. Faça upgrade do seu plano para ter mais!',
+  COUNT_EXCEEDS_REMAINING: 'Você pediu {count} imagens, mas só tem {remaining} gerações restantes. Peça menos ou faça upgrade do seu plano!',
+  INSUFFICIENT_CREDITS: 'Esta geração custa {cost} créditos e você tem {balance}. Faça upgrade do seu plano para ter mais!',
+  FEATURE_NOT_AVAILABLE: 'Este recurso não está incluído no seu plano. Faça upgrade para desbloqueá-lo!',
+  LIMIT_CHECK_FAILED: 'Não foi possível verificar seu limite de gerações. Tente novamente.',
+
+  UNAUTHENTICATED: 'É necessário entrar na sua conta.',
+  SESSION_EXPIRED: 'Sua sessão expirou. Entre novamente.',
+  FORBIDDEN: 'Você só pode acessar a sua própria conta.',
+
+  GENERATION_NOT_FOUND: 'Não existe nenhuma geração com este ID.',
+  JOB_NOT_FOUND: 'Não existe nenhuma tarefa de geração com este ID.',
+
+  IMAGE_REQUIRED: 'É necessário um arquivo de imagem no campo "{field}".',
+  PROMPT_REQUIRED: 'É necessária uma descrição.',
+  STYLE_REQUIRED: 'É necessária uma descrição do estilo no campo "style".',
+  TATTOO_IMAGES_REQUIRED: 'São necessárias a foto ("originalPhoto") e uma máscara ("resizedImage") ou um posicionamento ("placement").',
+  TATTOO_MASK_CONFLICT: 'Envie uma máscara ("resizedImage") ou um posicionamento ("placement"), não ambos.',
+  INVALID_PLACEMENT: '"placement" deve ser um JSON que descreva um retângulo ({"centerX", "centerY", "width", "rotation"}) ou um polígono ({"points": [[x, y], ...]}, de 3 a 200 pontos).',
+  PLACEMENT_OUTSIDE_PHOTO: 'O posicionamento não cobre nenhuma parte da foto.',
+  TOO_MANY_IMAGES: 'São permitidas no máximo {max} imagens.',
+  INVALID_SIZE: 'size deve ser um destes valores: {sizes}.',
+  USER_ID_REQUIRED: 'userId é obrigatório.',
+  INVALID_PARAMETER_VALUES: '"{name}" deve ser um destes valores: {values}.',
+  INVALID_PARAMETER_INTEGER: '"{name}" deve ser um número inteiro.',
+  INVALID_PARAMETER_NUMBER: '"{name}" deve ser um número.',
+  INVALID_PARAMETER_RANGE: '"{name}" deve estar entre {min} e {max}.',
+  INVALID_PARAMETER_BOOLEAN: '"{name}" deve ser true ou false.',
+
+  INVALID_UPLOAD: 'Alguns campos são inválidos: {fields}.',
+  TEXT_REQUIRED: '"{field}" é obrigatório.',
+  TEXT_INVALID: '"{field}" deve ser texto.',
+  TEXT_TOO_SHORT: '"{field}" deve ter pelo menos {minLength} caracteres.',
+  TEXT_TOO_LONG: '"{field}" deve ter no máximo {maxLength} caracteres.',
+  TEXT_INVALID_CHARACTERS: '"{field}" contém caracteres não permitidos.',
+  FILE_TOO_LARGE: '"{field}" tem mais de {maxMb} MB.',
+  FIELD_TOO_LARGE: '"{field}" tem mais de {maxKb} KB.',
+  UNSUPPORTED_FILE_TYPE: '"{field}" deve ser um destes tipos de imagem: {types}.',
+  IMAGE_UNREADABLE: '"{field}" não pôde ser lido como imagem.',
+  IMAGE_TOO_SMALL: '"{field}" deve ter pelo menos {minWidth}×{minHeight} pixels.',
+  IMAGE_TOO_LARGE: '"{field}" deve ter no máximo {maxWidth}×{maxHeight} pixels.',
+  UNEXPECTED_FILE: '"{field}" não é um campo de arquivo aceito.',
+  MALFORMED_UPLOAD: 'Não foi possível ler o envio.',
+
+  INTERNAL_ERROR: 'Ocorreu um erro inesperado. Tente novamente.',
+};
@@ -0,0 +1,24 @@
+/**
+ * In-process counters, exposed at GET /metrics.
+ * Counts reset when the process restarts.
+ */
+
+const counters = new Map();
+const startedAt = new Date();
+
+/**
+ * Add to a named counter
+ * @param {string} name - e.g. "subscription_cache_hits"
+ * @param {number} [amount=1]
+ */
+export const incrementMetric = (name, amount = 1) => {
+  counters.set(name, (counters.get(name) || 0) + amount);
+};
+
+/**
+ * Snapshot of all counters
+ */
+export const getMetrics = () => ({
+  since: startedAt.toISOString(),
+  counters: Object.fromEntries(counters),
+});
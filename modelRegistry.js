@@ -0,0 +1,383 @@
+/**
+ * Model Registry
+ * Defines, per feature, which model runs it, where, and with what input:
+ * - provider: image provider name (see providers/index.js); null uses IMAGE_PROVIDER
+ * - model: "owner/name", optionally pinned with version
+ * - defaults: input sent on every request
+ * - parameters: inputs clients may override, with their allowed values
+ *   ({ type: 'enum', values }, { type: 'integer' | 'number', min, max }, { type: 'boolean' })
+ * - output: 'image' (a single file) or 'images' (a list; the first is used, or all of a
+ *   multi-image request)
+ * - multipleOutputs: for models that can return several images from one prediction,
+ *   { parameter, input }: the image count goes in `parameter`, alongside `input`.
+ *   Multi-image requests on other models run one prediction per image.
+ * - imageInput: what the model accepts as input images ({ maxDimension, formats });
+ *   uploads are downscaled and converted to fit (see imagePreprocessing.js)
+ * - fallbacks: models tried in order when the model fails for a reason another model
+ *   may not share (see providers/index.js). Each has provider, model, version, defaults
+ *   and an adapter, the name of an INPUT_ADAPTERS function that maps this entry's input
+ *   onto the fallback model's. A fallback may have its own imageInput; images are
+ *   prepared once, to fit every model in the chain.
+ *
+ * Override entries with MODEL_REGISTRY (JSON, merged per feature over the defaults), e.g.
+ * {
+ *   "text-to-image": { "model": "google/imagen-4-fast" },
+ *   "bg-removal": { "provider": "fake" },
+ *   "back-in-time": { "version": "5f6c3d9a...", "defaults": { "enhance_prompt": false } },
+ *   "add-tattoo": { "fallbacks": [] }
+ * }
+ * A "fallbacks" override replaces the whole list.
+ */
+
+import { getDefaultProviderName } from './providers/index.js';
+import { createApiError } from './errorHandling.js';
+import { loadJsonConfig } from './config.js';
+
+const ASPECT_RATIOS = ['1:1', '3:4', '4:3', '9:16', '16:9'];
+
+// What models accept unless their entry says otherwise
+const DEFAULT_IMAGE_INPUT = { maxDimension: null, formats: ['jpeg', 'png', 'webp'] };
+
+/**
+ * Input adapters for fallback models. Each takes the resolved input of the feature's
+ * primary model and returns the fallback's input, or null if the fallback can't
+ * handle the request (it is then skipped).
+ */
+const INPUT_ADAPTERS = {
+  // Same input schema
+  identity: (input) => input,
+
+  // nano-banana -> flux-kontext: a single input_image, so two-image requests can't fall back
+  'nano-banana-to-kontext': ({ image_input: images = [], ...input }) =>
+    images.length === 1 ? { ...input, input_image: images[0] } : null,
+
+  // seedream-4 -> nano-banana: no size or prompt enhancement options
+  'seedream-to-nano-banana': ({ prompt, image_input, aspect_ratio }) => ({
+    prompt,
+    image_input,
+    ...(aspect_ratio ? { aspect_ratio } : {}),
+  }),
+
+  // flux-fill-pro -> flux-fill-dev: steps are named num_inference_steps
+  'flux-fill-pro-to-dev': ({ image, mask, prompt, steps, guidance, output_format }) => ({
+    image,
+    mask,
+    prompt,
+    num_inference_steps: steps,
+    guidance,
+    output_format,
+  }),
+};
+
+const DEFAULT_REGISTRY = {
+  'text-to-image': {
+    model: 'google/imagen-4',
+    provider: null,
+    version: null,
+    defaults: {},
+    parameters: {
+      aspect_ratio: { type: 'enum', values: ASPECT_RATIOS },
+      output_format: { type: 'enum', values: ['jpg', 'png'] },
+      safety_filter_level: {
+        type: 'enum',
+        values: ['block_low_and_above', 'block_medium_and_above', 'block_only_high'],
+      },
+    },
+    output: 'image',
+    fallbacks: [
+      { provider: null, model: 'google/imagen-4-fast', version: null, defaults: {}, adapter: 'identity' },
+    ],
+  },
+  'style-image': {
+    model: 'google/nano-banana',
+    provider: null,
+    version: null,
+    defaults: { aspect_ratio: 'match_input_image', output_format: 'jpg' },
+    parameters: {
+      aspect_ratio: { type: 'enum', values: ['match_input_image', ...ASPECT_RATIOS] },
+      output_format: { type: 'enum', values: ['jpg', 'png'] },
+    },
+    output: 'image',
+    imageInput: { maxDimension: 2048, formats: ['jpeg', 'png', 'webp'] },
+    fallbacks: [
+      {
+        provider: null,
+        model: 'black-forest-labs/flux-kontext-pro',
+        version: null,
+        defaults: { output_format: 'jpg' },
+        adapter: 'nano-banana-to-kontext',
+        imageInput: { maxDimension: 2048, formats: ['jpeg', 'png', 'webp', 'gif'] },
+      },
+    ],
+  },
+  'back-in-time': {
+    model: 'bytedance/seedream-4',
+    provider: null,
+    version: null,
+    defaults: { size: '2K', enhance_prompt: true, sequential_image_generation: 'disabled' },
+    parameters: {
+      size: { type: 'enum', values: ['1K', '2K', '4K'] },
+      aspect_ratio: { type: 'enum', values: ['match_input_image', ...ASPECT_RATIOS] },
+      enhance_prompt: { type: 'boolean' },
+    },
+    output: 'images',
+    multipleOutputs: { parameter: 'max_images', input: { sequential_image_generation: 'auto' } },
+    imageInput: { maxDimension: 4096, formats: ['jpeg', 'png'] },
+    fallbacks: [
+      {
+        provider: null,
+        model: 'google/nano-banana',
+        version: null,
+        defaults: { output_format: 'jpg' },
+        adapter: 'seedream-to-nano-banana',
+        imageInput: { maxDimension: 2048, formats: ['jpeg', 'png', 'webp'] },
+      },
+    ],
+  },
+  'add-tattoo': {
+    model: 'black-forest-labs/flux-fill-pro',
+    provider: null,
+    version: null,
+    defaults: {
+      steps: 50,
+      guidance: 60,
+      outpaint: 'None',
+      output_format: 'jpg',
+      safety_tolerance: 2,
+      prompt_upsampling: false,
+    },
+    parameters: {
+      steps: { type: 'integer', min: 15, max: 50 },
+      guidance: { type: 'number', min: 1.5, max: 100 },
+      output_format: { type: 'enum', values: ['jpg', 'png'] },
+    },
+    output: 'image',
+    imageInput: { maxDimension: 2048, formats: ['jpeg', 'png'] },
+    fallbacks: [
+      {
+        provider: null,
+        model: 'black-forest-labs/flux-fill-dev',
+        version: null,
+        defaults: {},
+        adapter: 'flux-fill-pro-to-dev',
+        imageInput: { maxDimension: 2048, formats: ['jpeg', 'png'] },
+      },
+    ],
+  },
+  'bg-removal': {
+    model: 'recraft-ai/recraft-remove-background',
+    provider: null,
+    version: null,
+    defaults: {},
+    parameters: {},
+    output: 'image',
+    imageInput: { maxDimension: 4096, formats: ['jpeg', 'png', 'webp'] },
+    fallbacks: [],
+  },
+};
+
+const buildRegistry = (overrides) => Object.fromEntries(
+  Object.entries(DEFAULT_REGISTRY).map(([feature, entry]) => {
+    const override = overrides[feature] || {};
+
+    return [feature, {
+      ...entry,
+      ...override,
+      // A new model without a version unpins the default one
+      version: override.version ?? (override.model ? null : entry.version),
+      // ...and may not take the default one's multi-image input
+      multipleOutputs: override.multipleOutputs ?? (override.model ? null : entry.multipleOutputs ?? null),
+      defaults: { ...entry.defaults, ...override.defaults },
+      parameters: { ...entry.parameters, ...override.parameters },
+      imageInput: { ...DEFAULT_IMAGE_INPUT, ...entry.imageInput, ...override.imageInput },
+      overridden: feature in overrides,
+    }];
+  })
+);
+
+/**
+ * Load the registry once, merging MODEL_REGISTRY over the defaults
+ */
+export const getModelRegistry = () => loadJsonConfig('MODEL_REGISTRY', { build: buildRegistry });
+
+/**
+ * Get a feature's registry entry
+ * @param {string} feature - Feature key (e.g. "add-tattoo")
+ * @throws {Error} If the feature has no entry
+ */
+export const getModelEntry = (feature) => {
+  const entry = getModelRegistry()[feature];
+
+  if (!entry) {
+    throw new Error(`No model is registered for feature "${feature}"`);
+  }
+
+  return entry;
+};
+
+/**
+ * Whether any feature runs on a provider, with its model or a fallback
+ * @param {string} name - Provider name (e.g. "fake")
+ * @returns {boolean}
+ */
+export const isProviderInUse = (name) => Object.values(getModelRegistry()).some((entry) =>
+  [entry, ...(entry.fallbacks || [])].some((step) => (step.provider || entry.provider || getDefaultProviderName()) === name)
+);
+
+const formatModelRef = ({ model, version }) => (version ? `${model}:${version}` : model);
+
+/**
+ * The identifier passed to the provider: "owner/name" or "owner/name:version"
+ */
+export const getModelRef = (feature) => formatModelRef(getModelEntry(feature));
+
+/**
+ * Build the fallback requests for a feature from its primary model's input.
+ * Fallbacks with an unknown adapter, or whose adapter can't handle the input, are left out.
+ */
+const resolveFallbacks = (feature, entry, primaryInput) =>
+  (entry.fallbacks || []).flatMap((fallback) => {
+    const adapt = INPUT_ADAPTERS[fallback.adapter || 'identity'];
+
+    if (!adapt) {
+      console.error(`❌ Unknown input adapter "${fallback.adapter}" for ${feature} fallback ${fallback.model}`);
+      return [];
+    }
+
+    const input = adapt(primaryInput);
+
+    if (!input) {
+      return [];
+    }
+
+    return [{
+      feature,
+      provider: fallback.provider || entry.provider || getDefaultProviderName(),
+      model: formatModelRef(fallback),
+      input: { ...fallback.defaults, ...input },
+    }];
+  });
+
+/**
+ * The input image limits for a feature: the strictest of its model and fallbacks,
+ * so the same prepared images suit whichever model ends up running
+ * @param {string} feature - Feature key
+ * @returns {{maxDimension: number|null, formats: string[]}}
+ */
+export const getImageInputLimits = (feature) => {
+  const entry = getModelEntry(feature);
+  const limits = [entry.imageInput, ...(entry.fallbacks || []).map((fallback) => ({ ...DEFAULT_IMAGE_INPUT, ...fallback.imageInput }))];
+  const dimensions = limits.map(({ maxDimension }) => maxDimension).filter(Boolean);
+
+  return {
+    maxDimension: dimensions.length ? Math.min(...dimensions) : null,
+    formats: entry.imageInput.formats.filter((format) => limits.every(({ formats }) => formats.includes(format))),
+  };
+};
+
+const invalidParameter = (messageKey, params) =>
+  createApiError(400, 'INVALID_PARAMETER', { messageKey, params });
+
+/**
+ * Check a client value against its parameter spec. Multipart form fields arrive as
+ * strings, so numbers and booleans are parsed.
+ */
+const coerceParameter = (name, spec, value) => {
+  switch (spec.type) {
+    case 'enum':
+      if (!spec.values.includes(value)) {
+        throw invalidParameter('INVALID_PARAMETER_VALUES', { name, values: spec.values.join(', ') });
+      }
+      return value;
+
+    case 'integer':
+    case 'number': {
+      const number = Number(value);
+      if (value === '' || !Number.isFinite(number) || (spec.type === 'integer' && !Number.isInteger(number))) {
+        throw invalidParameter(
+          spec.type === 'integer' ? 'INVALID_PARAMETER_INTEGER' : 'INVALID_PARAMETER_NUMBER',
+          { name }
+        );
+      }
+      if ((spec.min != null && number < spec.min) || (spec.max != null && number > spec.max)) {
+        throw invalidParameter('INVALID_PARAMETER_RANGE', { name, min: spec.min, max: spec.max });
+      }
+      return number;
+    }
+
+    case 'boolean':
+      if (value === true || value === 'true') return true;
+      if (value === false || value === 'false') return false;
+      throw invalidParameter('INVALID_PARAMETER_BOOLEAN', { name });
+
+    default:
+      return value;
+  }
+};
+
+/**
+ * Build a model request for a feature: the registry defaults, then any client
+ * parameters the registry allows (others are ignored), then the feature's own input
+ * (prompt, images), which clients can't override.
+ *
+ * With `count` above 1 on a model with multipleOutputs, the primary model is asked for
+ * that many images and the request is marked `batched`; fallbacks still make one.
+ *
+ * @param {string} feature - Feature key
+ * @param {object} [clientParameters] - Parameters sent by the client (e.g. req.body)
+ * @param {object} [input] - Prompt, images and other required input
+ * @param {object} [options]
+ * @param {number} [options.count] - Images wanted from one prediction
+ * @returns {{feature: string, provider: string, model: string, input: object, fallbacks: object[], batched: boolean}}
+ *   The provider, model identifier and input, plus the fallback requests in the order they're tried
+ * @throws {Error} 400 INVALID_PARAMETER if a client parameter is out of range
+ */
+export const resolveModelRequest = (feature, clientParameters = {}, input = {}, { count = 1 } = {}) => {
+  const entry = getModelEntry(feature);
+  const overrides = {};
+
+  for (const [name, spec] of Object.entries(entry.parameters)) {
+    const value = clientParameters?.[name];
+
+    if (value !== undefined && value !== null) {
+      overrides[name] = coerceParameter(name, spec, value);
+    }
+  }
+
+  const primaryInput = { ...entry.defaults, ...overrides, ...input };
+  const batched = count > 1 && !!entry.multipleOutputs;
+
+  return {
+    feature,
+    provider: entry.provider || getDefaultProviderName(),
+    model: getModelRef(feature),
+    input: batched
+      ? { ...primaryInput, ...entry.multipleOutputs.input, [entry.multipleOutputs.parameter]: count }
+      : primaryInput,
+    fallbacks: resolveFallbacks(feature, entry, primaryInput),
+    batched,
+  };
+};
+
+/**
+ * The active mapping, for the admin endpoint
+ */
+export const listModels = () =>
+  Object.entries(getModelRegistry()).map(([feature, entry]) => ({
+    feature,
+    provider: entry.provider || getDefaultProviderName(),
+    model: entry.model,
+    version: entry.version,
+    ref: getModelRef(feature),
+    defaults: entry.defaults,
+    parameters: entry.parameters,
+    output: entry.output,
+    multipleOutputs: entry.multipleOutputs,
+    imageInput: getImageInputLimits(feature),
+    fallbacks: (entry.fallbacks || []).map((fallback) => ({
+      provider: fallback.provider || entry.provider || getDefaultProviderName(),
+      ref: formatModelRef(fallback),
+      adapter: fallback.adapter || 'identity',
+    })),
+    overridden: entry.overridden,
+  }));
@@ -0,0 +1,270 @@
+/**
+ * Prompt moderation and abuse throttling
+ * Prompts and style text are checked before any model runs: first against a local
+ * list of terms and patterns, then, if configured, by a moderation model over HTTP.
+ * Blocked prompts answer NSFW_BLOCKED without a paid model call.
+ *
+ * Every NSFW_BLOCKED outcome (ours or the provider's, blocking or async) is a strike on
+ * the user's record. Strikes count for strikeWindowMs; crossing a threshold in
+ * "cooldowns" stops the user from generating for that long, answered as
+ * 429 MODERATION_COOLDOWN with Retry-After.
+ *
+ * Override with MODERATION_POLICY (JSON, merged over the defaults; lists are replaced), e.g.
+ * { "terms": ["nude", "naked"], "patterns": ["\\bno\\s*clothes\\b"],
+ *   "hook": { "url": "https://api.openai.com/v1/moderations", "apiKeyEnv": "OPENAI_API_KEY",
+ *             "model": "omni-moderation-latest" },
+ *   "cooldowns": [{ "strikes": 2, "cooldownMs": 600000 }] }
+ */
+
+import axios from 'axios';
+import { createApiError } from './errorHandling.js';
+import { getModerationState, recordModerationStrike } from './db-firebase.js';
+import { incrementMetric } from './metrics.js';
+import { loadJsonConfig } from './config.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const DEFAULT_POLICY = {
+  enabled: true,
+  // Whole words or phrases, matched case-insensitively after normalizing look-alike characters.
+  // Only words with no everyday meaning: a block is a strike toward a cooldown
+  terms: [
+    'nudity', 'nsfw', 'porn', 'porno', 'pornographic', 'pornography',
+    'hentai', 'genitals', 'genitalia', 'penis', 'vagina', 'nipples',
+    'sex', 'sexual', 'intercourse', 'loli', 'shota',
+  ],
+  // Regular expressions, case-insensitive. Words with benign uses ("naked eye",
+  // "bottomless pit", "nude lipstick") are blocked unless one of those follows
+  patterns: [
+    '\\bnaked\\b(?![\\s-]+(eyes?|truth|flames?|lights?|bulbs?|ambition|aggression|mole[\\s-]?rats?)\\b)',
+    '\\bnudes?\\b(?![\\s-]+(colou?rs?|tones?|shades?|palettes?|lips(ticks?)?|lip[\\s-]?(gloss(es)?|liners?)|heels|shoes|pumps|sandals|make[\\s-]?up|nails?|polish|beige|pink|brown)\\b)',
+    '\\btopless\\b(?![\\s-]+(cars?|convertibles?|jeeps?|bus(es)?|roadsters?|towers?|box(es)?|jars?)\\b)',
+    '\\bbottomless\\b(?![\\s-]+(pits?|cups?|mugs?|brunch(es)?|mimosas?|drinks?|abyss|wells?|oceans?|seas?|void|holes?|chasms?|coffee|fries|glass(es)?|bowls?|bags?)\\b)',
+    '\\b(without|no)\\s+(any\\s+)?cloth(es|ing)\\b',
+    '\\bunder\\s*age\\b.*\\b(sexy|lingerie|bikini)\\b',
+  ],
+  // Moderation model: POST { input, model } -> { flagged } (or OpenAI's { results: [{ flagged }] })
+  // { url, apiKeyEnv, model, timeoutMs, failOpen }
+  hook: null,
+  // How long a strike counts
+  strikeWindowMs: 24 * HOUR,
+  // The cooldown earned on reaching each strike count; the highest reached applies
+  cooldowns: [
+    { strikes: 3, cooldownMs: 10 * MINUTE },
+    { strikes: 5, cooldownMs: HOUR },
+    { strikes: 8, cooldownMs: 24 * HOUR },
+  ],
+  // Cooldowns at least this long are worded as a temporary block
+  blockAfterMs: 24 * HOUR,
+};
+
+const DEFAULT_HOOK = { timeoutMs: 3000, failOpen: true };
+
+// Digits and symbols commonly swapped for letters ("p0rn", "n@ked")
+const LOOK_ALIKES = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's' };
+
+// Text fields that carry user-written prompts
+const TEXT_FIELDS = ['prompt', 'style'];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const compilePolicy = (policy) => {
+  const matchers = [];
+
+  if (policy.terms.length) {
+    const alternatives = policy.terms.map((term) => escapeRegExp(term.toLowerCase()).replace(/\s+/g, '\\s+'));
+    matchers.push(new RegExp(`(?<![\\p{L}\\p{N}])(${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'iu'));
+  }
+
+  for (const pattern of policy.patterns) {
+    try {
+      matchers.push(new RegExp(pattern, 'iu'));
+    } catch (error) {
+      console.error(`❌ Moderation pattern ${pattern} is not a valid regular expression:`, error.message);
+    }
+  }
+
+  return {
+    ...policy,
+    hook: policy.hook?.url ? { ...DEFAULT_HOOK, ...policy.hook } : null,
+    cooldowns: [...policy.cooldowns].sort((a, b) => a.strikes - b.strikes),
+    matchers,
+  };
+};
+
+/**
+ * Load the policy once, merging MODERATION_POLICY over the defaults and compiling its lists
+ */
+export const getModerationPolicy = () =>
+  loadJsonConfig('MODERATION_POLICY', { defaults: DEFAULT_POLICY, build: compilePolicy });
+
+/**
+ * Lowercase, fold compatibility characters and swap look-alikes back to letters
+ */
+const normalizeText = (text) =>
+  text
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[013457@$]/g, (character) => LOOK_ALIKES[character] || character)
+    .replace(/\s+/g, ' ');
+
+/**
+ * Ask the moderation model about a text
+ * @returns {Promise<boolean>} Whether it was flagged
+ */
+const askModerationHook = async (hook, text) => {
+  const apiKey = hook.apiKeyEnv ? process.env[hook.apiKeyEnv] : null;
+
+  const { data } = await axios.post(hook.url, {
+    input: text,
+    ...(hook.model ? { model: hook.model } : {}),
+  }, {
+    timeout: hook.timeoutMs,
+    headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+  });
+
+  return Boolean(data?.flagged ?? data?.results?.[0]?.flagged);
+};
+
+/**
+ * Check a prompt against the local lists, then the moderation model
+ * @param {string} text
+ * @returns {Promise<{flagged: boolean, source: string|null}>} source is "terms" or "model"
+ */
+export const moderateText = async (text) => {
+  const policy = getModerationPolicy();
+
+  if (!policy.enabled || !text) {
+    return { flagged: false, source: null };
+  }
+
+  // Both spellings: the look-alike swap would hide patterns that contain digits
+  const normalized = normalizeText(text);
+  if (policy.matchers.some((matcher) => matcher.test(normalized) || matcher.test(text))) {
+    return { flagged: true, source: 'terms' };
+  }
+
+  if (policy.hook) {
+    try {
+      if (await askModerationHook(policy.hook, text)) {
+        return { flagged: true, source: 'model' };
+      }
+    } catch (error) {
+      console.error('❌ Moderation model failed:', error.message);
+      incrementMetric('moderation_hook_errors');
+
+      if (!policy.hook.failOpen) {
+        throw error;
+      }
+    }
+  }
+
+  return { flagged: false, source: null };
+};
+
+/**
+ * The cooldown a strike count earns, in ms, or null
+ */
+const cooldownFor = (strikes) =>
+  getModerationPolicy().cooldowns.filter((level) => strikes >= level.strikes).pop()?.cooldownMs ?? null;
+
+/**
+ * Record an NSFW_BLOCKED outcome on the user's record and start a cooldown if it crosses a threshold.
+ * Failures are logged, never thrown: the user already has their answer.
+ *
+ * @param {string} userId
+ * @param {object} [options]
+ * @param {string} [options.feature]
+ * @param {string} [options.source] - "terms", "model" or "provider"
+ */
+export const recordNsfwBlock = async (userId, { feature, source = 'provider' } = {}) => {
+  if (!userId) return;
+
+  incrementMetric(`moderation_blocks_${source}`);
+
+  try {
+    const { strikes, blockedUntil, cooldownStarted } = await recordModerationStrike(userId, {
+      windowMs: getModerationPolicy().strikeWindowMs,
+      cooldownFor,
+      source,
+    });
+
+    if (cooldownStarted) {
+      console.warn(`🚷 ${userId} has ${strikes} blocked generation(s), cooling down until ${new Date(blockedUntil).toISOString()}`);
+      incrementMetric('moderation_cooldowns');
+    } else {
+      console.warn(`🚩 Blocked ${feature || 'generation'} for ${userId} (${source}), strike ${strikes}`);
+    }
+  } catch (error) {
+    console.error('❌ Error recording moderation strike:', error.message);
+  }
+};
+
+/**
+ * The error for a user in a cooldown
+ */
+const cooldownError = (blockedUntil) => {
+  const retryAfter = Math.ceil((blockedUntil - Date.now()) / 1000);
+  const block = blockedUntil - Date.now() >= getModerationPolicy().blockAfterMs;
+
+  return createApiError(429, 'MODERATION_COOLDOWN', {
+    messageKey: block ? 'MODERATION_BLOCKED' : 'MODERATION_COOLDOWN',
+    params: { minutes: Math.ceil(retryAfter / 60), hours: Math.ceil(retryAfter / 3600) },
+    details: { blockedUntil: new Date(blockedUntil).toISOString(), retryAfter },
+  });
+};
+
+const nsfwBlocked = (source) => {
+  const error = new Error('NSFW_BLOCKED');
+  error.messageKey = 'NSFW_BLOCKED';
+  error.moderationSource = source;
+  return error;
+};
+
+/**
+ * Middleware factory that turns away users in a cooldown and prompts that fail moderation,
+ * before any quota is reserved or model called. Place after authentication.
+ *
+ * @param {string} feature - Feature key (e.g. "add-tattoo")
+ */
+export const moderateRequest = (feature) => async (req, res, next) => {
+  try {
+    if (req.userId) {
+      const { blockedUntil } = await getModerationState(req.userId);
+
+      if (blockedUntil && blockedUntil > Date.now()) {
+        const error = cooldownError(blockedUntil);
+        res.set('Retry-After', String(error.details.retryAfter));
+        return next(error);
+      }
+    }
+
+    const text = TEXT_FIELDS
+      .map((field) => req.body?.[field])
+      .filter((value) => typeof value === 'string' && value.trim())
+      .join('\n');
+
+    const { flagged, source } = await moderateText(text);
+
+    if (flagged) {
+      return next(nsfwBlocked(source));
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Error middleware that records NSFW_BLOCKED outcomes as strikes, then passes the
+ * error on. Mount it just before errorHandler.
+ */
+export const recordModerationOutcome = async (err, req, res, next) => {
+  if (err?.message === 'NSFW_BLOCKED' && req.userId) {
+    await recordNsfwBlock(req.userId, { source: err.moderationSource || 'provider' });
+  }
+
+  next(err);
+};
@@ -0,0 +1,137 @@
+/**
+ * Plan Tiers
+ * Maps RevenueCat entitlements and products to tiers, and defines what each tier gets.
+ *
+ * Override the defaults with PLAN_CONFIG (JSON, merged over the defaults), e.g.
+ * {
+ *   "tiers": {
+ *     "pro": { "rank": 1, "dailyLimit": 50, "features": ["text-to-image", "style-image", "back-in-time"] },
+ *     "premium": { "rank": 2, "dailyLimit": null, "monthlyLimit": 2000, "monthlyCredits": null,
+ *       "maxOutputSize": "4K", "maxImagesPerRequest": 4, "retentionDays": null }
+ *   },
+ *   "entitlements": { "pro": "pro", "premium": "premium" },
+ *   "products": { "com.app.premium.yearly": "premium" }
+ * }
+ *
+ * A new tier starts from free's settings, so it only gets what it lifts explicitly; a
+ * typo'd or half-configured tier is never unlimited. A null limit means unlimited. "features" lists feature keys, or "*" for all.
+ * monthlyCredits is the tier's monthly credit allowance when METERING_MODE=credits
+ * (null = not metered). maxImagesPerRequest caps the "count" of a multi-image request.
+ * retentionDays is how long the tier's generations are kept in storage (null = forever).
+ */
+
+import { loadJsonConfig } from './config.js';
+
+export const GENERATION_FEATURES = ['text-to-image', 'style-image', 'add-tattoo', 'back-in-time'];
+
+// Seedream output sizes, smallest first
+export const OUTPUT_SIZES = ['1K', '2K', '4K'];
+
+// Largest "count" any request may ask for, whatever the tier
+export const MAX_IMAGES_PER_REQUEST = 8;
+
+const DEFAULT_PLAN_CONFIG = {
+  tiers: {
+    free: { rank: 0, dailyLimit: 5, monthlyLimit: null, monthlyCredits: 50, features: '*', maxOutputSize: '2K', maxImagesPerRequest: 2, retentionDays: 30 },
+    pro: { rank: 1, dailyLimit: null, monthlyLimit: null, monthlyCredits: null, features: '*', maxOutputSize: '4K', maxImagesPerRequest: 4, retentionDays: null },
+  },
+  // RevenueCat entitlement identifier -> tier
+  entitlements: {},
+  // Store product identifier -> tier (checked when the entitlement isn't mapped)
+  products: {},
+  // Tier for active entitlements that aren't mapped above
+  defaultPaidTier: 'pro',
+};
+
+const buildPlanConfig = (overrides) => {
+  const tiers = { ...DEFAULT_PLAN_CONFIG.tiers };
+  for (const [name, tier] of Object.entries(overrides.tiers || {})) {
+    // Anything a new tier leaves out falls back to the most restrictive tier
+    tiers[name] = { ...DEFAULT_PLAN_CONFIG.tiers.free, ...tiers[name], ...tier };
+  }
+
+  return {
+    ...DEFAULT_PLAN_CONFIG,
+    ...overrides,
+    tiers,
+    entitlements: { ...DEFAULT_PLAN_CONFIG.entitlements, ...overrides.entitlements },
+    products: { ...DEFAULT_PLAN_CONFIG.products, ...overrides.products },
+  };
+};
+
+/**
+ * Load the plan config once, merging PLAN_CONFIG over the defaults
+ */
+export const getPlanConfig = () => loadJsonConfig('PLAN_CONFIG', { build: buildPlanConfig });
+
+/**
+ * Get a tier's settings together with its name
+ */
+export const getTier = (tierName) => {
+  const { tiers } = getPlanConfig();
+  const name = tiers[tierName] ? tierName : 'free';
+  return { name, ...tiers[name] };
+};
+
+/**
+ * Resolve the tier for a set of active RevenueCat entitlements.
+ * Each entitlement maps by identifier, then by product, then to defaultPaidTier;
+ * the highest-ranked tier wins.
+ *
+ * @param {Array<{id: string, productId: string}>} activeEntitlements
+ * @returns {object} The tier (see getTier)
+ */
+export const resolveTier = (activeEntitlements) => {
+  const config = getPlanConfig();
+
+  const tierNames = activeEntitlements.map(({ id, productId }) =>
+    config.entitlements[id] || config.products[productId] || config.defaultPaidTier
+  );
+
+  return tierNames
+    .map(getTier)
+    .reduce((best, tier) => (tier.rank > best.rank ? tier : best), getTier('free'));
+};
+
+/**
+ * Whether a tier may use a feature
+ */
+export const isFeatureAllowed = (tier, feature) =>
+  tier.features === '*' || (Array.isArray(tier.features) && tier.features.includes(feature));
+
+/**
+ * Tiers that include a feature, for "upgrade to ..." messages
+ */
+export const getTiersWithFeature = (feature) =>
+  Object.keys(getPlanConfig().tiers).filter((name) => isFeatureAllowed(getTier(name), feature));
+
+/**
+ * Clamp a requested output size to the tier's maximum
+ */
+export const clampOutputSize = (tier, requestedSize) => {
+  const maxIndex = OUTPUT_SIZES.indexOf(tier.maxOutputSize);
+  const index = OUTPUT_SIZES.indexOf(requestedSize);
+
+  if (index === -1) return null;
+  if (maxIndex === -1 || index <= maxIndex) return requestedSize;
+  return tier.maxOutputSize;
+};
+
+/**
+ * Clamp a requested image count to the tier's maximum
+ */
+export const clampImageCount = (tier, requestedCount) =>
+  Math.max(1, Math.min(requestedCount, tier.maxImagesPerRequest ?? 1, MAX_IMAGES_PER_REQUEST));
+
+/**
+ * Public description of a tier's limits
+ */
+export const describeTier = (tier) => ({
+  tier: tier.name,
+  dailyLimit: tier.dailyLimit,
+  monthlyLimit: tier.monthlyLimit,
+  monthlyCredits: tier.monthlyCredits,
+  features: tier.features === '*' ? GENERATION_FEATURES : tier.features,
+  maxOutputSize: tier.maxOutputSize,
+  maxImagesPerRequest: tier.maxImagesPerRequest ?? 1,
+});
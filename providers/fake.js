@@ -0,0 +1,220 @@
+/**
+ * Fake Provider
+ * Offline stand-in for local development and tests. Generates a placeholder image
+ * with sharp instead of calling a model; the same model and input always produce the
+ * same image and URL. Images are served from GET /api/fake-provider/outputs/:file.
+ * An input with max_images above 1 (Seedream's multi-image output) gets a list of that many.
+ *
+ * Simulate failures with FAKE_PROVIDER_FAILURE (nsfw | 402 | 429) for every request,
+ * or per request by putting [fake:nsfw], [fake:402] or [fake:429] in the prompt.
+ * FAKE_PROVIDER_DELAY_MS makes each generation take that long (default 0).
+ */
+
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { classifyReplicateError } from '../replicateService.js';
+import { sleep } from './sleep.js';
+import { withRetries } from '../retryPolicy.js';
+
+const MAX_STORED_OUTPUTS = 100;
+const MAX_STORED_PREDICTIONS = 1000;
+const IMAGE_LONG_SIDE = 512;
+
+// Generated images by file name, oldest first
+const outputs = new Map();
+const predictions = new Map();
+
+// Errors worded the way Replicate reports them, so classification matches
+const FAILURES = {
+    nsfw: { message: 'NSFW content detected. Try running it again, or try a different prompt.' },
+    402: { status: 402, message: 'Request to https://fake.provider/v1/predictions failed with status 402 Payment Required' },
+    429: { status: 429, message: 'Request to https://fake.provider/v1/predictions failed with status 429 Too Many Requests' },
+};
+
+const getBaseUrl = () =>
+    (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+
+const getDelayMs = () => Number(process.env.FAKE_PROVIDER_DELAY_MS) || 0;
+
+/**
+ * The failure requested for an input, if any
+ */
+const getSimulatedFailure = (input) => {
+    const fromPrompt = String(input?.prompt || '').match(/\[fake:(nsfw|402|429)\]/)?.[1];
+    return FAILURES[fromPrompt || process.env.FAKE_PROVIDER_FAILURE] || null;
+};
+
+const buildFailure = ({ status, message }) => {
+    const error = new Error(message);
+    if (status) {
+        error.response = { status, headers: new Headers() };
+    }
+    return error;
+};
+
+/**
+ * Output dimensions from the input's aspect_ratio ("W:H"), square otherwise
+ */
+const getDimensions = (input) => {
+    const [width, height] = String(input?.aspect_ratio || '').split(':').map(Number);
+
+    if (!width || !height) {
+        return { width: IMAGE_LONG_SIDE, height: IMAGE_LONG_SIDE };
+    }
+
+    const scale = IMAGE_LONG_SIDE / Math.max(width, height);
+    return { width: Math.round(width * scale), height: Math.round(height * scale) };
+};
+
+const escapeXml = (text) => text.replace(/[<>&"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+/**
+ * Render the placeholder: a solid color derived from the input, labelled with the model
+ * @returns {Promise<string>} The output URL
+ */
+const renderPlaceholder = async (model, input) => {
+    const hash = crypto.createHash('sha256').update(JSON.stringify({ model, input })).digest('hex');
+    const file = `${hash.slice(0, 32)}.png`;
+
+    if (!outputs.has(file)) {
+        const { width, height } = getDimensions(input);
+        const [r, g, b] = [0, 2, 4].map((offset) => parseInt(hash.slice(offset, offset + 2), 16));
+        const label = `
+            <svg width="${width}" height="${height}">
+                <text x="50%" y="50%" text-anchor="middle" font-family="sans-serif"
+                      font-size="${Math.round(width / 20)}" fill="white">${escapeXml(model)}</text>
+            </svg>`;
+
+        const image = await sharp({ create: { width, height, channels: 3, background: { r, g, b } } })
+            .composite([{ input: Buffer.from(label) }])
+            .png()
+            .toBuffer();
+
+        outputs.set(file, image);
+
+        if (outputs.size > MAX_STORED_OUTPUTS) {
+            outputs.delete(outputs.keys().next().value);
+        }
+    }
+
+    return `${getBaseUrl()}/api/fake-provider/outputs/${file}`;
+};
+
+/**
+ * The output for an input: one placeholder URL, or a list of max_images of them
+ */
+const renderOutput = async (model, input) => {
+    const count = Number(input?.max_images) || 1;
+
+    if (count <= 1) {
+        return renderPlaceholder(model, input);
+    }
+
+    return Promise.all(Array.from({ length: count }, (_, index) =>
+        renderPlaceholder(model, { ...input, outputIndex: index })
+    ));
+};
+
+/**
+ * A generated image by file name (for the outputs route)
+ * @returns {Buffer|null}
+ */
+export const getFakeOutput = (file) => outputs.get(file) || null;
+
+/**
+ * Finish a fake prediction after the configured delay
+ */
+const settlePrediction = async (prediction, model, input) => {
+    await sleep(getDelayMs());
+
+    if (prediction.status === 'canceled') {
+        return;
+    }
+
+    const failure = getSimulatedFailure(input);
+
+    if (failure) {
+        Object.assign(prediction, { status: 'failed', error: failure.message });
+    } else {
+        Object.assign(prediction, {
+            status: 'succeeded',
+            output: await renderOutput(model, input),
+            logs: '100%|##########| 1/1',
+        });
+    }
+
+    prediction.completed_at = new Date().toISOString();
+};
+
+export const fakeProvider = {
+    name: 'fake',
+    supportsWebhooks: false,
+
+    run: async (model, input, { signal, feature, deadline } = {}) => {
+        try {
+            return await withRetries(async () => {
+                await sleep(getDelayMs(), signal);
+
+                const failure = getSimulatedFailure(input);
+                if (failure) {
+                    throw buildFailure(failure);
+                }
+
+                return renderOutput(model, input);
+            }, { feature, label: `fake ${model}`, deadline, signal });
+        } catch (error) {
+            throw classifyReplicateError(error);
+        }
+    },
+
+    createPrediction: async (model, input) => {
+        const failure = getSimulatedFailure(input);
+
+        // Replicate refuses to create predictions without credit or over the rate limit
+        if (failure?.status) {
+            throw classifyReplicateError(buildFailure(failure));
+        }
+
+        const prediction = {
+            id: `fake-${crypto.randomUUID()}`,
+            model,
+            status: 'starting',
+            output: null,
+            error: null,
+            logs: '',
+            created_at: new Date().toISOString(),
+        };
+
+        predictions.set(prediction.id, prediction);
+
+        if (predictions.size > MAX_STORED_PREDICTIONS) {
+            predictions.delete(predictions.keys().next().value);
+        }
+
+        settlePrediction(prediction, model, input).catch((error) => {
+            Object.assign(prediction, { status: 'failed', error: error.message });
+        });
+
+        return { ...prediction };
+    },
+
+    getPrediction: async (predictionId) => {
+        const prediction = predictions.get(predictionId);
+
+        if (!prediction) {
+            throw new Error(`Fake prediction ${predictionId} not found`);
+        }
+
+        return { ...prediction };
+    },
+
+    cancelPrediction: async (predictionId) => {
+        const prediction = predictions.get(predictionId);
+
+        if (prediction && !['succeeded', 'failed', 'canceled'].includes(prediction.status)) {
+            prediction.status = 'canceled';
+        }
+
+        return prediction ? { ...prediction } : null;
+    },
+};
@@ -0,0 +1,110 @@
+/**
+ * HTTP Provider
+ * Adapter for vendors (or an in-house gateway) that expose a Replicate-style REST API:
+ * - POST {baseUrl}/predictions { model, input } -> prediction
+ * - GET  {baseUrl}/predictions/:id               -> prediction
+ * - POST {baseUrl}/predictions/:id/cancel        -> prediction
+ * where a prediction is { id, status, output, error, logs } and status is one of
+ * starting | processing | succeeded | failed | canceled.
+ */
+
+import axios from 'axios';
+import { classifyReplicateError } from '../replicateService.js';
+import { sleep } from './sleep.js';
+import { withRetries } from '../retryPolicy.js';
+
+const DEFAULT_POLL_INTERVAL_MS = 1000;
+const DEFAULT_TIMEOUT_MS = 30000;
+
+/**
+ * Create a provider for one configured HTTP backend
+ * @param {string} name - Provider name used in the model registry
+ * @param {object} config
+ * @param {string} config.baseUrl - API root, e.g. "https://images.example.com/v1"
+ * @param {string} [config.apiKeyEnv] - Env variable holding the bearer token
+ * @param {object} [config.headers] - Extra request headers
+ * @param {number} [config.pollIntervalMs=1000] - How often run() polls a prediction
+ * @param {number} [config.timeoutMs=30000] - Per-request timeout
+ * @returns {object} Provider
+ */
+export const createHttpProvider = (name, config) => {
+    if (!config?.baseUrl) {
+        throw new Error(`Provider "${name}" needs a baseUrl`);
+    }
+
+    const apiKey = config.apiKeyEnv ? process.env[config.apiKeyEnv] : null;
+    const client = axios.create({
+        baseURL: config.baseUrl.replace(/\/$/, ''),
+        timeout: config.timeoutMs || DEFAULT_TIMEOUT_MS,
+        headers: {
+            ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+            ...config.headers,
+        },
+    });
+
+    const send = async (method, url, data) => (await client.request({ method, url, data })).data;
+
+    // axios messages ("Request failed with status code 402") classify like Replicate's
+    const request = async (method, url, data) => {
+        try {
+            return await send(method, url, data);
+        } catch (error) {
+            console.error(`${name} API Error:`, error.message);
+            throw classifyReplicateError(error);
+        }
+    };
+
+    const createPrediction = (model, input) =>
+        request('post', '/predictions', { model, input });
+
+    const getPrediction = (predictionId) =>
+        request('get', `/predictions/${encodeURIComponent(predictionId)}`);
+
+    const cancelPrediction = (predictionId) =>
+        request('post', `/predictions/${encodeURIComponent(predictionId)}/cancel`);
+
+    return {
+        name,
+        supportsWebhooks: false,
+        createPrediction,
+        getPrediction,
+        cancelPrediction,
+
+        // Create a prediction (retrying rate limits and outages) and poll it until it finishes
+        run: async (model, input, { signal, feature, deadline } = {}) => {
+            console.log(`Running ${name} model: ${model}`);
+            let prediction;
+
+            try {
+                prediction = await withRetries(
+                    () => send('post', '/predictions', { model, input }),
+                    { feature, label: `${name} ${model}`, deadline, signal }
+                );
+            } catch (error) {
+                console.error(`${name} API Error:`, error.message);
+                throw classifyReplicateError(error);
+            }
+
+            try {
+                while (!['succeeded', 'failed', 'canceled'].includes(prediction.status)) {
+                    await sleep(config.pollIntervalMs || DEFAULT_POLL_INTERVAL_MS, signal);
+                    prediction = await getPrediction(prediction.id);
+                }
+            } catch (error) {
+                // Nobody will receive the output, so stop paying for it
+                if (signal?.aborted) {
+                    await cancelPrediction(prediction.id).catch((cancelError) => {
+                        console.error(`Could not cancel ${name} prediction ${prediction.id}:`, cancelError.message);
+                    });
+                }
+                throw error;
+            }
+
+            if (prediction.status !== 'succeeded') {
+                throw classifyReplicateError(new Error(`Prediction failed: ${prediction.error || prediction.status}`));
+            }
+
+            return prediction.output;
+        },
+    };
+};
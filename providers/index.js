@@ -0,0 +1,178 @@
+/**
+ * Image Providers
+ * Every provider implements the same interface:
+ * - run(model, input, { signal, feature, deadline }) -> output (a URL, FileOutput, or a list of them),
+ *   retrying rate limits and outages per retryPolicy.js until the deadline
+ * - createPrediction(model, input, options) -> prediction
+ * - getPrediction(predictionId) -> prediction
+ * - cancelPrediction(predictionId) -> prediction
+ * Predictions follow Replicate's shape: { id, status, output, error, logs }.
+ * Errors are reported as NSFW_BLOCKED, PAYMENT_REQUIRED or GENERATION_FAILED.
+ *
+ * Built in: "replicate" and "fake" (offline placeholders, see providers/fake.js).
+ * Add HTTP providers with IMAGE_PROVIDERS (JSON), e.g.
+ * { "acme": { "type": "http", "baseUrl": "https://images.acme.dev/v1", "apiKeyEnv": "ACME_API_KEY" } }
+ *
+ * Features pick a provider with "provider" in the model registry; IMAGE_PROVIDER
+ * sets the default (replicate).
+ *
+ * Requests from the registry may carry fallbacks: when a model fails, the next one is
+ * tried, unless the failure would repeat on any model (NSFW_BLOCKED, PAYMENT_REQUIRED),
+ * the request was abandoned (GENERATION_TIMEOUT) or it is the client's fault (4xx).
+ * Aborting the signal passed to run() cancels the provider's prediction.
+ */
+
+import { replicateProvider } from './replicate.js';
+import { fakeProvider } from './fake.js';
+import { createHttpProvider } from './http.js';
+import { incrementMetric } from '../metrics.js';
+import { getRequestDeadline } from '../retryPolicy.js';
+
+// Failures no other model would avoid, and abandoned requests
+const FINAL_ERRORS = ['NSFW_BLOCKED', 'PAYMENT_REQUIRED', 'GENERATION_TIMEOUT'];
+
+let cachedProviders = null;
+
+/**
+ * Load the providers once: the built-in ones plus any from IMAGE_PROVIDERS
+ */
+const getProviders = () => {
+    if (cachedProviders) return cachedProviders;
+
+    cachedProviders = {
+        [replicateProvider.name]: replicateProvider,
+        [fakeProvider.name]: fakeProvider,
+    };
+
+    if (process.env.IMAGE_PROVIDERS) {
+        try {
+            const configured = JSON.parse(process.env.IMAGE_PROVIDERS);
+
+            for (const [name, config] of Object.entries(configured)) {
+                if (config.type !== 'http') {
+                    console.error(`❌ Provider "${name}" has unsupported type "${config.type}"`);
+                    continue;
+                }
+                cachedProviders[name] = createHttpProvider(name, config);
+            }
+        } catch (error) {
+            console.error('❌ IMAGE_PROVIDERS is not valid, using built-in providers only:', error.message);
+        }
+    }
+
+    return cachedProviders;
+};
+
+/**
+ * The provider used when the registry doesn't name one
+ */
+export const getDefaultProviderName = () => process.env.IMAGE_PROVIDER || replicateProvider.name;
+
+/**
+ * Get a provider by name
+ * @param {string} [name] - Provider name (the default provider if omitted)
+ * @throws {Error} If no provider has that name
+ */
+export const getProvider = (name) => {
+    const provider = getProviders()[name || getDefaultProviderName()];
+
+    if (!provider) {
+        throw new Error(`Unknown image provider "${name}"`);
+    }
+
+    return provider;
+};
+
+/**
+ * Run a model request from the registry (see resolveModelRequest) on its provider
+ * @param {{provider: string, model: string, input: object, feature?: string}} request
+ * @param {object} [options] - { signal, deadline }
+ * @returns {Promise<any>} The model output
+ */
+export const runModel = ({ provider, model, input, feature }, options = {}) =>
+    getProvider(provider).run(model, input, { ...options, feature });
+
+/**
+ * Whether a failed model request should move on to the next fallback
+ * @param {Error} error - Error from a provider
+ * @returns {boolean}
+ */
+export const shouldFallBack = (error) =>
+    !FINAL_ERRORS.includes(error.message) &&
+    !(error.statusCode >= 400 && error.statusCode < 500);
+
+/**
+ * Call attempt() with the request, then with each of its fallbacks until one succeeds
+ * @param {{provider: string, model: string, input: object, fallbacks?: object[]}} request
+ * @param {(step: {provider: string, model: string, input: object}) => Promise<any>} attempt
+ * @param {object} [options]
+ * @param {number} [options.deadline] - Epoch ms after which no fallback is started
+ * @returns {Promise<{result: any, provider: string, model: string}>} The result and the model that produced it
+ * @throws {Error} The error of the last model tried
+ */
+export const runWithFallbacks = async ({ fallbacks = [], ...request }, attempt, { deadline } = {}) => {
+    const chain = [request, ...fallbacks];
+
+    for (const [index, step] of chain.entries()) {
+        try {
+            const result = await attempt(step);
+
+            if (index > 0) {
+                console.log(`↪️ ${step.model} succeeded after ${index} fallback(s)`);
+            }
+
+            return { result, provider: step.provider, model: step.model };
+        } catch (error) {
+            const next = chain[index + 1];
+
+            if (!next || !shouldFallBack(error)) {
+                throw error;
+            }
+
+            if (deadline && Date.now() >= deadline) {
+                console.warn(`⏱️ ${step.model} failed (${error.message}) with no time left for fallbacks`);
+                throw error;
+            }
+
+            console.warn(`⚠️ ${step.model} on ${step.provider} failed (${error.message}), falling back to ${next.model}`);
+            incrementMetric('model_fallbacks');
+        }
+    }
+};
+
+/**
+ * Run a model request and its fallbacks, sharing one deadline across all attempts
+ * @param {object} request - Model request from resolveModelRequest
+ * @param {object} [options] - { signal, deadline } (the feature's deadline from now if omitted)
+ * @returns {Promise<{output: any, provider: string, model: string}>} The output and the model that produced it
+ */
+export const runModelWithFallbacks = async (request, options = {}) => {
+    const deadline = options.deadline ?? getRequestDeadline(request.feature);
+    const { result, provider, model } = await runWithFallbacks(
+        request,
+        (step) => runModel(step, { ...options, deadline }),
+        { deadline }
+    );
+    return { output: result, provider, model };
+};
+
+/**
+ * Run a model request (with its fallbacks) `count` times at once, for multi-image requests.
+ * Each run succeeds or fails on its own; all share one deadline and signal.
+ * @param {object} request - Model request from resolveModelRequest
+ * @param {number} count - Number of runs
+ * @param {object} [options] - { signal, deadline } (the feature's deadline from now if omitted)
+ * @returns {Promise<Array<{output: any, provider: string, model: string}|{error: Error}>>} One entry per run
+ */
+export const runModelConcurrently = async (request, count, options = {}) => {
+    const deadline = options.deadline ?? getRequestDeadline(request.feature);
+
+    return Promise.all(Array.from({ length: count }, () =>
+        runModelWithFallbacks(request, { ...options, deadline }).catch((error) => ({ error }))
+    ));
+};
+
+/**
+ * Names of all available providers
+ */
+export const listProviders = () => Object.keys(getProviders());
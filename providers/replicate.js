@@ -0,0 +1,21 @@
+/**
+ * Replicate Provider
+ * The default provider, backed by the official client in replicateService.js
+ */
+
+import {
+    runReplicateModel,
+    createReplicatePrediction,
+    getReplicatePrediction,
+    cancelReplicatePrediction
+} from '../replicateService.js';
+
+export const replicateProvider = {
+    name: 'replicate',
+    // Replicate can call POST /api/webhooks/replicate when a prediction finishes
+    supportsWebhooks: true,
+    run: runReplicateModel,
+    createPrediction: createReplicatePrediction,
+    getPrediction: getReplicatePrediction,
+    cancelPrediction: cancelReplicatePrediction,
+};
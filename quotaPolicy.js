@@ -0,0 +1,155 @@
+/**
+ * Daily quota reset policy
+ * QUOTA_RESET_POLICY selects how "daily" is measured:
+ * - "calendar" (default): resets at midnight in the user's IANA timezone
+ * - "rolling": counts generations in the last 24 hours
+ */
+
+export const ROLLING_WINDOW_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_TIMEZONE = 'UTC';
+
+// A user's stored timezone changes at most this often, so switching zones can't
+// move the reset earlier again and again
+const TIMEZONE_CHANGE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+export const getResetPolicy = () =>
+  (process.env.QUOTA_RESET_POLICY === 'rolling' ? 'rolling' : 'calendar');
+
+/**
+ * Return the timezone if it's a valid IANA name, otherwise null
+ */
+export const normalizeTimezone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return null;
+
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone }).resolvedOptions().timeZone;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Timezone sent by the client: X-Timezone header, or a "timezone" body/query field
+ */
+export const getRequestTimezone = (req) =>
+  normalizeTimezone(req.headers['x-timezone'] || req.body?.timezone || req.query?.timezone);
+
+/**
+ * Pick the timezone to count in: the one stored on the user, else the client's (until
+ * one is stored), else UTC. A client's zone never overrides the stored one; it's adopted
+ * through getTimezoneUpdate.
+ */
+export const resolveTimezone = (requestTimezone, storedTimezone) =>
+  normalizeTimezone(storedTimezone) || normalizeTimezone(requestTimezone) || DEFAULT_TIMEZONE;
+
+/**
+ * The user doc fields that store the client's timezone, or null to keep the stored one.
+ * A first zone is stored right away; a different one at most once per
+ * TIMEZONE_CHANGE_INTERVAL_MS.
+ *
+ * @param {string} requestTimezone - From getRequestTimezone
+ * @param {object} data - The user doc ({ timezone, timezoneChangedAt })
+ * @param {number} now - ms
+ * @returns {{timezone: string, timezoneChangedAt: number}|null}
+ */
+export const getTimezoneUpdate = (requestTimezone, data, now) => {
+  const requested = normalizeTimezone(requestTimezone);
+  const stored = normalizeTimezone(data?.timezone);
+
+  if (!requested || requested === stored) return null;
+  if (stored && now - (data.timezoneChangedAt || 0) < TIMEZONE_CHANGE_INTERVAL_MS) return null;
+
+  return { timezone: requested, timezoneChangedAt: now };
+};
+
+/**
+ * The current period key given the one stored with the counts. Keys never go back:
+ * after a move to a zone that's behind, the stored (later) period carries on until
+ * the new zone reaches it, so a zone change can't reset counts.
+ */
+export const getCurrentPeriodKey = (key, storedKey) =>
+  (storedKey && storedKey > key ? storedKey : key);
+
+/**
+ * Wall-clock date and time parts of an instant in a timezone
+ */
+const getZonedParts = (date, timeZone) => {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  });
+
+  const parts = Object.fromEntries(
+    formatter.formatToParts(date).map(({ type, value }) => [type, Number(value)])
+  );
+
+  return parts;
+};
+
+/**
+ * Offset of a timezone from UTC at a given instant, in milliseconds
+ */
+const getTimezoneOffsetMs = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * The calendar day an instant falls on in a timezone, as "YYYY-MM-DD"
+ */
+export const getPeriodKey = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * The month an instant falls in in a timezone, as "YYYY-MM"
+ */
+export const getMonthKey = (date, timeZone) => getPeriodKey(date, timeZone).slice(0, 7);
+
+/**
+ * The instant of local midnight on a calendar date in a timezone.
+ * Day and month overflow like Date.UTC (day 32 is the 1st of the next month).
+ */
+const getZonedMidnight = (year, monthIndex, day, timeZone) => {
+  const midnightAsUtc = Date.UTC(year, monthIndex, day);
+
+  // Correct by the offset in effect at midnight, which differs on DST change days
+  let offset = getTimezoneOffsetMs(new Date(midnightAsUtc), timeZone);
+  let midnight = midnightAsUtc - offset;
+  const correctedOffset = getTimezoneOffsetMs(new Date(midnight), timeZone);
+
+  if (correctedOffset !== offset) {
+    offset = correctedOffset;
+    midnight = midnightAsUtc - offset;
+  }
+
+  return new Date(midnight);
+};
+
+/**
+ * When a period ends in a timezone: the local midnight after a day ("YYYY-MM-DD"), or
+ * at the start of the next month for a month ("YYYY-MM")
+ */
+export const getPeriodEnd = (key, timeZone) => {
+  const [year, month, day] = key.split('-').map(Number);
+
+  return day
+    ? getZonedMidnight(year, month - 1, day + 1, timeZone)
+    : getZonedMidnight(year, month, 1, timeZone);
+};
+
+/**
+ * Timestamps (ms) still inside the rolling window, oldest first
+ */
+export const getActiveTimestamps = (timestamps, now) =>
+  (timestamps || [])
+    .filter((timestamp) => timestamp > now - ROLLING_WINDOW_MS)
+    .sort((a, b) => a - b);
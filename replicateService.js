@@ -1,11 +1,15 @@
 /**
  * Replicate Service Wrapper
- * Standardizes error handling for all Replicate API calls
- * Use this in: addTattoo.js, textToImg.js, styleImage.js, bgremoval.js
+ * Standardizes error handling for all Replicate API calls.
+ * Services reach it through the "replicate" provider (see providers/index.js).
+ * classifyReplicateError is shared by every provider, so the others report
+ * errors in Replicate's wording.
  */
 
 import Replicate from 'replicate';
+import crypto from 'crypto';
 import dotenv from 'dotenv';
+import { withRetries } from './retryPolicy.js';
 
 dotenv.config();
 
@@ -14,59 +18,168 @@ const replicate = new Replicate({
 });
 
 /**
- * Runs any Replicate model and handles errors consistently
+ * Maps a raw Replicate error onto the app's error codes
+ * @param {Error} error - Error thrown by the Replicate client or built from a failed prediction
+ * @returns {Error} Error with NSFW_BLOCKED, PAYMENT_REQUIRED or GENERATION_FAILED message and a
+ *   messageKey for the user-facing text (see i18n.js), or the original error
+ */
+export const classifyReplicateError = (error) => {
+    // Handle NSFW Content Detection (Input)
+    if (error.message && error.message.includes('NSFW content detected')) {
+        const nsfwError = new Error('NSFW_BLOCKED');
+        nsfwError.messageKey = 'NSFW_BLOCKED';
+        return nsfwError;
+    }
+
+    // Handle Sensitive Output Detection
+    if (error.message && error.message.includes('flagged as sensitive')) {
+        const sensitiveError = new Error('NSFW_BLOCKED');
+        sensitiveError.messageKey = 'NSFW_BLOCKED_OUTPUT';
+        return sensitiveError;
+    }
+
+    // Handle Payment Required (Insufficient Credit)
+    if (error.message && error.message.includes('402')) {
+        const paymentError = new Error('PAYMENT_REQUIRED');
+        paymentError.messageKey = 'PAYMENT_REQUIRED';
+        return paymentError;
+    }
+
+    // Handle Prediction Failures (Generic)
+    if (error.message && error.message.includes('Prediction failed')) {
+        const genError = new Error('GENERATION_FAILED');
+        genError.messageKey = 'GENERATION_FAILED';
+        return genError;
+    }
+
+    // Handle Rate Limiting or API Issues
+    if (error.message && (error.message.includes('rate limit') || error.message.includes('429'))) {
+        const rateLimitError = new Error('GENERATION_FAILED');
+        rateLimitError.messageKey = 'SERVICE_BUSY';
+        return rateLimitError;
+    }
+
+    // Unexpected errors are passed through untouched
+    return error;
+};
+
+/**
+ * Runs any Replicate model and handles errors consistently.
+ * Rate limits, 5xx and dropped connections are retried (see retryPolicy.js).
+ * The prediction is polled rather than awaited in one blocking request, so aborting
+ * the signal cancels it through the predictions API and rejects with the signal's reason.
  * @param {string} model - The model identifier (e.g., "black-forest-labs/flux-fill-pro")
  * @param {object} input - The input parameters for the model
+ * @param {object} [options] - { signal } to abort the wait, { feature, deadline } for retries
  * @returns {Promise<any>} The model output
  * @throws {Error} Custom error with NSFW_BLOCKED or GENERATION_FAILED message
  */
-export const runReplicateModel = async (model, input) => {
+export const runReplicateModel = async (model, input, { signal, feature, deadline } = {}) => {
     try {
         console.log(`Running Replicate model: ${model}`);
-        const output = await replicate.run(model, { input });
+        const output = await withRetries(
+            (attempt) => replicate.run(model, { input, signal, wait: { mode: 'poll' } }, (prediction) => {
+                attempt.predictionId = prediction.id;
+            }),
+            { feature, label: model, deadline, signal }
+        );
+
+        // replicate.run cancels the prediction and returns its empty output on abort
+        if (signal?.aborted) {
+            throw signal.reason;
+        }
+
         console.log('Model execution successful');
         return output;
     } catch (error) {
         console.error('Replicate API Error:', error.message);
+        throw classifyReplicateError(error);
+    }
+};
 
-        // Handle NSFW Content Detection (Input)
-        if (error.message && error.message.includes('NSFW content detected')) {
-            const nsfwError = new Error('NSFW_BLOCKED');
-            nsfwError.userMessage = 'The design could not be generated because it was flagged as adult content. Try a different design or adjust your prompt to be more specific.';
-            throw nsfwError;
-        }
+/**
+ * Creates a Replicate prediction without waiting for it to finish
+ * @param {string} model - The model identifier, optionally pinned as "owner/name:version"
+ * @param {object} input - The input parameters for the model
+ * @param {object} [options] - Extra prediction options (webhook, webhook_events_filter)
+ * @returns {Promise<object>} The created prediction
+ * @throws {Error} Custom error with NSFW_BLOCKED, PAYMENT_REQUIRED or GENERATION_FAILED message
+ */
+export const createReplicatePrediction = async (model, input, options = {}) => {
+    try {
+        console.log(`Creating Replicate prediction: ${model}`);
+        const [modelName, version] = model.split(':');
+        const prediction = await replicate.predictions.create({
+            ...(version ? { version } : { model: modelName }),
+            input,
+            ...options,
+        });
+        console.log('Prediction created:', prediction.id);
+        return prediction;
+    } catch (error) {
+        console.error('Replicate API Error:', error.message);
+        throw classifyReplicateError(error);
+    }
+};
 
-        // Handle Sensitive Output Detection
-        if (error.message && error.message.includes('flagged as sensitive')) {
-            const sensitiveError = new Error('NSFW_BLOCKED');
-            sensitiveError.userMessage = 'The generated design was flagged as sensitive content. Please try a different design or adjust your prompt.';
-            throw sensitiveError;
-        }
+/**
+ * Fetches the current state of a Replicate prediction
+ * @param {string} predictionId - The prediction ID
+ * @returns {Promise<object>} The prediction
+ */
+export const getReplicatePrediction = async (predictionId) => {
+    return replicate.predictions.get(predictionId);
+};
 
-        // Handle Payment Required (Insufficient Credit)
-        if (error.message && error.message.includes('402')) {
-            const paymentError = new Error('PAYMENT_REQUIRED');
-            paymentError.userMessage = 'Insufficient credit to generate images.';
-            throw paymentError;
-        }
+/**
+ * Cancels a running Replicate prediction
+ * @param {string} predictionId - The prediction ID
+ * @returns {Promise<object>} The prediction
+ */
+export const cancelReplicatePrediction = async (predictionId) => {
+    return replicate.predictions.cancel(predictionId);
+};
 
-        // Handle Prediction Failures (Generic)
-        if (error.message && error.message.includes('Prediction failed')) {
-            const genError = new Error('GENERATION_FAILED');
-            genError.userMessage = 'Failed to generate. Please try again.';
-            throw genError;
-        }
+/**
+ * Verifies the signature headers Replicate sends with every webhook.
+ * Signed content is "webhook-id.webhook-timestamp.body", HMAC-SHA256 with the
+ * base64 part of the "whsec_..." secret. Old timestamps are rejected to stop replays.
+ *
+ * @param {object} headers - Incoming request headers
+ * @param {Buffer|string} rawBody - The unparsed request body
+ * @param {string} secret - The webhook signing secret
+ * @param {number} [toleranceSeconds=300] - Maximum age of the webhook timestamp
+ * @returns {boolean} True if one of the signatures matches
+ */
+export const verifyReplicateWebhook = (headers, rawBody, secret, toleranceSeconds = 300) => {
+    const webhookId = headers['webhook-id'];
+    const timestamp = headers['webhook-timestamp'];
+    const signatureHeader = headers['webhook-signature'];
 
-        // Handle Rate Limiting or API Issues
-        if (error.message && (error.message.includes('rate limit') || error.message.includes('429'))) {
-            const rateLimitError = new Error('GENERATION_FAILED');
-            rateLimitError.userMessage = 'Service is busy. Please try again in a moment.';
-            throw rateLimitError;
-        }
+    if (!webhookId || !timestamp || !signatureHeader || !rawBody || !secret) {
+        return false;
+    }
 
-        // Re-throw unexpected errors
-        throw error;
+    const ageSeconds = Math.abs(Date.now() / 1000 - Number(timestamp));
+    if (!Number.isFinite(ageSeconds) || ageSeconds > toleranceSeconds) {
+        console.warn('Replicate webhook timestamp outside tolerance:', timestamp);
+        return false;
     }
+
+    const secretBytes = Buffer.from(secret.replace(/^whsec_/, ''), 'base64');
+    const expected = crypto
+        .createHmac('sha256', secretBytes)
+        .update(`${webhookId}.${timestamp}.${rawBody.toString()}`)
+        .digest();
+
+    // Header is a space-delimited list of "v1,<base64 signature>"
+    return signatureHeader.split(' ').some((entry) => {
+        const [, signature] = entry.split(',');
+        if (!signature) return false;
+
+        const received = Buffer.from(signature, 'base64');
+        return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+    });
 };
 
 export { replicate };
\ No newline at end of file
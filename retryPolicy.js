@@ -0,0 +1,183 @@
+/**
+ * Model call retries
+ * Failures that say nothing about the request (rate limits, 5xx, dropped connections)
+ * are retried with exponential backoff and jitter, or after the provider's Retry-After.
+ * Retries stop at maxRetries, at the request's deadline, or when the feature's retry
+ * budget for the last minute is spent, so a struggling model isn't hammered.
+ *
+ * Override per feature with RETRY_POLICY (JSON, merged over "default"), e.g.
+ * { "default": { "maxRetries": 3 }, "add-tattoo": { "budgetPerMinute": 5 } }
+ */
+
+import { sleep } from './providers/sleep.js';
+import { incrementMetric } from './metrics.js';
+import { loadJsonConfig } from './config.js';
+
+const DEFAULT_POLICY = {
+  maxRetries: 2,
+  baseDelayMs: 1000,
+  maxDelayMs: 8000,
+  // Covers every attempt and fallback of a request
+  deadlineMs: 120000,
+  // Retries allowed per feature across all requests, per minute
+  budgetPerMinute: 20,
+};
+
+const DEFAULT_FEATURE_POLICIES = {
+  // 4K seedream generations regularly take over a minute
+  'back-in-time': { deadlineMs: 180000 },
+};
+
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+const RETRYABLE_NETWORK_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT',
+];
+const BUDGET_WINDOW_MS = 60 * 1000;
+
+// Retry timestamps per feature, for the budget
+const recentRetries = new Map();
+
+const getPolicies = () => loadJsonConfig('RETRY_POLICY', {
+  build: (overrides) => ({ overrides, base: { ...DEFAULT_POLICY, ...overrides.default } }),
+});
+
+/**
+ * The retry policy for a feature
+ * @param {string} [feature] - Feature key (e.g. "add-tattoo")
+ */
+export const getRetryPolicy = (feature) => {
+  const { overrides, base } = getPolicies();
+  return { ...base, ...DEFAULT_FEATURE_POLICIES[feature], ...overrides[feature] };
+};
+
+/**
+ * The deadline for a request starting now
+ * @param {string} [feature]
+ * @returns {number} Epoch milliseconds
+ */
+export const getRequestDeadline = (feature) => Date.now() + getRetryPolicy(feature).deadlineMs;
+
+const getHeader = (headers, name) =>
+  (typeof headers?.get === 'function' ? headers.get(name) : headers?.[name.toLowerCase()]) ?? null;
+
+/**
+ * Whether a raw provider error is safe to retry: the request was refused or lost,
+ * not rejected for its content
+ * @param {Error} error - Error from the Replicate client, axios or fetch
+ */
+export const isRetryableError = (error) => {
+  const status = error?.response?.status;
+  if (status) {
+    return RETRYABLE_STATUSES.includes(status);
+  }
+
+  const code = error?.code || error?.cause?.code;
+  return RETRYABLE_NETWORK_CODES.includes(code);
+};
+
+/**
+ * Milliseconds the provider asked us to wait, from a Retry-After header
+ * (seconds or an HTTP date), or null
+ */
+export const getRetryAfterMs = (error) => {
+  const value = getHeader(error?.response?.headers, 'Retry-After');
+  if (value == null || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Delay before retry number `retry` (1-based): Retry-After if given, otherwise
+ * exponential backoff with jitter between half and all of the step
+ */
+export const getRetryDelay = (error, retry, policy) => {
+  const retryAfter = getRetryAfterMs(error);
+  if (retryAfter != null) {
+    return retryAfter;
+  }
+
+  const step = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (retry - 1));
+  return Math.round(step / 2 + Math.random() * (step / 2));
+};
+
+/**
+ * Spend one retry from the feature's budget
+ * @returns {boolean} False if the budget for the last minute is spent
+ */
+const takeRetryBudget = (feature, policy) => {
+  const now = Date.now();
+  const key = feature || 'default';
+  const retries = (recentRetries.get(key) || []).filter((at) => now - at < BUDGET_WINDOW_MS);
+
+  if (retries.length >= policy.budgetPerMinute) {
+    recentRetries.set(key, retries);
+    return false;
+  }
+
+  retries.push(now);
+  recentRetries.set(key, retries);
+  return true;
+};
+
+const describeFailure = (error) =>
+  error?.response?.status ? `HTTP ${error.response.status}` : error?.code || error?.cause?.code || error?.message;
+
+/**
+ * Run a model call, retrying retryable failures
+ * @param {(attempt: {number: number, predictionId: string|null}) => Promise<any>} operation -
+ *   Makes one attempt; sets attempt.predictionId once the provider has assigned one
+ * @param {object} options
+ * @param {string} [options.feature] - Feature key, selects the policy and budget
+ * @param {string} options.label - Names the call in logs (e.g. the model)
+ * @param {number} [options.deadline] - Epoch ms after which no retry starts (the policy's deadline from now if omitted)
+ * @param {AbortSignal} [options.signal] - Stops waiting between attempts
+ * @returns {Promise<any>} The operation's result
+ * @throws {Error} The last raw error
+ */
+export const withRetries = async (operation, { feature, label, deadline, signal } = {}) => {
+  const policy = getRetryPolicy(feature);
+  const stopAt = deadline ?? Date.now() + policy.deadlineMs;
+
+  for (let number = 1; ; number += 1) {
+    const attempt = { number, predictionId: null };
+
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      if (!isRetryableError(error) || signal?.aborted || number > policy.maxRetries) {
+        throw error;
+      }
+
+      const delay = getRetryDelay(error, number, policy);
+      const prediction = attempt.predictionId || 'not created';
+
+      if (Date.now() + delay >= stopAt) {
+        console.warn(`⏱️ ${label}: attempt ${number} failed (${describeFailure(error)}, prediction ${prediction}), no time left to retry`);
+        throw error;
+      }
+
+      if (!takeRetryBudget(feature, policy)) {
+        console.warn(`🪫 ${label}: attempt ${number} failed (${describeFailure(error)}, prediction ${prediction}), retry budget for ${feature || 'default'} spent`);
+        incrementMetric('retry_budget_exhausted');
+        throw error;
+      }
+
+      console.warn(`🔁 ${label}: attempt ${number} failed (${describeFailure(error)}, prediction ${prediction}), retrying in ${delay}ms`);
+      incrementMetric('model_retries');
+      await sleep(delay, signal);
+    }
+  }
+};
@@ -1,7 +1,291 @@
 import axios from 'axios';
+import crypto from 'crypto';
+import { resolveTier, getTier } from './plans.js';
+import { incrementMetric } from './metrics.js';
+import {
+  getEntitlementCache,
+  saveEntitlementCache,
+  updateEntitlementCache,
+  invalidateEntitlementCache,
+} from './db-firebase.js';
 
 const REVENUECAT_API_KEY = process.env.REVENUECAT_API_KEY;
 const REVENUECAT_API_URL = 'https://api.revenuecat.com/v1';
+const REVENUECAT_TIMEOUT_MS = Number(process.env.REVENUECAT_TIMEOUT_MS) || 5000;
+
+// Webhooks keep the cache current; this is the safety net for missed ones
+const DEFAULT_ENTITLEMENT_CACHE_TTL_HOURS = 24;
+
+const getCacheTtlMs = () =>
+  (Number(process.env.ENTITLEMENT_CACHE_TTL_HOURS) || DEFAULT_ENTITLEMENT_CACHE_TTL_HOURS) * 60 * 60 * 1000;
+
+/**
+ * Fetch a user's active entitlements from RevenueCat
+ * @param {string} userId - The user's ID (originalAppUserId from RevenueCat)
+ * @returns {Promise<Array<{id: string, productId: string, expiresDate: string|null}>>}
+ */
+export const getActiveEntitlements = async (userId) => {
+  if (!userId) return [];
+
+  const response = await axios.get(
+    `${REVENUECAT_API_URL}/subscribers/${userId}`,
+    {
+      headers: {
+        Authorization: `Bearer ${REVENUECAT_API_KEY}`,
+      },
+      // Fail fast so the outage policy kicks in instead of hanging requests
+      timeout: REVENUECAT_TIMEOUT_MS,
+    }
+  );
+
+  const entitlements = response.data.subscriber.entitlements || {};
+
+  return Object.entries(entitlements)
+    .filter(([, entitlement]) => entitlement.expires_date === null ||
+                                 new Date(entitlement.expires_date) > new Date())
+    .map(([id, entitlement]) => ({
+      id,
+      productId: entitlement.product_identifier,
+      expiresDate: entitlement.expires_date,
+    }));
+};
+
+/**
+ * The cache is stale once its TTL passes, or when a cached entitlement has expired
+ * since the last sync (it may have renewed without us hearing about it)
+ */
+const isCacheFresh = (cache, now) => {
+  if (!cache || now - cache.syncedAt >= getCacheTtlMs()) return false;
+
+  return !Object.values(cache.entitlements).some(({ expiresAt }) =>
+    expiresAt != null && expiresAt <= now && expiresAt > cache.syncedAt
+  );
+};
+
+const cachedToActive = (entitlements, now) =>
+  Object.entries(entitlements)
+    .filter(([, { expiresAt }]) => expiresAt == null || expiresAt > now)
+    .map(([id, { productId, expiresAt }]) => ({
+      id,
+      productId,
+      expiresDate: expiresAt == null ? null : new Date(expiresAt).toISOString(),
+    }));
+
+const activeToCached = (activeEntitlements) => Object.fromEntries(
+  activeEntitlements.map(({ id, productId, expiresDate }) => [id, {
+    productId,
+    expiresAt: expiresDate ? Date.parse(expiresDate) : null,
+  }])
+);
+
+/**
+ * Active entitlements from the Firestore cache, falling back to the RevenueCat API
+ * (and refreshing the cache) when it's missing or stale.
+ * If the API fails, the error carries the stale cache as error.lastKnown.
+ */
+const loadActiveEntitlements = async (userId) => {
+  const now = Date.now();
+  let cache = null;
+
+  try {
+    cache = await getEntitlementCache(userId);
+  } catch (error) {
+    console.error('Error reading entitlement cache:', error.message);
+  }
+
+  if (isCacheFresh(cache, now)) {
+    return cachedToActive(cache.entitlements, now);
+  }
+
+  let activeEntitlements;
+
+  try {
+    activeEntitlements = await getActiveEntitlements(userId);
+  } catch (error) {
+    incrementMetric('revenuecat_errors');
+    error.lastKnown = cache && cache.syncedAt
+      ? { entitlements: cachedToActive(cache.entitlements, now), at: cache.syncedAt }
+      : null;
+    throw error;
+  }
+
+  try {
+    await saveEntitlementCache(userId, activeToCached(activeEntitlements));
+  } catch (error) {
+    console.error('Error saving entitlement cache:', error.message);
+  }
+
+  return activeEntitlements;
+};
+
+// ========== IN-PROCESS CACHE ==========
+// userId -> { entitlements, fetchedAt, expiresAt }. Expired entries are kept as
+// last known state for the outage policy until evicted.
+
+const DEFAULT_CACHE_TTL_SECONDS = 60;
+const DEFAULT_NEGATIVE_CACHE_TTL_SECONDS = 30;
+const MAX_CACHE_ENTRIES = 10000;
+
+const memoryCache = new Map();
+const pendingLookups = new Map();
+
+const getSecondsSetting = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return (Number.isFinite(value) && value >= 0 ? value : fallback) * 1000;
+};
+
+const rememberEntitlements = (userId, entitlements) => {
+  const ttl = entitlements.length
+    ? getSecondsSetting('SUBSCRIPTION_CACHE_TTL_SECONDS', DEFAULT_CACHE_TTL_SECONDS)
+    : getSecondsSetting('SUBSCRIPTION_NEGATIVE_CACHE_TTL_SECONDS', DEFAULT_NEGATIVE_CACHE_TTL_SECONDS);
+
+  // Re-insert so Map order stays oldest-first for eviction
+  memoryCache.delete(userId);
+  memoryCache.set(userId, { entitlements, fetchedAt: Date.now(), expiresAt: Date.now() + ttl });
+
+  if (memoryCache.size > MAX_CACHE_ENTRIES) {
+    memoryCache.delete(memoryCache.keys().next().value);
+  }
+};
+
+/**
+ * Drop a user's in-process entry, e.g. when a webhook changes their entitlements
+ */
+export const forgetSubscriber = (userId) => {
+  memoryCache.delete(userId);
+};
+
+const withoutExpired = (entitlements, now) =>
+  entitlements.filter(({ expiresDate }) => expiresDate === null || Date.parse(expiresDate) > now);
+
+/**
+ * Active entitlements from the in-process cache, otherwise one shared lookup per user
+ */
+const lookupEntitlements = (userId) => {
+  const now = Date.now();
+  const cached = memoryCache.get(userId);
+
+  if (cached && cached.expiresAt > now) {
+    incrementMetric('subscription_cache_hits');
+    return Promise.resolve(withoutExpired(cached.entitlements, now));
+  }
+
+  if (pendingLookups.has(userId)) {
+    incrementMetric('subscription_lookups_coalesced');
+    return pendingLookups.get(userId);
+  }
+
+  incrementMetric('subscription_cache_misses');
+
+  const lookup = loadActiveEntitlements(userId)
+    .then((entitlements) => {
+      rememberEntitlements(userId, entitlements);
+      return entitlements;
+    })
+    .finally(() => pendingLookups.delete(userId));
+
+  pendingLookups.set(userId, lookup);
+  return lookup;
+};
+
+// ========== OUTAGE POLICY ==========
+
+/**
+ * SUBSCRIPTION_OUTAGE_POLICY decides what a user gets when RevenueCat can't be reached:
+ * - "free" (default): the free tier
+ * - "last-known": the last confirmed entitlements, if no older than
+ *   SUBSCRIPTION_OUTAGE_TRUST_HOURS (default 24); the free tier otherwise
+ * - "grace": SUBSCRIPTION_GRACE_DAILY_LIMIT generations a day (default 20). Users whose
+ *   last known entitlements are still active keep their tier otherwise (and stay
+ *   subscribers); everyone else gets a temporary "grace" tier built on the free one
+ */
+const getOutagePolicy = () => {
+  const policy = process.env.SUBSCRIPTION_OUTAGE_POLICY;
+  return ['last-known', 'grace'].includes(policy) ? policy : 'free';
+};
+
+const DEFAULT_OUTAGE_TRUST_HOURS = 24;
+const DEFAULT_GRACE_DAILY_LIMIT = 20;
+
+// A tier with the grace limit in place of its own
+const withGraceLimit = (tier) => {
+  const limit = Number(process.env.SUBSCRIPTION_GRACE_DAILY_LIMIT);
+
+  return {
+    ...tier,
+    dailyLimit: Number.isFinite(limit) && limit >= 0 ? limit : DEFAULT_GRACE_DAILY_LIMIT,
+    monthlyLimit: null,
+  };
+};
+
+const buildPlan = (activeEntitlements, degraded = false) => ({
+  tier: resolveTier(activeEntitlements),
+  isSubscribed: activeEntitlements.length > 0,
+  entitlements: activeEntitlements.map(({ id }) => id),
+  degraded,
+});
+
+/**
+ * The newest last known state, from this process or the stored cache, that's no older
+ * than maxAgeMs
+ */
+const getLastKnown = (userId, lastKnownFromStore, maxAgeMs = Infinity) => {
+  const cached = memoryCache.get(userId);
+
+  return [
+    cached && { entitlements: cached.entitlements, at: cached.fetchedAt },
+    lastKnownFromStore,
+  ]
+    .filter((state) => state && Date.now() - state.at <= maxAgeMs)
+    .sort((a, b) => b.at - a.at)[0] || null;
+};
+
+/**
+ * The plan to use when the subscription lookup failed
+ */
+const getOutagePlan = (userId, lastKnownFromStore) => {
+  const policy = getOutagePolicy();
+  incrementMetric(`subscription_degraded_${policy.replace('-', '_')}`);
+
+  if (policy === 'grace') {
+    // A known subscriber keeps their perks (and their clean outputs); only the limit changes
+    const lastKnown = getLastKnown(userId, lastKnownFromStore);
+    const plan = buildPlan(lastKnown ? withoutExpired(lastKnown.entitlements, Date.now()) : [], true);
+
+    return {
+      ...plan,
+      tier: withGraceLimit(plan.isSubscribed ? plan.tier : { ...getTier('free'), name: 'grace' }),
+    };
+  }
+
+  if (policy === 'last-known') {
+    const trustMs = (Number(process.env.SUBSCRIPTION_OUTAGE_TRUST_HOURS) || DEFAULT_OUTAGE_TRUST_HOURS) * 60 * 60 * 1000;
+    const lastKnown = getLastKnown(userId, lastKnownFromStore, trustMs);
+
+    if (lastKnown) {
+      return buildPlan(withoutExpired(lastKnown.entitlements, Date.now()), true);
+    }
+  }
+
+  return buildPlan([], true);
+};
+
+/**
+ * Resolve a user's plan tier from their RevenueCat entitlements.
+ * degraded is true when RevenueCat couldn't be reached and the outage policy decided.
+ * @param {string} userId - The user's ID (originalAppUserId from RevenueCat)
+ * @returns {Promise<{tier: object, isSubscribed: boolean, entitlements: string[], degraded: boolean}>}
+ */
+export const getSubscriberPlan = async (userId) => {
+  if (!userId) return buildPlan([]);
+
+  try {
+    return buildPlan(await lookupEntitlements(userId));
+  } catch (error) {
+    console.error('Error verifying subscription:', error.message);
+    return getOutagePlan(userId, error.lastKnown);
+  }
+};
 
 /**
  * Verify if a user has an active subscription via RevenueCat
@@ -9,29 +293,114 @@ const REVENUECAT_API_URL = 'https://api.revenuecat.com/v1';
  * @returns {boolean} - True if user has active subscription
  */
 export const isUserSubscribed = async (userId) => {
-  try {
-    if (!userId) return false;
-
-    const response = await axios.get(
-      `${REVENUECAT_API_URL}/subscribers/${userId}`,
-      {
-        headers: {
-          Authorization: `Bearer ${REVENUECAT_API_KEY}`,
-        },
+  const { isSubscribed } = await getSubscriberPlan(userId);
+  return isSubscribed;
+};
+
+// ========== WEBHOOKS ==========
+
+/**
+ * Check the Authorization header of a RevenueCat webhook against the value
+ * configured in the RevenueCat dashboard
+ * @param {string} authorizationHeader - The request's Authorization header
+ * @param {string} expected - The configured value (REVENUECAT_WEBHOOK_AUTH)
+ * @returns {boolean}
+ */
+export const verifyRevenueCatWebhook = (authorizationHeader, expected) => {
+  if (!authorizationHeader || !expected) return false;
+
+  const received = Buffer.from(authorizationHeader);
+  const wanted = Buffer.from(expected);
+  return received.length === wanted.length && crypto.timingSafeEqual(received, wanted);
+};
+
+const getEventEntitlementIds = (event) =>
+  event.entitlement_ids || (event.entitlement_id ? [event.entitlement_id] : []);
+
+/**
+ * Apply changes to each of the event's entitlements, skipping entitlements that
+ * already reflect a newer event (RevenueCat doesn't guarantee delivery order)
+ */
+const applyToEntitlements = (userId, event, change) =>
+  updateEntitlementCache(userId, (entitlements) => {
+    for (const id of getEventEntitlementIds(event)) {
+      const current = entitlements[id];
+
+      if (current?.eventAt > event.event_timestamp_ms) {
+        continue;
       }
-    );
 
-    // Check if user has any active entitlements
-    const entitlements = response.data.subscriber.entitlements || {};
-    const hasActiveEntitlement = Object.values(entitlements).some(
-      (entitlement) => entitlement.expires_date === null || 
-                       new Date(entitlement.expires_date) > new Date()
-    );
+      const next = change(current);
 
-    return hasActiveEntitlement;
-  } catch (error) {
-    console.error('Error verifying subscription:', error.message);
-    // Fail open for security: if we can't verify, treat as free user
-    return false;
+      if (next) {
+        entitlements[id] = { ...next, eventAt: event.event_timestamp_ms };
+      } else {
+        delete entitlements[id];
+      }
+    }
+
+    return entitlements;
+  });
+
+const getEventExpiry = (event, current) =>
+  event.expiration_at_ms ?? current?.expiresAt ?? null;
+
+/**
+ * Update the cached entitlement state from a RevenueCat webhook event
+ * @param {object} event - The webhook body's "event" object
+ * @returns {Promise<boolean>} False if the event type isn't one we track
+ */
+export const handleRevenueCatEvent = async (event) => {
+  const userId = event.app_user_id;
+  forgetSubscriber(userId);
+
+  switch (event.type) {
+    case 'INITIAL_PURCHASE':
+    case 'RENEWAL':
+      await applyToEntitlements(userId, event, () => ({
+        productId: event.product_id,
+        expiresAt: event.expiration_at_ms ?? null,
+        willRenew: true,
+        billingIssue: false,
+      }));
+      break;
+
+    // Access continues until the entitlement expires (refunds carry an immediate expiry)
+    case 'CANCELLATION':
+      await applyToEntitlements(userId, event, (current) => ({
+        productId: event.product_id,
+        ...current,
+        expiresAt: getEventExpiry(event, current),
+        willRenew: false,
+      }));
+      break;
+
+    // Access continues through the store's grace period, if any
+    case 'BILLING_ISSUE':
+      await applyToEntitlements(userId, event, (current) => ({
+        productId: event.product_id,
+        ...current,
+        expiresAt: getEventExpiry(event, current),
+        billingIssue: true,
+      }));
+      break;
+
+    case 'EXPIRATION':
+      await applyToEntitlements(userId, event, () => null);
+      break;
+
+    // Transfer events don't list entitlements; have both sides re-read them from the API
+    case 'TRANSFER': {
+      const transferredUsers = [...(event.transferred_from || []), ...(event.transferred_to || [])];
+      transferredUsers.forEach(forgetSubscriber);
+      await Promise.all(transferredUsers.map(invalidateEntitlementCache));
+      break;
+    }
+
+    default:
+      return false;
   }
-};
\ No newline at end of file
+
+  console.log(`💳 RevenueCat ${event.type} processed for ${userId || 'transfer'}`);
+  return true;
+};
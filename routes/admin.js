@@ -0,0 +1,12 @@
+import express from 'express';
+import { listModels } from '../modelRegistry.js';
+import { requireAdmin } from '../authMiddleware.js';
+
+const router = express.Router();
+
+// ============ ACTIVE MODEL MAPPING ============
+router.get('/admin/models', requireAdmin, (req, res) => {
+    res.json({ success: true, models: listModels() });
+});
+
+export default router;
@@ -0,0 +1,38 @@
+import express from 'express';
+import { getCreditBalance, listCreditTransactions } from '../db-firebase.js';
+import { authenticateUser, requireSameUser } from '../authMiddleware.js';
+import { getSubscriberPlan } from '../revenuecat.js';
+import { getRequestTimezone } from '../quotaPolicy.js';
+import { getMeteringMode } from '../credits.js';
+
+const router = express.Router();
+
+// ============ GET CREDITS ============
+// Query: limit (recent transactions to include, max 50)
+router.get('/users/:userId/credits', authenticateUser, requireSameUser, async (req, res, next) => {
+    try {
+        const { userId } = req.params;
+        const { tier, degraded } = await getSubscriberPlan(userId);
+        const unmetered = tier.monthlyCredits == null;
+
+        const { balance, resetsAt } = unmetered
+            ? { balance: Infinity, resetsAt: null }
+            : await getCreditBalance(userId, tier.monthlyCredits, { timeZone: getRequestTimezone(req) });
+
+        res.json({
+            success: true,
+            meteringMode: getMeteringMode(),
+            tier: tier.name,
+            subscriptionDegraded: degraded,
+            balance,
+            monthlyCredits: tier.monthlyCredits,
+            resetsAt: resetsAt?.toISOString() ?? null,
+            transactions: await listCreditTransactions(userId, { limit: req.query.limit })
+        });
+
+    } catch (error) {
+        next(error); // Pass to global error handler
+    }
+});
+
+export default router;
@@ -0,0 +1,19 @@
+import express from 'express';
+import { getFakeOutput } from '../providers/fake.js';
+import { sendError, createApiError } from '../errorHandling.js';
+
+const router = express.Router();
+
+// ============ FAKE PROVIDER OUTPUTS ============
+// Serves the placeholder images generated by the offline "fake" provider
+router.get('/fake-provider/outputs/:file', (req, res) => {
+    const image = getFakeOutput(req.params.file);
+
+    if (!image) {
+        return sendError(req, res, createApiError(404, 'NOT_FOUND', { messageKey: 'FAKE_OUTPUT_NOT_FOUND' }));
+    }
+
+    res.type('png').send(image);
+});
+
+export default router;
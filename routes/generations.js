@@ -0,0 +1,72 @@
+import express from 'express';
+import {
+    listGenerationHistory,
+    getGenerationHistoryEntry,
+    deleteGenerationHistoryEntry
+} from '../db-firebase.js';
+import { deleteStoredImages, withImageUrls } from '../storage-firebase.js';
+import { authenticateUser, requireSameUser } from '../authMiddleware.js';
+import { sendError, createApiError } from '../errorHandling.js';
+
+const router = express.Router();
+
+const generationNotFound = (req, res) => sendError(req, res, createApiError(404, 'GENERATION_NOT_FOUND'));
+
+// ============ LIST GENERATIONS ============
+// Query: limit (max 50), cursor (nextCursor from the previous page), feature
+router.get('/users/:userId/generations', authenticateUser, requireSameUser, async (req, res, next) => {
+    try {
+        const { userId } = req.params;
+        const { limit, cursor, feature } = req.query;
+
+        const { generations, nextCursor } = await listGenerationHistory(userId, { limit, cursor, feature });
+
+        res.json({ success: true, generations: await Promise.all(generations.map(withImageUrls)), nextCursor });
+
+    } catch (error) {
+        next(error); // Pass to global error handler
+    }
+});
+
+// ============ GET ONE GENERATION ============
+router.get('/users/:userId/generations/:generationId', authenticateUser, requireSameUser, async (req, res, next) => {
+    try {
+        const { userId, generationId } = req.params;
+        const generation = await getGenerationHistoryEntry(userId, generationId);
+
+        if (!generation) {
+            return generationNotFound(req, res);
+        }
+
+        res.json({ success: true, generation: await withImageUrls(generation) });
+
+    } catch (error) {
+        next(error); // Pass to global error handler
+    }
+});
+
+// ============ DELETE GENERATION ============
+router.delete('/users/:userId/generations/:generationId', authenticateUser, requireSameUser, async (req, res, next) => {
+    try {
+        const { userId, generationId } = req.params;
+        const storagePaths = await deleteGenerationHistoryEntry(userId, generationId);
+
+        if (storagePaths === undefined) {
+            return generationNotFound(req, res);
+        }
+
+        // The entry is gone either way; a leftover file is only wasted storage
+        try {
+            await deleteStoredImages(storagePaths);
+        } catch (error) {
+            console.error('❌ Error deleting stored generation:', error.message);
+        }
+
+        res.json({ success: true, id: generationId });
+
+    } catch (error) {
+        next(error); // Pass to global error handler
+    }
+});
+
+export default router;
@@ -1,38 +1,227 @@
 import express from 'express'; 
-import multer from 'multer'; 
-import { removeBackground } from '../bgremoval.js'; 
-import { generateImage } from '../textToImg.js'; 
-import { styleSingleImage, styleImage, generateImageSeedream } from '../styleImage.js';
-import { addTattoo } from '../addtattoo.js';
-import { checkGenerationLimit } from '../generationLimitMiddleware.js';
-import { incrementGenerationCount, getTodayGenerationCount } from '../db-firebase.js';
-import { isUserSubscribed } from '../revenuecat.js';  // ← ADD THIS TOO
+import { randomUUID } from 'crypto';
+import { removeBackground, prepareRemoveBackground } from '../bgremoval.js'; 
+import { generateImages, prepareGenerateImage } from '../textToImg.js'; 
+import {
+    styleSingleImage,
+    styleImages,
+    generateImagesSeedream,
+    prepareStyleImage,
+    prepareGenerateImageSeedream
+} from '../styleImage.js';
+import { addTattoo, prepareAddTattoo, previewTattooMask } from '../addtattoo.js';
+import { parseTattooPlacement } from '../tattooMask.js';
+import { createGenerationJob } from '../jobs.js';
+import { persistGeneratedImage, toStoredImage, withImageUrls } from '../storage-firebase.js';
+import { checkGenerationLimit, parseImageCount } from '../generationLimitMiddleware.js';
+import { trackGenerationRequest } from '../generationDeadlineMiddleware.js';
+import { validateUpload } from '../uploadValidationMiddleware.js';
+import { moderateRequest, recordNsfwBlock } from '../moderation.js';
+import { parseOutputOptions } from '../imageVariants.js';
+import { sendError, createApiError, formatErrorResponse } from '../errorHandling.js';
+import { getRequestLocale } from '../i18n.js';
+import { authenticateUser, authenticateOptional, requireSameUser } from '../authMiddleware.js';
+import { getGenerationUsage, addGenerationHistory, computeRemaining, getUnitReservationKey } from '../db-firebase.js';
+import { getRequestTimezone } from '../quotaPolicy.js';
+import { getSubscriberPlan } from '../revenuecat.js';
+import { clampOutputSize, describeTier, OUTPUT_SIZES } from '../plans.js';
 
 const router = express.Router();
-const upload = multer({ storage: multer.memoryStorage() });
 
 // Utility to convert a file buffer to a base64 Data URL string
 const bufferToBase64 = (buffer, mimeType) => 
     `data:${mimeType};base64,${buffer.toString('base64')}`;
 
+// Model parameters worth keeping in history: everything except the prompt,
+// the user ID, the async flag, the image count and inline images
+const pickHistoryParameters = (input) => Object.fromEntries(
+    Object.entries(input || {}).filter(([key, value]) =>
+        !['prompt', 'userId', 'async', 'timezone', 'count'].includes(key) &&
+        !(typeof value === 'string' && value.startsWith('data:')) &&
+        !(Array.isArray(value) && value.some(item => typeof item === 'string' && item.startsWith('data:')))
+    )
+);
+
+// Stores the outputs durably in the requested format with their thumbnail and medium
+// variants (watermarked for free users, see watermark.js), keeps the free user's
+// reserved quota slot for each image produced (the rest are given back) and adds each
+// image to the user's history as its own generation.
+// Storage and history failures are logged, never thrown, so a finished generation
+// always reaches the user. Results that failed are reported per item in the caller's
+// language; if none succeeded, the first failure is thrown.
+// `details` (model, prompt, style, parameters) is omitted by bg-removal,
+// which isn't part of the user's history.
+const completeGenerations = async (req, feature, results, details) => {
+    const userId = req.userId;
+
+    // Abandoned as the model finished: nobody receives the images, so they aren't kept or charged
+    if (req.generationOptions?.signal.aborted) {
+        throw req.generationOptions.signal.reason;
+    }
+
+    const produced = results.filter(result => !result.error);
+
+    if (!produced.length) {
+        throw results[0].error;
+    }
+
+    // A provider blocked some of the images: a strike, as if it had blocked them all
+    if (produced.length < results.length && results.some(result => result.error?.message === 'NSFW_BLOCKED')) {
+        await recordNsfwBlock(userId, { feature });
+    }
+
+    const outcomes = await Promise.all(results.map(async (result) => {
+        if (result.error) {
+            return result;
+        }
+
+        const id = randomUUID();
+        const image = await persistGeneratedImage({
+            userId,
+            generationId: id,
+            sourceUrl: result.imageUrl,
+            isSubscribed: req.isSubscribed,
+            tier: req.plan?.name,
+            feature,
+            output: req.outputOptions
+        });
+        return { ...result, id, image };
+    }));
+
+    const delivered = outcomes.filter(outcome => !outcome.error);
+
+    // The slots reserved by checkGenerationLimit are kept now that the images exist.
+    // Subscribers and bg-removal have no reservation, so they never count.
+    const countedAgainstQuota = !!req.quotaReservation;
+    req.quotaReservation?.commit(delivered.map(({ id }) => id));
+
+    if (details && userId) {
+        for (const { id, image, model } of delivered) {
+            try {
+                await addGenerationHistory(userId, id, {
+                    ...details,
+                    model: model ?? details.model,
+                    ...toStoredImage(image),
+                    variantPaths: image.variantPaths,
+                    watermarked: image.watermarked,
+                    countedAgainstQuota,
+                    creditsCharged: req.creditCost
+                });
+            } catch (error) {
+                console.error('❌ Error recording generation history:', error.message);
+            }
+        }
+    }
+
+    const locale = getRequestLocale(req);
+
+    return Promise.all(outcomes.map(async ({ error, id, image, model }, index) => {
+        if (error) {
+            return { index, ...formatErrorResponse(error, locale).body };
+        }
+
+        const { imageUrl, variants } = await withImageUrls(image);
+
+        return {
+            index,
+            success: true,
+            id,
+            imageUrl,
+            variants,
+            watermarked: image.watermarked,
+            model
+        };
+    }));
+};
+
+// Single-image version of completeGenerations
+const completeGeneration = async (req, feature, imageUrl, details) => {
+    const [image] = await completeGenerations(req, feature, [{ imageUrl, model: details?.model }], details);
+    return image;
+};
+
+// The response fields for a multi-image generation: every item, plus the first image
+// as imageUrl, variants, watermarked and model for clients that expect one
+const describeImages = (images) => {
+    const first = images.find(image => image.success);
+
+    return {
+        imageUrl: first.imageUrl,
+        variants: first.variants,
+        watermarked: first.watermarked,
+        model: first.model,
+        images
+    };
+};
+
+// Async mode is opt-in per request: ?async=1
+const isAsyncRequest = (req) => ['1', 'true'].includes(String(req.query.async));
+
+// Creates prediction-backed jobs (one per requested image) and answers with their IDs
+// right away. Each job takes over one slot of the quota reservation and releases it
+// if its prediction fails; slots for jobs that couldn't be created are given back now.
+const respondWithJob = async (req, res, details, { provider, model, input, fallbacks, preprocessing }) => {
+    const { feature, ...historyDetails } = details;
+    const count = req.imageCount || 1;
+
+    const created = await Promise.allSettled(Array.from({ length: count }, (_, index) => createGenerationJob({
+        userId: req.userId,
+        isSubscribed: req.isSubscribed,
+        tier: req.plan?.name,
+        feature,
+        provider,
+        model,
+        input,
+        fallbacks,
+        details: feature === 'bg-removal' ? null : historyDetails,
+        output: req.outputOptions,
+        quotaReservation: req.quotaReservation ? getUnitReservationKey(req.quotaReservation.key, index) : null
+    })));
+
+    const jobs = created.filter(({ status }) => status === 'fulfilled').map(({ value }) => value);
+
+    if (!jobs.length) {
+        throw created[0].reason;
+    }
+
+    req.quotaReservation?.commit(jobs.map(job => job.id));
+
+    const locale = getRequestLocale(req);
+
+    res.status(202).json({
+        success: true,
+        jobId: jobs[0].id,
+        status: jobs[0].status,
+        model: jobs[0].model,
+        // Multi-image requests: every job, or why it couldn't be created
+        ...(count > 1 ? {
+            jobs: created.map(({ status, value, reason }, index) => (status === 'fulfilled'
+                ? { index, success: true, jobId: value.id, status: value.status, model: value.model }
+                : { index, ...formatErrorResponse(reason, locale).body }))
+        } : {}),
+        preprocessing,
+        remaining: req.remaining,
+        isSubscribed: req.isSubscribed,
+        tier: req.plan?.name
+    });
+};
+
 // ============ BACKGROUND REMOVAL ============
 // NOTE: Background removal typically doesn't count toward generation limits
 // since it's a preprocessing step, not a generation. Uncomment if needed.
-router.post('/bg-removal', upload.single('image'), async (req, res, next) => {
+router.post('/bg-removal', validateUpload('bg-removal'), parseOutputOptions, authenticateOptional, trackGenerationRequest('bg-removal'), async (req, res, next) => {
     try {
-        const fileBuffer = req.file?.buffer;
-        const mimeType = req.file?.mimetype;
+        const imageFile = req.files.image[0];
+        const imageBase64 = bufferToBase64(imageFile.buffer, imageFile.mimetype);
 
-        if (!fileBuffer || !mimeType) {
-            return res.status(400).json({ 
-                error: 'Image file is required in the "image" field.' 
-            });
+        if (isAsyncRequest(req)) {
+            return respondWithJob(req, res, { feature: 'bg-removal' }, await prepareRemoveBackground(imageBase64));
         }
 
-        const imageBase64 = bufferToBase64(fileBuffer, mimeType);
-        const imageUrl = await removeBackground(imageBase64);
+        const { imageUrl: outputUrl, model, preprocessing } = await removeBackground(imageBase64, req.generationOptions);
+        const { imageUrl, variants, watermarked } = await completeGeneration(req, 'bg-removal', outputUrl);
 
-        res.json({ success: true, imageUrl });
+        res.json({ success: true, imageUrl, variants, watermarked, model, preprocessing });
 
     } catch (error) {
         next(error); // Pass to global error handler
@@ -40,29 +229,29 @@ router.post('/bg-removal', upload.single('image'), async (req, res, next) => {
 });
 
 // ============ TEXT TO IMAGE (WITH LIMIT CHECK) ============
-router.post('/generate-image', checkGenerationLimit, async (req, res, next) => {
+router.post('/generate-image', validateUpload('text-to-image'), parseOutputOptions, parseImageCount, authenticateUser, moderateRequest('text-to-image'), checkGenerationLimit('text-to-image'), trackGenerationRequest('text-to-image'), async (req, res, next) => {
     try {
         const input = req.body;
-        const userId = req.body.userId;
 
-        if (!input || !input.prompt) {
-            return res.status(400).json({ 
-                error: 'A valid input object with a prompt is required.' 
-            });
-        }
-        
-        const imageUrl = await generateImage(input);
+        const details = {
+            feature: 'text-to-image',
+            prompt: input.prompt,
+            parameters: pickHistoryParameters(input)
+        };
 
-        // Record generation for free users after successful creation
-        if (!req.isSubscribed && userId) {
-            await incrementGenerationCount(userId);
+        if (isAsyncRequest(req)) {
+            return respondWithJob(req, res, details, await prepareGenerateImage(input));
         }
+        
+        const { results } = await generateImages(input, req.imageCount, req.generationOptions);
+        const images = await completeGenerations(req, details.feature, results, details);
 
         res.json({ 
             success: true, 
-            imageUrl,
+            ...describeImages(images),
             remaining: req.remaining,
-            isSubscribed: req.isSubscribed
+            isSubscribed: req.isSubscribed,
+            tier: req.plan?.name
         });
 
     } catch (error) {
@@ -71,37 +260,32 @@ router.post('/generate-image', checkGenerationLimit, async (req, res, next) => {
 });
 
 // ============ STYLE IMAGE - SINGLE ============
-router.post('/styleImage/single', upload.single('image'), checkGenerationLimit, async (req, res, next) => {
+router.post('/styleImage/single', validateUpload('style-image-single'), parseOutputOptions, authenticateUser, moderateRequest('style-image'), checkGenerationLimit('style-image'), trackGenerationRequest('style-image'), async (req, res, next) => {
     try {
-        const imageFile = req.file;
+        const imageFile = req.files.image[0];
         const styleString = req.body.style;
-        const userId = req.body.userId;
-
-        if (!imageFile) {
-            return res.status(400).json({ 
-                error: 'Image file is required in the "image" field.' 
-            });
-        }
-
-        if (!styleString) {
-            return res.status(400).json({ 
-                error: 'Style prompt is required in the "style" field.' 
-            });
-        }
 
         const imageBase64 = bufferToBase64(imageFile.buffer, imageFile.mimetype);
-        const imageUrl = await styleSingleImage(imageBase64, styleString);
 
-        // Record generation for free users after successful creation
-        if (!req.isSubscribed && userId) {
-            await incrementGenerationCount(userId);
+        const details = { feature: 'style-image', style: styleString, parameters: { imageCount: 1 } };
+
+        if (isAsyncRequest(req)) {
+            return respondWithJob(req, res, details, await prepareStyleImage([imageBase64], styleString, req.body));
         }
 
+        const { imageUrl: outputUrl, model, preprocessing } = await styleSingleImage(imageBase64, styleString, req.body, req.generationOptions);
+        const { imageUrl, variants, watermarked } = await completeGeneration(req, details.feature, outputUrl, { ...details, model });
+
         res.json({ 
             success: true, 
             imageUrl,
+            variants,
+            watermarked,
+            model,
+            preprocessing,
             remaining: req.remaining,
-            isSubscribed: req.isSubscribed
+            isSubscribed: req.isSubscribed,
+            tier: req.plan?.name
         });
 
     } catch (error) {
@@ -110,29 +294,19 @@ router.post('/styleImage/single', upload.single('image'), checkGenerationLimit,
 });
 
 // ============ STYLE IMAGE - DUAL ============
-router.post('/styleImage', upload.fields([
-    { name: 'image1', maxCount: 1 },
-    { name: 'image2', maxCount: 1 }
-]), 
-    checkGenerationLimit,
+router.post('/styleImage',
+    validateUpload('style-image'),
+    parseOutputOptions,
+    parseImageCount,
+    authenticateUser,
+    moderateRequest('style-image'),
+    checkGenerationLimit('style-image'),
+    trackGenerationRequest('style-image'),
 async (req, res, next) => {
     try {
-        const image1File = req.files?.image1?.[0];
-        const image2File = req.files?.image2?.[0];
+        const image1File = req.files.image1[0];
+        const image2File = req.files.image2?.[0];
         const styleString = req.body.style;
-        const userId = req.body.userId;
-
-        if (!image1File) {
-            return res.status(400).json({ 
-                error: 'At least image1 is required.' 
-            });
-        }
-
-        if (!styleString) {
-            return res.status(400).json({ 
-                error: 'Style prompt is required in the "style" field.' 
-            });
-        }
 
         const image1Base64 = bufferToBase64(image1File.buffer, image1File.mimetype);
         const imageInputArray = [image1Base64];
@@ -145,18 +319,26 @@ async (req, res, next) => {
             console.log('Processing with 1 image');
         }
 
-        const imageUrl = await styleImage(imageInputArray, styleString);
+        const details = {
+            feature: 'style-image',
+            style: styleString,
+            parameters: { imageCount: imageInputArray.length }
+        };
 
-        // Record generation for free users after successful creation
-        if (!req.isSubscribed && userId) {
-            await incrementGenerationCount(userId);
+        if (isAsyncRequest(req)) {
+            return respondWithJob(req, res, details, await prepareStyleImage(imageInputArray, styleString, req.body));
         }
 
+        const { results, preprocessing } = await styleImages(imageInputArray, styleString, req.body, req.imageCount, req.generationOptions);
+        const images = await completeGenerations(req, details.feature, results, details);
+
         res.json({ 
             success: true, 
-            imageUrl,
+            ...describeImages(images),
+            preprocessing,
             remaining: req.remaining,
-            isSubscribed: req.isSubscribed
+            isSubscribed: req.isSubscribed,
+            tier: req.plan?.name
         });
 
     } catch (error) {
@@ -166,55 +348,44 @@ async (req, res, next) => {
 
 // ============ ADD TATTOO ============
 router.post('/add-Tattoo', 
-    upload.fields([
-        { name: 'resizedImage', maxCount: 1 },
-        { name: 'originalPhoto', maxCount: 1 }
-    ]),     
-    
-    checkGenerationLimit,
+    validateUpload('add-tattoo'),
+    parseTattooPlacement,
+    parseOutputOptions,
+    authenticateUser,
+    moderateRequest('add-tattoo'),
+    checkGenerationLimit('add-tattoo'),
+    trackGenerationRequest('add-tattoo'),
 
     async (req, res, next) => {
         try {
             const prompt = req.body.prompt;
-            const userId = req.body.userId;
-            const resizedImageFile = req.files?.resizedImage?.[0];
-            const originalPhotoFile = req.files?.originalPhoto?.[0];
+            const resizedImageFile = req.files.resizedImage?.[0];
+            const originalPhotoFile = req.files.originalPhoto[0];
 
-            if (!prompt) {
-                return res.status(400).json({ 
-                    error: 'Prompt is required for tattoo generation.' 
-                });
-            }
+            // The app's own mask, or the placement to build one from
+            const mask = req.placement || bufferToBase64(resizedImageFile.buffer, resizedImageFile.mimetype);
+            const originalPhotoBase64 = bufferToBase64(originalPhotoFile.buffer, originalPhotoFile.mimetype);
 
-            if (!resizedImageFile || !originalPhotoFile) {
-                return res.status(400).json({ 
-                    error: 'Both image files are required.',
-                    details: 'Please ensure "resizedImage" (mask) and "originalPhoto" are uploaded.'
-                });
-            }
+            const details = { feature: 'add-tattoo', prompt, parameters: {} };
 
-            const resizedImageBase64 = bufferToBase64(
-                resizedImageFile.buffer, 
-                resizedImageFile.mimetype || 'image/png'
-            );
-            
-            const originalPhotoBase64 = bufferToBase64(
-                originalPhotoFile.buffer, 
-                originalPhotoFile.mimetype || 'image/jpeg'
-            );
-
-            const imageUrl = await addTattoo(prompt, originalPhotoBase64, resizedImageBase64);
-
-            // Record generation for free users after successful creation
-            if (!req.isSubscribed && userId) {
-                await incrementGenerationCount(userId);
+            if (isAsyncRequest(req)) {
+                return respondWithJob(req, res, details,
+                    await prepareAddTattoo(prompt, originalPhotoBase64, mask, req.body));
             }
 
+            const { imageUrl: outputUrl, model, preprocessing } = await addTattoo(prompt, originalPhotoBase64, mask, req.body, req.generationOptions);
+            const { imageUrl, variants, watermarked } = await completeGeneration(req, details.feature, outputUrl, { ...details, model });
+
             res.json({ 
                 success: true, 
                 imageUrl,
+                variants,
+                watermarked,
+                model,
+                preprocessing,
                 remaining: req.remaining,
-                isSubscribed: req.isSubscribed
+                isSubscribed: req.isSubscribed,
+                tier: req.plan?.name
             });
 
         } catch (error) {
@@ -223,24 +394,51 @@ router.post('/add-Tattoo',
     }
 );
 
+// ============ TATTOO MASK PREVIEW ============
+// The mask a placement makes, as /add-Tattoo would send it to the model.
+// Runs no model, so it doesn't use quota.
+router.post('/add-Tattoo/mask-preview',
+    validateUpload('tattoo-mask-preview'),
+    parseTattooPlacement,
+    authenticateUser,
+
+    async (req, res, next) => {
+        try {
+            const originalPhotoFile = req.files.originalPhoto[0];
+            const originalPhotoBase64 = bufferToBase64(originalPhotoFile.buffer, originalPhotoFile.mimetype);
+
+            const { mask, width, height, photo } = await previewTattooMask(originalPhotoBase64, req.placement);
+
+            res.json({ success: true, mask, width, height, preprocessing: [photo] });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
 // ============ GENERATE IMAGE (BACK IN TIME) ============
-router.post('/generateImage', upload.fields([
-    { name: 'image1', maxCount: 1 },
-    { name: 'image2', maxCount: 1 }
-        ]),
-    checkGenerationLimit,
+router.post('/generateImage',
+    validateUpload('back-in-time'),
+    parseOutputOptions,
+    parseImageCount,
+    authenticateUser,
+    moderateRequest('back-in-time'),
+    checkGenerationLimit('back-in-time'),
+    trackGenerationRequest('back-in-time'),
 
     async (req, res, next) => {
         try {
-        const { prompt, userId } = req.body;
+        const { prompt, size } = req.body;
+        const userId = req.userId;
         console.log('📝 Route received - userId:', userId, 'prompt:', prompt);
         const image1File = req.files?.image1?.[0];
         const image2File = req.files?.image2?.[0];
 
-        if (!prompt) {
-            return res.status(400).json({ 
-                error: 'Prompt is required.' 
-            });
+        // Larger sizes are capped at the plan's maximum
+        const outputSize = clampOutputSize(req.plan, size || '2K');
+
+        if (!outputSize) {
+            return sendError(req, res, createApiError(400, 'INVALID_SIZE', { params: { sizes: OUTPUT_SIZES.join(', ') } }));
         }
 
         const imageInputArray = [];
@@ -257,18 +455,27 @@ router.post('/generateImage', upload.fields([
             console.log('Added reference image 2');
         }
 
-        const imageUrl = await generateImageSeedream(prompt, imageInputArray);
+        const details = {
+            feature: 'back-in-time',
+            prompt,
+            parameters: { referenceImageCount: imageInputArray.length, size: outputSize }
+        };
 
-        // Record generation for free users after successful creation
-        if (!req.isSubscribed && userId) {
-            await incrementGenerationCount(userId);
+        if (isAsyncRequest(req)) {
+            return respondWithJob(req, res, details,
+                await prepareGenerateImageSeedream(prompt, imageInputArray, { ...req.body, size: outputSize }));
         }
 
+        const { results, preprocessing } = await generateImagesSeedream(prompt, imageInputArray, { ...req.body, size: outputSize }, req.imageCount, req.generationOptions);
+        const images = await completeGenerations(req, details.feature, results, details);
+
         res.json({ 
             success: true, 
-            imageUrl,
+            ...describeImages(images),
+            preprocessing,
             remaining: req.remaining,
-            isSubscribed: req.isSubscribed
+            isSubscribed: req.isSubscribed,
+            tier: req.plan?.name
         });
 
     } catch (error) {
@@ -277,56 +484,55 @@ router.post('/generateImage', upload.fields([
 });
 
 // ============ GET GENERATION LIMIT ============
-router.get('/generation-limit/:userId', async (req, res, next) => {
+router.get('/generation-limit/:userId', authenticateUser, requireSameUser, async (req, res, next) => {
     try {
         const { userId } = req.params;
 
         if (!userId) {
-            return res.status(400).json({
-                error: 'userId is required'
-            });
+            return sendError(req, res, createApiError(400, 'USER_ID_REQUIRED'));
         }
 
         console.log('🔍 Fetching limit for userId:', userId);
 
-        // Check subscription
-        let isSubscribed = false;
-        try {
-            isSubscribed = await isUserSubscribed(userId);
-        } catch (error) {
-            console.warn('Could not verify subscription:', error.message);
-        }
+        // Resolve the plan tier (falls back to free if RevenueCat can't be reached)
+        const { tier, isSubscribed, degraded } = await getSubscriberPlan(userId);
+        const limits = { ...describeTier(tier), subscriptionDegraded: degraded };
 
-        // If subscribed, unlimited
-        if (isSubscribed) {
-            console.log('✅ User is subscribed - unlimited');
+        // Unlimited tiers have no usage to count
+        if (tier.dailyLimit == null && tier.monthlyLimit == null) {
+            console.log(`✅ User is on unlimited tier ${tier.name}`);
             return res.json({
                 remaining: Infinity,
                 used: 0,
                 total: Infinity,
-                isSubscribed: true
+                isSubscribed,
+                ...limits,
+                resetsAt: null
             });
         }
 
-        // Get count for free users
-        const count = await getTodayGenerationCount(userId);
-        const DAILY_LIMIT = 5;
+        // Get usage in the user's reset periods
+        const usage = await getGenerationUsage(userId, { timeZone: getRequestTimezone(req) });
+        const count = usage.count;
 
-        console.log(`📊 Count: ${count}/${DAILY_LIMIT}`);
+        console.log(`📊 Count: ${count}/${tier.dailyLimit ?? '∞'} today, ${usage.monthlyCount}/${tier.monthlyLimit ?? '∞'} this month`);
 
         res.json({
-            remaining: Math.max(0, DAILY_LIMIT - count),
+            remaining: computeRemaining(usage, tier),
             used: count,
-            total: DAILY_LIMIT,
-            isSubscribed: false
+            total: tier.dailyLimit ?? Infinity,
+            monthlyUsed: usage.monthlyCount,
+            isSubscribed,
+            ...limits,
+            resetPolicy: usage.policy,
+            timezone: usage.timeZone,
+            resetsAt: tier.dailyLimit == null ? null : usage.resetsAt?.toISOString() ?? null,
+            monthlyResetsAt: tier.monthlyLimit == null ? null : usage.monthlyResetsAt.toISOString()
         });
 
     } catch (error) {
         console.error('❌ Error getting generation limit:', error);
-        res.status(500).json({
-            error: 'Failed to get generation limit',
-            message: error.message
-        });
+        sendError(req, res, createApiError(500, 'LIMIT_CHECK_FAILED'));
     }
 });
 
@@ -0,0 +1,244 @@
+import express from 'express';
+import { getGenerationJob, isTerminalStatus } from '../jobs.js';
+import { getRemainingGenerations } from '../db-firebase.js';
+import { getTier, getPlanConfig } from '../plans.js';
+import { formatErrorResponse, sendError, createApiError } from '../errorHandling.js';
+import { getRequestLocale, translate } from '../i18n.js';
+import { authenticateOptional, acceptQueryToken } from '../authMiddleware.js';
+import { withImageUrls } from '../storage-firebase.js';
+
+const router = express.Router();
+
+const EVENTS_POLL_INTERVAL_MS = 1500;
+const EVENTS_HEARTBEAT_MS = 15000;
+// Well past any model run: a stream still open by then ends with a "timeout" event
+const EVENTS_MAX_DURATION_MS = 10 * 60 * 1000;
+
+// One poller per job, shared by all of its streams: jobId -> { listeners, timer }
+const jobWatchers = new Map();
+
+// The job owner's tier; jobs created before plan tiers only know isSubscribed
+const getJobTier = (job) =>
+    getTier(job.tier || (job.isSubscribed ? getPlanConfig().defaultPaidTier : 'free'));
+
+// Remaining quota for the job's owner (undefined for anonymous jobs like bg-removal)
+const getJobRemaining = async (job) =>
+    job.userId ? getRemainingGenerations(job.userId, getJobTier(job)) : undefined;
+
+// Builds the final payload for a finished job: the image or an errorHandler-style body
+const buildJobResult = async (job, locale) => {
+    if (job.status === 'succeeded') {
+        const { imageUrl, variants } = await withImageUrls(job);
+
+        return {
+            success: true,
+            jobId: job.jobId,
+            imageUrl,
+            variants,
+            watermarked: job.watermarked,
+            remaining: await getJobRemaining(job),
+            isSubscribed: job.isSubscribed,
+            tier: getJobTier(job).name
+        };
+    }
+
+    const error = new Error(job.error || 'GENERATION_FAILED');
+    error.messageKey = job.messageKey;
+    return { ...formatErrorResponse(error, locale).body, jobId: job.jobId };
+};
+
+// The job's error message in the caller's language
+const localizeJobMessage = (job, locale) =>
+    (job.messageKey ? translate(job.messageKey, {}, locale) : job.message);
+
+// Jobs are readable by their owner; bg-removal jobs have no owner.
+// Someone else's job is reported as missing so IDs can't be probed.
+const canAccessJob = (req, job) => !job.userId || job.userId === req.userId;
+
+const jobNotFound = (req, res) => sendError(req, res, createApiError(404, 'JOB_NOT_FOUND'));
+
+// Calls listener(job) with each poll of a job until it finishes (or is gone: null).
+// Streams of the same job share the poll. Returns a function that stops listening;
+// the poller stops with its last listener.
+const watchJob = (jobId, listener) => {
+    let watcher = jobWatchers.get(jobId);
+
+    if (!watcher) {
+        watcher = { listeners: new Set(), timer: null };
+        jobWatchers.set(jobId, watcher);
+
+        const poll = async () => {
+            try {
+                const job = await getGenerationJob(jobId);
+                const finished = !job || isTerminalStatus(job.status);
+
+                if (finished && jobWatchers.get(jobId) === watcher) {
+                    jobWatchers.delete(jobId);
+                }
+
+                watcher.listeners.forEach((notify) => notify(job));
+
+                if (finished) {
+                    return;
+                }
+            } catch (error) {
+                // Keep polling; the next poll may succeed
+                console.error(`SSE poll failed for job ${jobId}:`, error.message);
+            }
+
+            if (watcher.listeners.size) {
+                watcher.timer = setTimeout(poll, EVENTS_POLL_INTERVAL_MS);
+            }
+        };
+
+        watcher.timer = setTimeout(poll, EVENTS_POLL_INTERVAL_MS);
+    }
+
+    watcher.listeners.add(listener);
+
+    return () => {
+        watcher.listeners.delete(listener);
+
+        if (!watcher.listeners.size) {
+            clearTimeout(watcher.timer);
+            if (jobWatchers.get(jobId) === watcher) {
+                jobWatchers.delete(jobId);
+            }
+        }
+    };
+};
+
+// ============ GET JOB STATUS ============
+router.get('/jobs/:jobId', authenticateOptional, async (req, res, next) => {
+    try {
+        const job = await getGenerationJob(req.params.jobId);
+
+        if (!job || !canAccessJob(req, job)) {
+            return jobNotFound(req, res);
+        }
+
+        const { userId, isSubscribed, tier, messageKey, ...publicJob } = await withImageUrls(job);
+
+        res.json({
+            success: true,
+            ...publicJob,
+            message: localizeJobMessage(job, getRequestLocale(req)),
+            remaining: await getJobRemaining(job),
+            isSubscribed,
+            tier: getJobTier(job).name
+        });
+
+    } catch (error) {
+        next(error); // Pass to global error handler
+    }
+});
+
+// ============ JOB PROGRESS STREAM (SSE) ============
+// Events: "status" on every state change, "progress" when the model logs it,
+// and one final "result" carrying the image URL or the error body. A stream open
+// for EVENTS_MAX_DURATION_MS ends with "timeout" instead; the job keeps running.
+router.get('/jobs/:jobId/events', acceptQueryToken, authenticateOptional, async (req, res, next) => {
+    const { jobId } = req.params;
+    const locale = getRequestLocale(req);
+    let job;
+
+    try {
+        job = await getGenerationJob(jobId);
+    } catch (error) {
+        return next(error);
+    }
+
+    if (!job || !canAccessJob(req, job)) {
+        return jobNotFound(req, res);
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    let closed = false;
+    let unwatch = null;
+    let lastStatus = null;
+    let lastProgress = null;
+
+    const send = (event, data) => {
+        if (!closed) {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        }
+    };
+
+    const heartbeat = setInterval(() => {
+        if (!closed) {
+            res.write(': heartbeat\n\n');
+        }
+    }, EVENTS_HEARTBEAT_MS);
+
+    const expiry = setTimeout(() => {
+        send('timeout', { jobId, status: lastStatus });
+        end();
+    }, EVENTS_MAX_DURATION_MS);
+
+    const cleanup = () => {
+        closed = true;
+        clearInterval(heartbeat);
+        clearTimeout(expiry);
+        unwatch?.();
+    };
+
+    const end = () => {
+        cleanup();
+        res.end();
+    };
+
+    // res "close" fires on client disconnect as well as after res.end()
+    res.on('close', () => {
+        console.log(`🔌 SSE stream closed for job ${jobId}`);
+        cleanup();
+    });
+
+    const publish = async (current) => {
+        if (closed) return;
+
+        // Deleted while streaming
+        if (!current) {
+            return end();
+        }
+
+        if (current.status !== lastStatus) {
+            lastStatus = current.status;
+            send('status', { jobId, status: current.status });
+        }
+
+        if (current.progress !== null && current.progress !== lastProgress) {
+            lastProgress = current.progress;
+            send('progress', { jobId, progress: current.progress });
+        }
+
+        if (isTerminalStatus(current.status)) {
+            send('result', await buildJobResult(current, locale));
+            end();
+        }
+    };
+
+    const publishSafely = (current) => publish(current).catch((error) => {
+        console.error(`SSE publish failed for job ${jobId}:`, error.message);
+
+        // The job won't be polled again
+        if (!current || isTerminalStatus(current.status)) {
+            end();
+        }
+    });
+
+    await publishSafely(job);
+
+    if (!closed) {
+        unwatch = watchJob(jobId, publishSafely);
+    }
+});
+
+export default router;
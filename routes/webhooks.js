@@ -0,0 +1,75 @@
+import express from 'express';
+import { verifyReplicateWebhook } from '../replicateService.js';
+import { handlePredictionWebhook } from '../jobs.js';
+import { verifyRevenueCatWebhook, handleRevenueCatEvent } from '../revenuecat.js';
+import { sendError, createApiError } from '../errorHandling.js';
+
+const router = express.Router();
+
+// ============ REPLICATE PREDICTION WEBHOOK ============
+router.post('/webhooks/replicate', async (req, res, next) => {
+    try {
+        const secret = process.env.REPLICATE_WEBHOOK_SECRET;
+
+        if (!secret) {
+            console.error('❌ REPLICATE_WEBHOOK_SECRET is not configured');
+            return sendError(req, res, createApiError(503, 'WEBHOOK_NOT_CONFIGURED'));
+        }
+
+        if (!verifyReplicateWebhook(req.headers, req.rawBody, secret)) {
+            console.warn('⚠️ Rejected Replicate webhook with invalid signature');
+            return sendError(req, res, createApiError(401, 'INVALID_SIGNATURE'));
+        }
+
+        const prediction = req.body;
+
+        if (!prediction?.id || !prediction?.status) {
+            return sendError(req, res, createApiError(400, 'INVALID_PAYLOAD', { messageKey: 'INVALID_PREDICTION_PAYLOAD' }));
+        }
+
+        const handled = await handlePredictionWebhook(prediction, req.query.jobId);
+
+        // A 404 makes Replicate retry, which covers a webhook racing the job record being written
+        if (!handled) {
+            return sendError(req, res, createApiError(404, 'JOB_NOT_FOUND', { messageKey: 'WEBHOOK_JOB_NOT_FOUND' }));
+        }
+
+        res.json({ success: true });
+
+    } catch (error) {
+        next(error); // Pass to global error handler
+    }
+});
+
+// ============ REVENUECAT EVENTS WEBHOOK ============
+// Keeps the entitlement cache on each user doc current. Errors return 5xx so RevenueCat retries.
+router.post('/webhooks/revenuecat', async (req, res, next) => {
+    try {
+        const expectedAuthorization = process.env.REVENUECAT_WEBHOOK_AUTH;
+
+        if (!expectedAuthorization) {
+            console.error('❌ REVENUECAT_WEBHOOK_AUTH is not configured');
+            return sendError(req, res, createApiError(503, 'WEBHOOK_NOT_CONFIGURED'));
+        }
+
+        if (!verifyRevenueCatWebhook(req.headers.authorization, expectedAuthorization)) {
+            console.warn('⚠️ Rejected RevenueCat webhook with invalid authorization');
+            return sendError(req, res, createApiError(401, 'INVALID_AUTHORIZATION'));
+        }
+
+        const event = req.body?.event;
+
+        if (!event?.type || (!event.app_user_id && event.type !== 'TRANSFER')) {
+            return sendError(req, res, createApiError(400, 'INVALID_PAYLOAD', { messageKey: 'INVALID_REVENUECAT_PAYLOAD' }));
+        }
+
+        const handled = await handleRevenueCatEvent(event);
+
+        res.json({ success: true, handled });
+
+    } catch (error) {
+        next(error); // Pass to global error handler
+    }
+});
+
+export default router;
@@ -0,0 +1,246 @@
+import admin from 'firebase-admin';
+import axios from 'axios';
+import { randomUUID } from 'crypto';
+import { getWatermarkRule, applyWatermark } from './watermark.js';
+import { renderVariants } from './imageVariants.js';
+import { incrementMetric } from './metrics.js';
+import { getTier } from './plans.js';
+
+const DOWNLOAD_TIMEOUT_MS = 30000;
+// Well above a 4K PNG; anything bigger isn't an image we asked for
+const MAX_DOWNLOAD_BYTES = 50 * 1024 * 1024;
+const MAX_SIGNED_URL_DAYS = 7; // GCS v4 signed URLs can't outlive 7 days
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/avif': 'avif',
+  'image/gif': 'gif',
+};
+
+const usesSignedUrls = () => process.env.STORAGE_URL_MODE === 'signed';
+
+/**
+ * A V4 signed URL for a stored file, valid until the file expires or for as long as
+ * GCS allows, whichever is sooner
+ */
+const signFileUrl = async (file, expiresAt) => {
+  const maxExpiry = Date.now() + MAX_SIGNED_URL_DAYS * 24 * 60 * 60 * 1000;
+  const [url] = await file.getSignedUrl({
+    action: 'read',
+    expires: Math.min(expiresAt?.getTime() ?? maxExpiry, maxExpiry),
+  });
+  return url;
+};
+
+/**
+ * Build a URL for a stored file: a long-lived Firebase download-token URL by default,
+ * or a V4 signed URL when STORAGE_URL_MODE=signed.
+ */
+const buildFileUrl = async (file, token, expiresAt) => {
+  if (usesSignedUrls()) {
+    return signFileUrl(file, expiresAt);
+  }
+
+  return `https://firebasestorage.googleapis.com/v0/b/${file.bucket.name}/o/` +
+    `${encodeURIComponent(file.name)}?alt=media&token=${token}`;
+};
+
+/**
+ * Upload one file and build its URL. Only creates: if a concurrent finalizer for the
+ * same generation already uploaded it, its file and token are reused.
+ */
+const saveFile = async (bucket, storagePath, data, contentType, expiresAt) => {
+  const file = bucket.file(storagePath);
+  let token = randomUUID();
+
+  try {
+    await file.save(data, {
+      resumable: false,
+      preconditionOpts: { ifGenerationMatch: 0 },
+      metadata: {
+        contentType,
+        cacheControl: 'public, max-age=31536000',
+        ...(expiresAt ? { customTime: expiresAt.toISOString() } : {}),
+        metadata: { firebaseStorageDownloadTokens: token },
+      },
+    });
+  } catch (error) {
+    if (error.code !== 412) throw error;
+
+    console.log('♻️ Generation already stored, reusing it:', storagePath);
+    const [existing] = await file.getMetadata();
+    token = existing.metadata?.firebaseStorageDownloadTokens?.split(',')[0] || token;
+  }
+
+  return buildFileUrl(file, token, expiresAt);
+};
+
+/**
+ * Copy a generated image from Replicate's expiring delivery URL into Firebase Storage
+ * under users/{userId}/generations/{generationId}, with its thumbnail and medium
+ * variants next to it (see imageVariants.js). Free-tier outputs are watermarked
+ * first when a rule applies (see watermark.js). Variants and marks need a bucket.
+ *
+ * A generated image is never lost. If the mark can't be applied, the clean image is
+ * stored with `watermarked: false`; if storing fails (or there's no bucket) the original
+ * URL is returned. Both count as watermark_failures when a mark was due, so they can be
+ * alerted on.
+ *
+ * @param {object} params
+ * @param {string} [params.userId] - Owner of the generation ("anonymous" if missing)
+ * @param {string} params.generationId - Stable ID for the generation (job ID or history ID)
+ * @param {string} params.sourceUrl - Replicate output URL
+ * @param {boolean} [params.isSubscribed] - Skips the watermark
+ * @param {string} [params.tier] - Plan tier, which sets how long the files are kept ("free" if missing)
+ * @param {string} [params.feature] - Selects the watermark rule
+ * @param {object} [params.output] - Requested { format, quality } (see parseOutputOptions)
+ * @returns {Promise<{imageUrl: string, persisted: boolean, watermarked: boolean, variants: object|null,
+ *   storagePath?: string, variantPaths?: string[], expiresAt?: Date|null}>} variants maps
+ *   thumbnail, medium and original to { url, path, format, width, height, bytes }. Pass it
+ *   through toStoredImage before saving it and withImageUrls before returning it.
+ */
+export const persistGeneratedImage = async ({ userId, generationId, sourceUrl, isSubscribed, tier, feature, output }) => {
+  const watermarkRule = isSubscribed ? null : getWatermarkRule(feature);
+
+  // A free user's output that should have been marked but wasn't
+  const reportUnmarked = (reason) => {
+    if (!watermarkRule) return;
+    console.error(`❌ Delivering generation ${generationId} without its watermark:`, reason);
+    incrementMetric('watermark_failures');
+  };
+
+  if (!process.env.FIREBASE_STORAGE_BUCKET) {
+    reportUnmarked('FIREBASE_STORAGE_BUCKET is not set');
+    return { imageUrl: sourceUrl, persisted: false, watermarked: false, variants: null };
+  }
+
+  try {
+    console.log('📥 Downloading generated image for storage:', generationId);
+    const response = await axios.get(String(sourceUrl), {
+      responseType: 'arraybuffer',
+      timeout: DOWNLOAD_TIMEOUT_MS,
+      maxContentLength: MAX_DOWNLOAD_BYTES,
+    });
+
+    let data = Buffer.from(response.data);
+    let contentType = String(response.headers['content-type'] || 'image/jpeg').split(';')[0];
+    let watermarked = false;
+
+    if (watermarkRule) {
+      try {
+        ({ buffer: data, contentType } = await applyWatermark(data, watermarkRule));
+        watermarked = true;
+      } catch (error) {
+        reportUnmarked(error.message);
+      }
+    }
+
+    // Without variants the image is still stored, as the model returned it
+    let rendered = null;
+    try {
+      rendered = await renderVariants(data, output);
+    } catch (error) {
+      console.error('❌ Error rendering image variants, storing the original only:', error.message);
+      incrementMetric('variant_failures');
+    }
+
+    const bucket = admin.storage().bucket();
+
+    // Expired files are deleted by the bucket's lifecycle rule (see README)
+    const { retentionDays } = getTier(tier);
+    const expiresAt = retentionDays > 0
+      ? new Date(Date.now() + retentionDays * 24 * 60 * 60 * 1000)
+      : null;
+
+    const basePath = `users/${userId || 'anonymous'}/generations/${generationId}`;
+    const original = rendered?.original || { buffer: data, contentType };
+    const storagePath = `${basePath}.${EXTENSIONS[original.contentType] || 'jpg'}`;
+    const imageUrl = await saveFile(bucket, storagePath, original.buffer, original.contentType, expiresAt);
+    console.log('✅ Stored generation at:', storagePath);
+
+    if (!rendered) {
+      return { imageUrl, persisted: true, watermarked, variants: null, storagePath, expiresAt };
+    }
+
+    const variants = {};
+    const variantPaths = [];
+
+    for (const [name, variant] of Object.entries(rendered)) {
+      const { buffer, contentType: variantType, ...description } = variant;
+      let url = imageUrl;
+      let variantPath = storagePath;
+
+      if (name !== 'original') {
+        variantPath = `${basePath}_${name}.${EXTENSIONS[variantType]}`;
+        url = await saveFile(bucket, variantPath, buffer, variantType, expiresAt);
+        variantPaths.push(variantPath);
+      }
+
+      variants[name] = { url, path: variantPath, ...description };
+    }
+
+    return { imageUrl, persisted: true, watermarked, variants, storagePath, variantPaths, expiresAt };
+  } catch (error) {
+    console.error('❌ Error storing generated image, returning Replicate URL:', error.message);
+    reportUnmarked(error.message);
+    return { imageUrl: sourceUrl, persisted: false, watermarked: false, variants: null };
+  }
+};
+
+/**
+ * The image fields to keep on a job or history entry. Download-token URLs don't expire,
+ * so they're kept. Signed URLs last at most 7 days, so in signed mode only the storage
+ * paths are kept and the URLs are signed when the record is read (see withImageUrls).
+ *
+ * @param {object} image - From persistGeneratedImage
+ * @returns {{imageUrl: string|null, storagePath: string|null, variants: object|null}}
+ */
+export const toStoredImage = ({ imageUrl, storagePath, variants }) => {
+  const keepUrl = (url) => (usesSignedUrls() && storagePath ? null : url);
+
+  return {
+    imageUrl: keepUrl(imageUrl),
+    storagePath: storagePath || null,
+    variants: variants
+      ? Object.fromEntries(Object.entries(variants).map(([name, variant]) => [name, { ...variant, url: keepUrl(variant.url) }]))
+      : null,
+  };
+};
+
+/**
+ * A job, history entry or new image with URLs that can be handed out. In signed mode
+ * every stored file is signed again, so old records never serve an expired URL.
+ * Storage paths are left out.
+ *
+ * @param {object} record - With imageUrl, variants and storagePath (see toStoredImage)
+ * @returns {Promise<object>} The record with imageUrl and variants[*].url set
+ */
+export const withImageUrls = async ({ storagePath, ...record }) => {
+  const resolve = (path, url) => (usesSignedUrls() && path
+    ? signFileUrl(admin.storage().bucket().file(path))
+    : url ?? null);
+
+  const variants = record.variants && Object.fromEntries(await Promise.all(
+    Object.entries(record.variants).map(async ([name, { path, ...variant }]) =>
+      [name, { ...variant, url: await resolve(path, variant.url) }]),
+  ));
+
+  return { ...record, imageUrl: await resolve(storagePath, record.imageUrl), variants: variants || null };
+};
+
+/**
+ * Delete a stored generation's files (the original and its variants). Missing files are ignored.
+ * @param {string[]} storagePaths
+ */
+export const deleteStoredImages = async (storagePaths) => {
+  if (!process.env.FIREBASE_STORAGE_BUCKET) return;
+
+  const bucket = admin.storage().bucket();
+
+  for (const storagePath of storagePaths.filter(Boolean)) {
+    await bucket.file(storagePath).delete({ ignoreNotFound: true });
+    console.log('🗑️ Deleted stored generation:', storagePath);
+  }
+};
@@ -1,62 +1,13 @@
 /**
  * Style Image Service
- * Uses unified replicateService for all Replicate error handling
+ * Runs on the feature's image provider (providers/index.js), which handles all errors
  * Handles: nano-banana model for image styling
  */
 
-import { runReplicateModel } from './replicateService.js';
-import sharp from 'sharp';
-
-const NANO_BANANA_MODEL = 'google/nano-banana';
-
-/**
- * Normalizes image by removing EXIF data and correcting orientation.
- * This prevents unexpected rotations from auto-orienting.
- * 
- * @param {string} base64Image - Base64 encoded image
- * @returns {Promise<string>} Normalized base64 image
- */
-async function normalizeImageExif(base64Image) {
-    try {
-        console.log('Normalizing EXIF data for image...');
-        
-        const base64Data = base64Image.replace(/^data:image\/[^;]+;base64,/, '');
-        const buffer = Buffer.from(base64Data, 'base64');
-
-        const processedBuffer = await sharp(buffer)
-            .rotate()
-            .toBuffer();
-
-        return `data:image/jpeg;base64,${processedBuffer.toString('base64')}`;
-        
-    } catch (error) {
-        console.error('EXIF normalization failed:', error.message);
-        return base64Image;
-    }
-}
-
-/**
- * Normalizes an array of base64 images
- * 
- * @param {string[]} imageArray - Array of base64 images
- * @returns {Promise<string[]>} Array of normalized base64 images
- */
-async function normalizeImageArrayExif(imageArray) {
-    if (!imageArray || imageArray.length === 0) {
-        return imageArray;
-    }
-
-    try {
-        console.log(`Normalizing EXIF data for ${imageArray.length} image(s)...`);
-        const normalizedImages = await Promise.all(
-            imageArray.map(img => normalizeImageExif(img))
-        );
-        return normalizedImages;
-    } catch (error) {
-        console.error('Error normalizing image array:', error.message);
-        return imageArray;
-    }
-}
+import { runModelWithFallbacks, runModelConcurrently } from './providers/index.js';
+import { resolveModelRequest, getImageInputLimits } from './modelRegistry.js';
+import { preprocessImages } from './imagePreprocessing.js';
+import { createApiError } from './errorHandling.js';
 
 /**
  * Extracts image URL from various Replicate response formats
@@ -190,49 +141,85 @@ function extractFromFileOutput(fileOutput) {
 }
 
 /**
- * Styles/transforms images using nano-banana model
- * Can accept 1 or 2 images
- * 
- * Error handling is centralized in replicateService.js
+ * One result per image from model outputs: { imageUrl, model } or { error }
+ *
+ * @param {Array<{output: *, model: string}|{error: Error}>} runs - Outputs or errors
+ * @returns {Array<{imageUrl: string, model: string}|{error: Error}>}
+ */
+function toImageResults(runs) {
+    return runs.map(({ output, model, error }) => {
+        if (error) {
+            return { error };
+        }
+
+        try {
+            return { imageUrl: extractImageUrl(output), model };
+        } catch (extractError) {
+            return { error: extractError };
+        }
+    });
+}
+
+/**
+ * Validates and preprocesses the inputs for a nano-banana styling request
+ * without running the model. Shared by the blocking route and async jobs.
  * 
  * @param {string[]} imageArray - Array of base64 images (1 or 2)
  * @param {string} stylePrompt - Text prompt describing the desired style/transformation
- * @returns {Promise<string>} URL of styled image
- * @throws {Error} NSFW_BLOCKED, PAYMENT_REQUIRED, or GENERATION_FAILED
+ * @param {object} [parameters] - Client parameters (aspect_ratio, ...) allowed by the model registry
+ * @returns {Promise<{provider: string, model: string, input: object, fallbacks: object[], preprocessing: object[]}>}
+ *   The model request, with what preprocessing changed in each image
+ * @throws {Error} 400 validation errors
  */
-export const styleImage = async (imageArray, stylePrompt) => {
+export const prepareStyleImage = async (imageArray, stylePrompt, parameters = {}) => {
     // Validation
     if (!imageArray || imageArray.length === 0) {
-        const error = new Error('At least one image is required for styling');
-        error.statusCode = 400;
-        throw error;
+        throw createApiError(400, 'IMAGE_REQUIRED', { params: { field: 'image1' } });
     }
 
     if (imageArray.length > 2) {
-        const error = new Error('Maximum of 2 images allowed');
-        error.statusCode = 400;
-        throw error;
+        throw createApiError(400, 'TOO_MANY_IMAGES', { params: { max: 2 } });
     }
 
     if (!stylePrompt || typeof stylePrompt !== 'string') {
-        const error = new Error('Style prompt is required and must be a string');
-        error.statusCode = 400;
-        throw error;
+        throw createApiError(400, 'STYLE_REQUIRED');
     }
 
-    try {
-        // Step 1: Normalize images
-        console.log(`Step 1: Normalizing ${imageArray.length} image(s)`);
-        const normalizedImages = await normalizeImageArrayExif(imageArray);
+    console.log(`Preprocessing ${imageArray.length} image(s)`);
+    const { dataUrls, reports } = await preprocessImages(imageArray, getImageInputLimits('style-image'));
 
-        // Step 2: Call Replicate model
+    return {
+        ...resolveModelRequest('style-image', parameters, {
+            image_input: dataUrls,
+            prompt: stylePrompt
+        }),
+        preprocessing: reports
+    };
+};
+
+/**
+ * Styles/transforms images using nano-banana model, or a registry fallback if it fails
+ * Can accept 1 or 2 images
+ * 
+ * Error handling is centralized in the provider layer (providers/index.js)
+ * 
+ * @param {string[]} imageArray - Array of base64 images (1 or 2)
+ * @param {string} stylePrompt - Text prompt describing the desired style/transformation
+ * @param {object} [parameters] - Client parameters allowed by the model registry
+ * @param {object} [runOptions] - { signal, deadline } for the model call (see generationDeadlineMiddleware.js)
+ * @returns {Promise<{imageUrl: string, model: string, preprocessing: object[]}>} URL of styled image,
+ *   the model that made it and what preprocessing changed in the inputs
+ * @throws {Error} NSFW_BLOCKED, PAYMENT_REQUIRED, GENERATION_FAILED or GENERATION_TIMEOUT
+ */
+export const styleImage = async (imageArray, stylePrompt, parameters = {}, runOptions = {}) => {
+    // Step 1: Validate and preprocess images
+    console.log('Step 1: Preparing nano-banana request');
+    const request = await prepareStyleImage(imageArray, stylePrompt, parameters);
+
+    try {
+        // Step 2: Call the model on its provider
         console.log('Step 2: Calling nano-banana model');
-        const output = await runReplicateModel(NANO_BANANA_MODEL, {
-            image_input: normalizedImages,
-            prompt: stylePrompt,
-            aspect_ratio: "match_input_image",
-            output_format: "jpg"
-        });
+        const { output, model } = await runModelWithFallbacks(request, runOptions);
 
         // Step 3: Extract URL
         console.log('Step 3: Extracting URL from response');
@@ -241,7 +228,7 @@ export const styleImage = async (imageArray, stylePrompt) => {
         console.log('Step 4: Image styling complete');
         console.log('Result URL:', imageUrl);
         
-        return imageUrl;
+        return { imageUrl, model, preprocessing: request.preprocessing };
 
     } catch (error) {
         console.error('Image styling error:', error.message);
@@ -249,74 +236,109 @@ export const styleImage = async (imageArray, stylePrompt) => {
     }
 };
 
+/**
+ * Styles the same images `count` times at once, for multi-image requests.
+ * Each run succeeds or fails on its own.
+ *
+ * @param {string[]} imageArray - Array of base64 images (1 or 2)
+ * @param {string} stylePrompt - Text prompt describing the desired style/transformation
+ * @param {object} [parameters] - Client parameters allowed by the model registry
+ * @param {number} count - Number of images
+ * @param {object} [runOptions] - { signal, deadline } for the model calls (see generationDeadlineMiddleware.js)
+ * @returns {Promise<{results: Array<{imageUrl: string, model: string}|{error: Error}>, preprocessing: object[]}>}
+ *   One result per image, and what preprocessing changed in the inputs
+ * @throws {Error} 400 validation errors
+ */
+export const styleImages = async (imageArray, stylePrompt, parameters = {}, count = 1, runOptions = {}) => {
+    const request = await prepareStyleImage(imageArray, stylePrompt, parameters);
+
+    console.log(`Calling nano-banana model for ${count} images`);
+    const runs = await runModelConcurrently(request, count, runOptions);
+
+    return { results: toImageResults(runs), preprocessing: request.preprocessing };
+};
+
 /**
  * Styles a single image using nano-banana model
  * Wrapper for convenience when only 1 image is used
  * 
  * @param {string} base64Image - Single base64 image
  * @param {string} stylePrompt - Text prompt describing the style
- * @returns {Promise<string>} URL of styled image
+ * @param {object} [parameters] - Client parameters allowed by the model registry
+ * @param {object} [runOptions] - { signal, deadline } for the model call (see generationDeadlineMiddleware.js)
+ * @returns {Promise<{imageUrl: string, model: string, preprocessing: object[]}>} URL of styled image,
+ *   the model that made it and what preprocessing changed in the input
  */
-export const styleSingleImage = async (base64Image, stylePrompt) => {
+export const styleSingleImage = async (base64Image, stylePrompt, parameters = {}, runOptions = {}) => {
     if (!base64Image) {
-        const error = new Error('Image is required for styling');
-        error.statusCode = 400;
-        throw error;
+        throw createApiError(400, 'IMAGE_REQUIRED', { params: { field: 'image' } });
     }
 
-    return styleImage([base64Image], stylePrompt);
+    return styleImage([base64Image], stylePrompt, parameters, runOptions);
 };
 
 /**
- * Generates images using seedream-4 model
- * Can accept optional reference images
- * 
- * Error handling is centralized in replicateService.js
+ * Builds the seedream-4 request without running the model.
+ * Shared by the blocking route and async jobs.
  * 
  * @param {string} prompt - Text prompt describing the image to generate
  * @param {string[]} imageArray - Optional array of base64 reference images
- * @param {Object} options - Optional configuration (size, etc.)
- * @returns {Promise<string>} URL of generated image
- * @throws {Error} NSFW_BLOCKED, PAYMENT_REQUIRED, or GENERATION_FAILED
+ * @param {Object} options - Client parameters (size, aspect_ratio, ...) allowed by the model registry
+ * @param {object} [requestOptions]
+ * @param {number} [requestOptions.count] - Images wanted from one prediction (see resolveModelRequest)
+ * @returns {Promise<{provider: string, model: string, input: object, fallbacks: object[], batched: boolean, preprocessing: object[]}>}
+ *   The model request, with what preprocessing changed in each reference image
+ * @throws {Error} 400 if the prompt is missing or an image is unreadable
  */
-
-// this is back in time
-export const generateImageSeedream = async (prompt, imageArray = [], options = {}) => {
+export const prepareGenerateImageSeedream = async (prompt, imageArray = [], options = {}, { count = 1 } = {}) => {
     // Validation
     if (!prompt) {
-        const error = new Error('Prompt is required for image generation');
-        error.statusCode = 400;
-        throw error;
+        throw createApiError(400, 'PROMPT_REQUIRED');
     }
 
-    const SEEDREAM_MODEL = 'bytedance/seedream-4';
+    // Preprocess reference images if provided
+    if (imageArray && imageArray.length > 0) {
+        console.log(`Preprocessing ${imageArray.length} reference image(s)`);
+    } else {
+        console.log('No reference images provided');
+    }
 
-    try {
-        // Step 1: Normalize reference images if provided
-        let normalizedImages = imageArray;
-        if (imageArray && imageArray.length > 0) {
-            console.log(`Step 1: Normalizing ${imageArray.length} reference image(s)`);
-            normalizedImages = await normalizeImageArrayExif(imageArray);
-        } else {
-            console.log('Step 1: No reference images provided');
-        }
+    const { dataUrls, reports } = await preprocessImages(imageArray || [], getImageInputLimits('back-in-time'));
 
-        // Step 2: Call Replicate model
-        console.log('Step 2: Calling seedream-4 model');
-        const defaultOptions = {
-            size: "2K",
-            image_input: normalizedImages || [],
-            enhance_prompt: true,
-            sequential_image_generation: "disabled"
-        };
-
-        const input = {
-            ...defaultOptions,
-            ...options,
+    return {
+        ...resolveModelRequest('back-in-time', options, {
+            image_input: dataUrls,
             prompt: prompt
-        };
+        }, { count }),
+        preprocessing: reports
+    };
+};
 
-        const output = await runReplicateModel(SEEDREAM_MODEL, input);
+/**
+ * Generates images using seedream-4 model, or a registry fallback if it fails
+ * Can accept optional reference images
+ * 
+ * Error handling is centralized in the provider layer (providers/index.js)
+ * 
+ * @param {string} prompt - Text prompt describing the image to generate
+ * @param {string[]} imageArray - Optional array of base64 reference images
+ * @param {Object} options - Client parameters (size, aspect_ratio, ...) allowed by the model registry
+ * @param {object} [runOptions] - { signal, deadline } for the model call (see generationDeadlineMiddleware.js)
+ * @returns {Promise<{imageUrl: string, model: string, preprocessing: object[]}>} URL of generated image,
+ *   the model that made it and what preprocessing changed in the reference images
+ * @throws {Error} NSFW_BLOCKED, PAYMENT_REQUIRED, GENERATION_FAILED or GENERATION_TIMEOUT
+ */
+
+// this is back in time
+export const generateImageSeedream = async (prompt, imageArray = [], options = {}, runOptions = {}) => {
+    // Step 1: Validate and preprocess reference images
+    console.log('Step 1: Preparing seedream-4 request');
+    const request = await prepareGenerateImageSeedream(prompt, imageArray, options);
+
+    try {
+        // Step 2: Call the model on its provider
+        console.log('Step 2: Calling seedream-4 model');
+        const { output, model } = await runModelWithFallbacks(request, runOptions);
 
         // Step 3: Extract URL
         console.log('Step 3: Extracting URL from response');
@@ -325,10 +347,54 @@ export const generateImageSeedream = async (prompt, imageArray = [], options = {
         console.log('Step 4: Image generation complete');
         console.log('Result URL:', imageUrl);
         
-        return imageUrl;
+        return { imageUrl, model, preprocessing: request.preprocessing };
 
     } catch (error) {
         console.error('Image generation error:', error.message);
         throw error;
     }
-};
\ No newline at end of file
+};
+
+/**
+ * Generates `count` images with seedream-4, for multi-image requests. Seedream makes them
+ * in one prediction (sequential image generation, see multipleOutputs in modelRegistry.js)
+ * and may return fewer than asked for; a fallback model makes one. Models without
+ * multi-image output run one prediction per image.
+ *
+ * @param {string} prompt - Text prompt describing the image to generate
+ * @param {string[]} imageArray - Optional array of base64 reference images
+ * @param {Object} options - Client parameters (size, aspect_ratio, ...) allowed by the model registry
+ * @param {number} count - Number of images
+ * @param {object} [runOptions] - { signal, deadline } for the model call (see generationDeadlineMiddleware.js)
+ * @returns {Promise<{results: Array<{imageUrl: string, model: string}|{error: Error}>, preprocessing: object[]}>}
+ *   One result per requested image (missing ones as IMAGE_NOT_PRODUCED errors), and what
+ *   preprocessing changed in the reference images
+ * @throws {Error} 400 if the prompt is missing or an image is unreadable
+ */
+export const generateImagesSeedream = async (prompt, imageArray = [], options = {}, count = 1, runOptions = {}) => {
+    const request = await prepareGenerateImageSeedream(prompt, imageArray, options, { count });
+
+    if (!request.batched) {
+        const runs = await runModelConcurrently(request, count, runOptions);
+        return { results: toImageResults(runs), preprocessing: request.preprocessing };
+    }
+
+    let results;
+
+    try {
+        console.log(`Calling seedream-4 model for up to ${count} images`);
+        const { output, model } = await runModelWithFallbacks(request, runOptions);
+        const outputs = (Array.isArray(output) ? output : [output]).slice(0, count);
+
+        results = toImageResults(outputs.map((item) => ({ output: item, model })));
+    } catch (error) {
+        console.error('Image generation error:', error.message);
+        return { results: Array.from({ length: count }, () => ({ error })), preprocessing: request.preprocessing };
+    }
+
+    while (results.length < count) {
+        results.push({ error: createApiError(500, 'GENERATION_FAILED', { messageKey: 'IMAGE_NOT_PRODUCED' }) });
+    }
+
+    return { results, preprocessing: request.preprocessing };
+};
@@ -0,0 +1,222 @@
+/**
+ * Tattoo placement masks
+ * Instead of drawing the inpainting mask itself, a client can send where the tattoo
+ * goes as a "placement" (JSON) next to the photo, and the mask is built here: white
+ * where the tattoo goes, black elsewhere, with a soft edge.
+ *
+ * A placement is a box or a polygon:
+ * { "centerX": 0.5, "centerY": 0.4, "width": 0.2, "height": 0.3, "rotation": 15 }
+ * { "points": [[0.4, 0.3], [0.6, 0.3], [0.55, 0.5]] }
+ *
+ * Coordinates are fractions of the photo as displayed (after its EXIF rotation): x of
+ * its width, y of its height. With "units": "pixels" they're pixels of that photo.
+ * Rotation is in degrees, clockwise; a box without a height is square. "feather" is
+ * the width of the soft edge, in the same units (for fractions, of the photo's shorter
+ * side), at most a tenth of the shorter side; 0 makes a hard edge.
+ */
+
+import sharp from 'sharp';
+import { createApiError } from './errorHandling.js';
+
+const UNITS = ['relative', 'pixels'];
+
+// Soft edge when the placement doesn't choose one, as a fraction of the shorter side
+const DEFAULT_FEATHER = 0.01;
+const MAX_FEATHER = 0.1;
+
+const MAX_POINTS = 200;
+
+const invalidPlacement = (messageKey = 'INVALID_PLACEMENT', params = {}) =>
+    createApiError(400, 'INVALID_PARAMETER', { messageKey, params });
+
+/**
+ * Read one number of the placement, optionally within a range
+ */
+const readNumber = (placement, name, { required = true, min = -Infinity, max = Infinity } = {}) => {
+    const value = placement[name];
+
+    if (value === undefined || value === null) {
+        if (required) throw invalidPlacement();
+        return null;
+    }
+
+    const number = Number(value);
+    if (typeof value === 'boolean' || value === '' || !Number.isFinite(number)) {
+        throw invalidPlacement('INVALID_PARAMETER_NUMBER', { name: `placement.${name}` });
+    }
+    if (number < min || number > max) {
+        throw invalidPlacement('INVALID_PARAMETER_RANGE', { name: `placement.${name}`, min, max });
+    }
+
+    return number;
+};
+
+/**
+ * Parse and check a placement from a request field
+ *
+ * @param {string|object} value - The "placement" field: JSON text or an already parsed object
+ * @returns {{shape: string, units: string, feather: number|null, centerX?: number, centerY?: number,
+ *   width?: number, height?: number|null, rotation?: number, points?: number[][]}}
+ *   shape is "box" or "polygon"
+ * @throws {Error} 400 INVALID_PARAMETER if it isn't a valid box or polygon
+ */
+export const parsePlacement = (value) => {
+    let placement = value;
+
+    if (typeof value === 'string') {
+        try {
+            placement = JSON.parse(value);
+        } catch {
+            throw invalidPlacement();
+        }
+    }
+
+    if (!placement || typeof placement !== 'object' || Array.isArray(placement)) {
+        throw invalidPlacement();
+    }
+
+    const units = placement.units ?? 'relative';
+    if (!UNITS.includes(units)) {
+        throw invalidPlacement('INVALID_PARAMETER_VALUES', { name: 'placement.units', values: UNITS.join(', ') });
+    }
+
+    const relative = units === 'relative';
+    // Pixel feathers are checked against the photo's size when the mask is rendered
+    const feather = readNumber(placement, 'feather', { required: false, min: 0, max: relative ? MAX_FEATHER : Infinity });
+
+    if (placement.points !== undefined) {
+        const { points } = placement;
+
+        if (!Array.isArray(points) || points.length < 3 || points.length > MAX_POINTS ||
+            !points.every((point) => Array.isArray(point) && point.length === 2 && point.every(Number.isFinite))) {
+            throw invalidPlacement();
+        }
+
+        return { shape: 'polygon', units, feather, points };
+    }
+
+    return {
+        shape: 'box',
+        units,
+        feather,
+        centerX: readNumber(placement, 'centerX'),
+        centerY: readNumber(placement, 'centerY'),
+        // Bigger than the photo is allowed: the part outside is cut off
+        width: readNumber(placement, 'width', { min: 0, max: relative ? 2 : Infinity }),
+        height: readNumber(placement, 'height', { required: false, min: 0, max: relative ? 2 : Infinity }),
+        rotation: readNumber(placement, 'rotation', { required: false, min: -360, max: 360 }) ?? 0,
+    };
+};
+
+/**
+ * The placement's outline as points in the mask's pixels
+ */
+const toPixelPoints = (placement, photo, mask) => {
+    const relative = placement.units === 'relative';
+    // Placement units to photo pixels, then photo pixels to mask pixels
+    const scaleX = (relative ? photo.width : 1) * (mask.width / photo.width);
+    const scaleY = (relative ? photo.height : 1) * (mask.height / photo.height);
+
+    if (placement.shape === 'polygon') {
+        return placement.points.map(([x, y]) => [x * scaleX, y * scaleY]);
+    }
+
+    const centerX = placement.centerX * scaleX;
+    const centerY = placement.centerY * scaleY;
+    const halfWidth = (placement.width * scaleX) / 2;
+    // A square box: as tall as it is wide in pixels, whatever the photo's proportions
+    const halfHeight = placement.height === null ? halfWidth : (placement.height * scaleY) / 2;
+
+    const angle = (placement.rotation * Math.PI) / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+
+    return [[-halfWidth, -halfHeight], [halfWidth, -halfHeight], [halfWidth, halfHeight], [-halfWidth, halfHeight]]
+        .map(([x, y]) => [centerX + x * cos - y * sin, centerY + x * sin + y * cos]);
+};
+
+/**
+ * Render the mask for a placement
+ *
+ * @param {object} placement - From parsePlacement
+ * @param {{width: number, height: number}} photo - The photo as displayed (after its EXIF
+ *   rotation), which the placement's coordinates refer to
+ * @param {{width: number, height: number}} [size] - Size of the mask, when the photo sent to
+ *   the model is scaled; defaults to the photo's
+ * @returns {Promise<{buffer: Buffer, dataUrl: string, width: number, height: number}>} A grayscale PNG
+ * @throws {Error} 400 INVALID_PARAMETER if the feather is wider than MAX_FEATHER of the photo's
+ *   shorter side or the mask can't be drawn, 400 PLACEMENT_OUTSIDE_PHOTO if no part of the
+ *   placement is on the photo
+ */
+export const renderPlacementMask = async (placement, photo, size = photo) => {
+    const { width, height } = size;
+    const points = toPixelPoints(placement, photo, size);
+
+    // The feather as a fraction of the photo's shorter side, whatever its units, so a
+    // pixel feather has the same limit as a relative one (and the blur stays cheap)
+    const shorterSide = Math.min(photo.width, photo.height);
+    const feather = placement.feather === null ? DEFAULT_FEATHER
+        : placement.units === 'relative' ? placement.feather
+            : placement.feather / shorterSide;
+
+    if (feather > MAX_FEATHER) {
+        throw invalidPlacement('INVALID_PARAMETER_RANGE', {
+            name: 'placement.feather', min: 0, max: Math.floor(MAX_FEATHER * shorterSide),
+        });
+    }
+
+    const featherPixels = feather * Math.min(width, height);
+
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+        <rect width="100%" height="100%" fill="#000000"/>
+        <polygon points="${points.map(([x, y]) => `${x.toFixed(2)},${y.toFixed(2)}`).join(' ')}" fill="#ffffff"/>
+    </svg>`;
+
+    let buffer;
+    try {
+        let pipeline = sharp(Buffer.from(svg)).extractChannel(0);
+
+        // The edge fades over about the feather's width; without one the mask is strictly binary
+        pipeline = featherPixels >= 1
+            ? pipeline.blur(featherPixels / 2)
+            : pipeline.threshold(128);
+
+        buffer = await pipeline.toColourspace('b-w').png().toBuffer();
+    } catch (error) {
+        console.error('❌ Could not render the placement mask:', error.message);
+        throw invalidPlacement();
+    }
+
+    const { channels } = await sharp(buffer).stats();
+    if (channels[0].max === 0) {
+        throw createApiError(400, 'PLACEMENT_OUTSIDE_PHOTO');
+    }
+
+    return { buffer, dataUrl: `data:image/png;base64,${buffer.toString('base64')}`, width, height };
+};
+
+/**
+ * Middleware that reads the "placement" field into req.placement (null when the client
+ * uploaded its own mask). Exactly one of a placement and a "resizedImage" mask is
+ * needed. Place after validateUpload, before quota is reserved.
+ */
+export const parseTattooPlacement = (req, res, next) => {
+    const placement = req.body?.placement;
+    const hasMask = Boolean(req.files?.resizedImage?.[0]);
+
+    try {
+        if (placement === undefined || placement === '') {
+            req.placement = null;
+            return next(hasMask ? undefined : createApiError(400, 'TATTOO_IMAGES_REQUIRED'));
+        }
+
+        if (hasMask) {
+            return next(createApiError(400, 'TATTOO_MASK_CONFLICT'));
+        }
+
+        req.placement = parsePlacement(placement);
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,117 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import admin from 'firebase-admin';
+import { installFakeFirestore } from './support/firestore.js';
+import generationsRouter from '../routes/generations.js';
+import creditsRouter from '../routes/credits.js';
+import { authenticateUser, acceptQueryToken } from '../authMiddleware.js';
+import { addGenerationHistory } from '../db-firebase.js';
+import { errorHandler } from '../errorHandling.js';
+
+// Tokens are "valid:<uid>"; anything else fails verification
+Object.defineProperty(admin, 'auth', {
+  configurable: true,
+  value: () => ({
+    verifyIdToken: async (token) => {
+      if (!token.startsWith('valid:')) throw Object.assign(new Error('bad token'), { code: 'auth/argument-error' });
+      return { uid: token.slice('valid:'.length) };
+    },
+  }),
+});
+
+describe('user routes authentication', () => {
+  let db;
+  let server;
+  let baseUrl;
+  const log = { log: console.log, warn: console.warn, error: console.error };
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api', generationsRouter);
+    app.use('/api', creditsRouter);
+    // A generation route: the legacy body field is still accepted there
+    app.post('/api/generate', authenticateUser, (req, res) => res.json({ userId: req.userId, authMethod: req.authMethod }));
+    // A stream route: EventSource sends the token in the query string
+    app.get('/api/stream', acceptQueryToken, authenticateUser, (req, res) => res.json({ userId: req.userId }));
+    app.use(errorHandler);
+
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+    console.log = console.warn = console.error = () => {};
+  });
+
+  after(() => {
+    Object.assign(console, log);
+    server.close();
+  });
+
+  beforeEach(async () => {
+    db = installFakeFirestore();
+    await addGenerationHistory('victim', 'g1', { feature: 'text-to-image', model: 'm', imageUrl: 'https://example.com/a.jpg' });
+  });
+
+  const request = (path, { method = 'GET', token, body } = {}) => fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...(body ? { 'Content-Type': 'application/json' } : {}),
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+
+  it("doesn't list another user's history without a token", async () => {
+    assert.equal((await request('/users/victim/generations')).status, 401);
+    assert.equal((await request('/users/victim/generations?userId=victim')).status, 401);
+  });
+
+  it("doesn't delete another user's history with a legacy userId", async () => {
+    const response = await request('/users/victim/generations/g1?userId=victim', { method: 'DELETE', body: { userId: 'victim' } });
+
+    assert.equal(response.status, 401);
+    assert.ok(db.data('users/victim/generations/g1'));
+  });
+
+  it("doesn't show another user's credits without a token", async () => {
+    assert.equal((await request('/users/victim/credits?userId=victim')).status, 401);
+  });
+
+  it("forbids a signed-in user from another user's history", async () => {
+    assert.equal((await request('/users/victim/generations', { token: 'valid:attacker' })).status, 403);
+
+    const deletion = await request('/users/victim/generations/g1', { method: 'DELETE', token: 'valid:attacker' });
+    assert.equal(deletion.status, 403);
+    assert.ok(db.data('users/victim/generations/g1'));
+  });
+
+  it('serves the signed-in user their own history', async () => {
+    const response = await request('/users/victim/generations', { token: 'valid:victim' });
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(body.generations.map(({ id }) => id), ['g1']);
+  });
+
+  it('still accepts a legacy body userId on generation requests', async () => {
+    const response = await request('/generate?userId=someone-else', { method: 'POST', body: { userId: 'legacy-user' } });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('deprecation'), 'true');
+    assert.deepEqual(await response.json(), { userId: 'legacy-user', authMethod: 'legacy' });
+  });
+
+  it('ignores a userId in the query string', async () => {
+    assert.equal((await request('/generate?userId=victim', { method: 'POST', body: {} })).status, 401);
+  });
+
+  it('accepts ?access_token= only on routes that allow it', async () => {
+    assert.equal((await request('/users/victim/generations?access_token=valid:victim')).status, 401);
+
+    const response = await request('/stream?access_token=valid:victim');
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { userId: 'victim' });
+  });
+});
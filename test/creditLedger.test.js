@@ -0,0 +1,34 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeFirestore } from './support/firestore.js';
+import { reserveCredits, tagCreditDebit, releaseGeneration, listCreditTransactions } from '../db-firebase.js';
+
+describe('credit ledger', () => {
+  const log = console.log;
+
+  beforeEach(() => {
+    installFakeFirestore();
+    console.log = () => {};
+  });
+
+  afterEach(() => {
+    console.log = log;
+  });
+
+  it('tags a multi-image debit with every generation it paid for', async () => {
+    const { key } = await reserveCredits('u1', { amount: 6, allowance: 50, feature: 'style-image', count: 3 });
+
+    await tagCreditDebit('u1', key, ['g1', 'g2']);
+    // The image that wasn't delivered is refunded
+    await releaseGeneration('u1', key, 1);
+
+    const entries = await listCreditTransactions('u1');
+    const debit = entries.find(({ reason }) => reason === 'generation');
+    const refund = entries.find(({ reason }) => reason === 'refund');
+
+    assert.deepEqual(debit.generationIds, ['g1', 'g2']);
+    assert.equal(debit.generationId, 'g1');
+    assert.deepEqual(refund.generationIds, ['g1', 'g2']);
+    assert.equal(refund.amount, 2);
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import express from 'express';
+import { installFakeFirestore } from './support/firestore.js';
+import { fakeProvider } from '../providers/fake.js';
+import jobsRouter from '../routes/jobs.js';
+
+const POLL_INTERVAL_MS = 1500;
+
+describe('job event streams', () => {
+  let db;
+  let server;
+  let baseUrl;
+  let predictionReads = 0;
+  const getPrediction = fakeProvider.getPrediction;
+  const log = { log: console.log, error: console.error };
+
+  before(async () => {
+    const app = express();
+    app.use('/api', jobsRouter);
+
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+    // A prediction that's still running
+    fakeProvider.getPrediction = async (id) => {
+      predictionReads += 1;
+      return { id, status: 'processing', output: null, logs: '' };
+    };
+    console.log = console.error = () => {};
+  });
+
+  after(() => {
+    fakeProvider.getPrediction = getPrediction;
+    Object.assign(console, log);
+    server.close();
+  });
+
+  beforeEach(async () => {
+    db = installFakeFirestore();
+    await db.collection('jobs').doc('job1').set({ feature: 'bg-removal', provider: 'fake', predictionId: 'p1', status: 'processing' });
+  });
+
+  // Open a stream and wait for its first event
+  const openStream = async () => {
+    const controller = new AbortController();
+    const response = await fetch(`${baseUrl}/jobs/job1/events`, { signal: controller.signal });
+    const reader = response.body.getReader();
+
+    let text = '';
+    while (!text.includes('event: status')) {
+      text += new TextDecoder().decode((await reader.read()).value);
+    }
+
+    return () => controller.abort();
+  };
+
+  it('polls a job once for all of its streams, and stops with the last one', async () => {
+    const closers = await Promise.all([openStream(), openStream(), openStream()]);
+    const opened = predictionReads;
+
+    try {
+      await sleep(POLL_INTERVAL_MS * 2 + 200);
+      const polled = predictionReads - opened;
+      assert.ok(polled >= 1 && polled <= 2, `expected one poll per interval, got ${polled}`);
+    } finally {
+      closers.forEach((close) => close());
+    }
+
+    await sleep(100);
+    const closed = predictionReads;
+
+    await sleep(POLL_INTERVAL_MS + 200);
+    assert.equal(predictionReads, closed);
+  });
+});
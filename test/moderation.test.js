@@ -0,0 +1,59 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeFirestore } from './support/firestore.js';
+import { moderateText, moderateRequest } from '../moderation.js';
+
+describe('prompt moderation', () => {
+  const policy = process.env.MODERATION_POLICY;
+
+  before(() => {
+    delete process.env.MODERATION_POLICY;
+  });
+
+  after(() => {
+    if (policy !== undefined) process.env.MODERATION_POLICY = policy;
+  });
+
+  it('lets everyday uses of ambiguous words through', async () => {
+    const prompts = [
+      'a comet visible to the naked eye',
+      'The Naked-Eye Observer, vintage poster',
+      'a bottomless pit in a dark cave',
+      'bottomless mimosas at a sunny brunch',
+      'a topless convertible on a coastal road',
+      'portrait with nude lipstick and soft light',
+      'nude heels on a marble floor',
+    ];
+
+    for (const prompt of prompts) {
+      assert.deepEqual(await moderateText(prompt), { flagged: false, source: null }, prompt);
+    }
+  });
+
+  it('still blocks the words on their own or about people', async () => {
+    const prompts = [
+      'a naked woman on a beach',
+      'topless girl',
+      'bottomless',
+      'N@KED man, full body',
+      'nude',
+      'nudes of my classmate',
+      'p0rn star',
+    ];
+
+    for (const prompt of prompts) {
+      assert.deepEqual(await moderateText(prompt), { flagged: true, source: 'terms' }, prompt);
+    }
+  });
+
+  it("doesn't block a benign request, so its user gets no strike", async () => {
+    installFakeFirestore();
+    const run = (prompt) => new Promise((resolve) => {
+      moderateRequest('text-to-image')({ userId: 'u1', body: { prompt } }, {}, resolve);
+    });
+
+    assert.equal(await run('a galaxy seen with the naked eye above a bottomless pit'), undefined);
+    // Only NSFW_BLOCKED errors become strikes (see recordModerationOutcome)
+    assert.equal((await run('a naked woman'))?.message, 'NSFW_BLOCKED');
+  });
+});
@@ -0,0 +1,30 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getTier } from '../plans.js';
+
+// Read on first use, so set before any tier is looked up
+process.env.PLAN_CONFIG = JSON.stringify({
+  tiers: {
+    premium: { rank: 2 },
+    pro: { dailyLimit: 50 },
+  },
+});
+
+describe('plan tiers', () => {
+  it('gives a half-configured tier the free limits, not unlimited ones', () => {
+    const { dailyLimit, monthlyCredits, maxOutputSize, maxImagesPerRequest, retentionDays, rank } = getTier('premium');
+
+    assert.deepEqual(
+      { dailyLimit, monthlyCredits, maxOutputSize, maxImagesPerRequest, retentionDays, rank },
+      { dailyLimit: 5, monthlyCredits: 50, maxOutputSize: '2K', maxImagesPerRequest: 2, retentionDays: 30, rank: 2 },
+    );
+  });
+
+  it('keeps the rest of a default tier it overrides', () => {
+    const pro = getTier('pro');
+
+    assert.equal(pro.dailyLimit, 50);
+    assert.equal(pro.maxOutputSize, '4K');
+    assert.equal(pro.retentionDays, null);
+  });
+});
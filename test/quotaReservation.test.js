@@ -0,0 +1,106 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeFirestore } from './support/firestore.js';
+import { reserveGeneration, releaseGeneration, getUnitReservationKey } from '../db-firebase.js';
+
+const LIMITS = { dailyLimit: 5, monthlyLimit: null };
+
+// The reservation logs are noise here
+const quiet = () => {
+  const log = console.log;
+  console.log = () => {};
+  return () => { console.log = log; };
+};
+
+for (const policy of ['calendar', 'rolling']) {
+  describe(`quota reservations (${policy})`, () => {
+    let db;
+    let restoreLog;
+
+    const used = () => {
+      const data = db.data('users/u1') || {};
+      return policy === 'rolling' ? (data.generationTimestamps || []).length : (data.generationCount || 0);
+    };
+
+    beforeEach(() => {
+      process.env.QUOTA_RESET_POLICY = policy;
+      db = installFakeFirestore();
+      restoreLog = quiet();
+    });
+
+    afterEach(() => {
+      restoreLog();
+      delete process.env.QUOTA_RESET_POLICY;
+    });
+
+    it('never grants more than the limit to parallel requests', async () => {
+      const results = await Promise.all(Array.from({ length: 25 }, () => reserveGeneration('u1', LIMITS)));
+
+      assert.equal(results.filter(({ reserved }) => reserved).length, LIMITS.dailyLimit);
+      assert.ok(results.filter(({ reserved }) => !reserved).every(({ exceeded }) => exceeded === 'daily'));
+      assert.equal(used(), LIMITS.dailyLimit);
+      assert.ok(db.retries > 0, 'the requests should have contended');
+    });
+
+    it('grants multi-image reservations all or nothing', async () => {
+      const results = await Promise.all(Array.from({ length: 6 }, () => reserveGeneration('u1', LIMITS, { count: 2 })));
+
+      assert.equal(results.filter(({ reserved }) => reserved).length, 2);
+      assert.equal(used(), 4);
+    });
+
+    it('gives a slot back when a generation fails', async () => {
+      const first = await reserveGeneration('u1', LIMITS);
+      await reserveGeneration('u1', LIMITS);
+
+      await releaseGeneration('u1', first.key);
+
+      assert.equal(used(), 1);
+    });
+
+    it('lets parallel failures free slots for waiting requests without over-granting', async () => {
+      const granted = await Promise.all(Array.from({ length: LIMITS.dailyLimit }, () => reserveGeneration('u1', LIMITS)));
+
+      // Every request fails and releases while as many new ones try to reserve
+      const [, retried] = await Promise.all([
+        Promise.all(granted.map(({ key }) => releaseGeneration('u1', key))),
+        Promise.all(Array.from({ length: 10 }, () => reserveGeneration('u1', LIMITS))),
+      ]);
+
+      const reservedAgain = retried.filter(({ reserved }) => reserved).length;
+      assert.ok(reservedAgain <= LIMITS.dailyLimit);
+      assert.equal(used(), reservedAgain);
+    });
+
+    it('never releases a reservation twice', async () => {
+      await reserveGeneration('u1', LIMITS);
+      const { key } = await reserveGeneration('u1', LIMITS);
+
+      await Promise.all([releaseGeneration('u1', key), releaseGeneration('u1', key)]);
+      await releaseGeneration('u1', key);
+
+      assert.equal(used(), 1);
+    });
+
+    it('never releases a multi-image reservation beyond its count', async () => {
+      await reserveGeneration('u1', LIMITS);
+      const { key } = await reserveGeneration('u1', LIMITS, { count: 4 });
+
+      await releaseGeneration('u1', key, 3);
+      assert.equal(used(), 2);
+
+      await Promise.all([releaseGeneration('u1', key, 3), releaseGeneration('u1', key)]);
+      assert.equal(used(), 1);
+    });
+
+    it('releases each image of a multi-image reservation on its own', async () => {
+      const { key } = await reserveGeneration('u1', LIMITS, { count: 3 });
+      const units = [0, 1, 2].map((index) => getUnitReservationKey(key, index));
+
+      await Promise.all([releaseGeneration('u1', units[0]), releaseGeneration('u1', units[1])]);
+      await releaseGeneration('u1', units[1]);
+
+      assert.equal(used(), 1);
+    });
+  });
+}
@@ -0,0 +1,101 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import axios from 'axios';
+import { installFakeFirestore } from './support/firestore.js';
+import { handleRevenueCatEvent, getSubscriberPlan } from '../revenuecat.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const purchase = (entitlementId, at) => ({
+  type: 'INITIAL_PURCHASE',
+  app_user_id: 'u1',
+  entitlement_ids: [entitlementId],
+  product_id: `${entitlementId}.monthly`,
+  expiration_at_ms: at + 30 * 24 * 60 * 60 * 1000,
+  event_timestamp_ms: at,
+});
+
+describe('RevenueCat webhooks', () => {
+  let db;
+  const log = console.log;
+
+  beforeEach(() => {
+    db = installFakeFirestore();
+    console.log = () => {};
+  });
+
+  afterEach(() => {
+    console.log = log;
+  });
+
+  it("leaves a cache built from one event stale, since it can't list the user's other entitlements", async () => {
+    await handleRevenueCatEvent(purchase('premium', Date.now()));
+
+    const user = db.data('users/u1');
+    assert.deepEqual(Object.keys(user.entitlements), ['premium']);
+    assert.equal(user.entitlementsSyncedAt, 0);
+  });
+
+  it('keeps a synced cache fresh', async () => {
+    const syncedAt = Date.now() - 1000;
+    await db.collection('users').doc('u1').set({
+      entitlements: { pro: { productId: 'pro.monthly', expiresAt: null } },
+      entitlementsSyncedAt: syncedAt,
+    });
+
+    await handleRevenueCatEvent(purchase('premium', Date.now()));
+
+    const user = db.data('users/u1');
+    assert.deepEqual(Object.keys(user.entitlements).sort(), ['premium', 'pro']);
+    assert.ok(user.entitlementsSyncedAt > syncedAt);
+  });
+});
+
+describe('RevenueCat outages with the grace policy', () => {
+  let db;
+  const get = axios.get;
+  const log = { log: console.log, error: console.error };
+  const policy = process.env.SUBSCRIPTION_OUTAGE_POLICY;
+
+  beforeEach(() => {
+    db = installFakeFirestore();
+    process.env.SUBSCRIPTION_OUTAGE_POLICY = 'grace';
+    axios.get = async () => {
+      throw new Error('connect ECONNREFUSED');
+    };
+    console.log = console.error = () => {};
+  });
+
+  afterEach(() => {
+    axios.get = get;
+    Object.assign(console, log);
+    if (policy === undefined) delete process.env.SUBSCRIPTION_OUTAGE_POLICY;
+    else process.env.SUBSCRIPTION_OUTAGE_POLICY = policy;
+  });
+
+  it('keeps a known subscriber subscribed, with only the grace limit', async () => {
+    // Stale, so RevenueCat is asked and fails
+    await db.collection('users').doc('payer').set({
+      entitlements: { pro: { productId: 'pro.monthly', expiresAt: Date.now() + 10 * DAY } },
+      entitlementsSyncedAt: Date.now() - 2 * DAY,
+    });
+
+    const { tier, isSubscribed, degraded } = await getSubscriberPlan('payer');
+
+    assert.equal(degraded, true);
+    assert.equal(isSubscribed, true);
+    assert.equal(tier.name, 'pro');
+    assert.equal(tier.dailyLimit, 20);
+    assert.equal(tier.maxOutputSize, '4K');
+    assert.equal(tier.retentionDays, null);
+  });
+
+  it('gives everyone else the grace tier', async () => {
+    const { tier, isSubscribed } = await getSubscriberPlan('newcomer');
+
+    assert.equal(isSubscribed, false);
+    assert.equal(tier.name, 'grace');
+    assert.equal(tier.dailyLimit, 20);
+    assert.equal(tier.retentionDays, 30);
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import admin from 'firebase-admin';
+import { toStoredImage, withImageUrls } from '../storage-firebase.js';
+
+const IMAGE = {
+  imageUrl: 'https://storage.example/signed-at-creation',
+  storagePath: 'users/u1/generations/g1.jpg',
+  variants: {
+    thumbnail: { url: 'https://storage.example/thumbnail-signed-at-creation', path: 'users/u1/generations/g1_thumbnail.webp', width: 256 },
+  },
+};
+
+describe('stored image URLs', () => {
+  const mode = process.env.STORAGE_URL_MODE;
+  let signed = 0;
+
+  before(() => {
+    process.env.STORAGE_URL_MODE = 'signed';
+    // A getter on firebase-admin's namespace; shadow it on the instance
+    Object.defineProperty(admin, 'storage', {
+      configurable: true,
+      value: () => ({
+        bucket: () => ({
+          file: (path) => ({
+            getSignedUrl: async () => {
+              signed += 1;
+              return [`https://storage.example/${path}?read=${signed}`];
+            },
+          }),
+        }),
+      }),
+    });
+  });
+
+  after(() => {
+    if (mode === undefined) delete process.env.STORAGE_URL_MODE;
+    else process.env.STORAGE_URL_MODE = mode;
+    delete admin.storage;
+  });
+
+  it('keeps only the paths of signed images', () => {
+    assert.deepEqual(toStoredImage(IMAGE), {
+      imageUrl: null,
+      storagePath: IMAGE.storagePath,
+      variants: { thumbnail: { url: null, path: IMAGE.variants.thumbnail.path, width: 256 } },
+    });
+  });
+
+  it('signs stored images again on every read, without exposing their paths', async () => {
+    const first = await withImageUrls({ id: 'g1', ...toStoredImage(IMAGE) });
+    const second = await withImageUrls({ id: 'g1', ...toStoredImage(IMAGE) });
+
+    assert.match(first.imageUrl, /^https:\/\/storage\.example\/users\/u1\/generations\/g1\.jpg\?read=\d+$/);
+    assert.match(first.variants.thumbnail.url, /^https:\/\/storage\.example\/users\/u1\/generations\/g1_thumbnail\.webp\?read=\d+$/);
+    assert.equal(first.variants.thumbnail.path, undefined);
+    assert.equal(first.storagePath, undefined);
+    assert.notEqual(second.imageUrl, first.imageUrl);
+  });
+
+  it("keeps the provider URL of an image that wasn't stored", async () => {
+    const image = { imageUrl: 'https://replicate.delivery/out.png', variants: null };
+
+    assert.deepEqual(await withImageUrls(toStoredImage(image)), { imageUrl: image.imageUrl, variants: null });
+  });
+});
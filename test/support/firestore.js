@@ -0,0 +1,295 @@
+/**
+ * In-memory stand-in for the parts of Firestore the app uses: documents and
+ * subcollections, set (with merge), update, delete, simple queries and transactions.
+ *
+ * Transactions behave like Firestore's optimistic ones: reads yield to other work, and
+ * a commit whose documents changed since they were read is retried from the start. A
+ * read-check-write that isn't inside a transaction can therefore race, as it would in
+ * production.
+ *
+ *   const db = installFakeFirestore();
+ *   await reserveGeneration('u1', limits);
+ *   db.data('users/u1');
+ */
+
+import admin from 'firebase-admin';
+import { randomUUID } from 'crypto';
+
+const SERVER_TIMESTAMP = Symbol('serverTimestamp');
+
+// Enough retries for a few dozen transactions contending on one document
+const MAX_ATTEMPTS = 100;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) &&
+  !(value instanceof Date) && typeof value.toDate !== 'function';
+
+const timestamp = (date) => ({ toDate: () => new Date(date), toMillis: () => date.getTime() });
+
+// Copy a value, turning serverTimestamp() into a timestamp
+const resolveValue = (value) => {
+  if (value === SERVER_TIMESTAMP) return timestamp(new Date());
+  if (Array.isArray(value)) return value.map(resolveValue);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveValue(item)]));
+  }
+  return value;
+};
+
+const copy = (value) => (value === undefined ? undefined : resolveValue(value));
+
+const mergeDeep = (target, source) => {
+  const result = { ...target };
+  for (const [key, value] of Object.entries(source)) {
+    result[key] = isPlainObject(value) && isPlainObject(result[key]) ? mergeDeep(result[key], value) : value;
+  }
+  return result;
+};
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+class FakeSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this._data = data;
+  }
+
+  data() {
+    return copy(this._data);
+  }
+
+  get(field) {
+    return copy(this._data?.[field]);
+  }
+}
+
+class FakeQuery {
+  constructor(store, path, steps = []) {
+    this._store = store;
+    this._path = path;
+    this._steps = steps;
+  }
+
+  _with(step) {
+    return new FakeQuery(this._store, this._path, [...this._steps, step]);
+  }
+
+  where(field, op, value) {
+    const compare = {
+      '==': (a) => a === value,
+      '!=': (a) => a !== value,
+      '<': (a) => a < value,
+      '<=': (a) => a <= value,
+      '>': (a) => a > value,
+      '>=': (a) => a >= value,
+      'in': (a) => value.includes(a),
+      'array-contains': (a) => Array.isArray(a) && a.includes(value),
+    }[op];
+    return this._with((docs) => docs.filter(({ data }) => compare(data[field])));
+  }
+
+  orderBy(field, direction = 'asc') {
+    const sign = direction === 'desc' ? -1 : 1;
+    const key = (data) => {
+      const value = data[field];
+      return typeof value?.toMillis === 'function' ? value.toMillis() : value;
+    };
+    return this._with((docs) => [...docs].sort((a, b) => (key(a.data) > key(b.data) ? sign : key(a.data) < key(b.data) ? -sign : 0)));
+  }
+
+  startAfter(snapshot) {
+    return this._with((docs) => docs.slice(docs.findIndex(({ id }) => id === snapshot.id) + 1));
+  }
+
+  limit(count) {
+    return this._with((docs) => docs.slice(0, count));
+  }
+
+  async get() {
+    await tick();
+    const prefix = `${this._path}/`;
+    let docs = [...this._store.docs.entries()]
+      .filter(([path, { data }]) => data !== undefined &&
+        path.startsWith(prefix) && !path.slice(prefix.length).includes('/'))
+      .map(([path, { data }]) => ({ id: path.slice(prefix.length), path, data }));
+
+    for (const step of this._steps) docs = step(docs);
+
+    const snapshots = docs.map(({ path, data }) => new FakeSnapshot(new FakeDocumentReference(this._store, path), data));
+    return { docs: snapshots, empty: !snapshots.length, size: snapshots.length };
+  }
+}
+
+class FakeCollectionReference extends FakeQuery {
+  constructor(store, path) {
+    super(store, path);
+    this.id = path.split('/').pop();
+  }
+
+  doc(id = randomUUID().replace(/-/g, '').slice(0, 20)) {
+    return new FakeDocumentReference(this._store, `${this._path}/${id}`);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+}
+
+class FakeDocumentReference {
+  constructor(store, path) {
+    this._store = store;
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  collection(name) {
+    return new FakeCollectionReference(this._store, `${this.path}/${name}`);
+  }
+
+  // Read now, answer later: like a round trip, the data may be stale by the time it arrives
+  async get() {
+    const { data } = this._store.read(this.path);
+    await tick();
+    return new FakeSnapshot(this, data);
+  }
+
+  async set(data, options) {
+    await tick();
+    this._store.write(this.path, 'set', data, options);
+  }
+
+  async update(data) {
+    await tick();
+    this._store.write(this.path, 'update', data);
+  }
+
+  async delete() {
+    await tick();
+    this._store.write(this.path, 'delete');
+  }
+}
+
+class FakeTransaction {
+  constructor(store) {
+    this._store = store;
+    this._reads = new Map();
+    this._writes = [];
+  }
+
+  async get(ref) {
+    if (this._writes.length) {
+      throw new Error('Firestore transactions require all reads to be executed before all writes.');
+    }
+    const { data, version } = this._store.read(ref.path);
+    this._reads.set(ref.path, version);
+    await tick();
+    return new FakeSnapshot(ref, data);
+  }
+
+  set(ref, data, options) {
+    this._writes.push([ref.path, 'set', data, options]);
+    return this;
+  }
+
+  update(ref, data) {
+    this._writes.push([ref.path, 'update', data]);
+    return this;
+  }
+
+  delete(ref) {
+    this._writes.push([ref.path, 'delete']);
+    return this;
+  }
+
+  // Apply the writes unless something read has changed since; no await, so it's atomic
+  commit() {
+    for (const [path, version] of this._reads) {
+      if (this._store.read(path).version !== version) return false;
+    }
+    for (const write of this._writes) this._store.write(...write);
+    return true;
+  }
+}
+
+class FakeFirestore {
+  constructor() {
+    this.docs = new Map();
+    this.commits = 0;
+    this.retries = 0;
+  }
+
+  read(path) {
+    return this.docs.get(path) || { data: undefined, version: 0 };
+  }
+
+  write(path, kind, data, options = {}) {
+    const current = this.read(path);
+
+    if (kind === 'delete') {
+      // Keep the version, so a transaction that read the document sees it change
+      this.docs.set(path, { data: undefined, version: current.version + 1 });
+      return;
+    }
+    if (kind === 'update' && current.data === undefined) {
+      throw new Error(`NOT_FOUND: No document to update: ${path}`);
+    }
+
+    let next;
+    if (kind === 'update') {
+      next = { ...current.data, ...copy(data) };
+    } else if (options.mergeFields) {
+      next = { ...current.data };
+      for (const field of options.mergeFields) next[field] = copy(data[field]);
+    } else if (options.merge) {
+      next = mergeDeep(current.data || {}, copy(data));
+    } else {
+      next = copy(data);
+    }
+
+    this.docs.set(path, { data: next, version: current.version + 1 });
+  }
+
+  collection(name) {
+    return new FakeCollectionReference(this, name);
+  }
+
+  async runTransaction(update) {
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt += 1) {
+      const transaction = new FakeTransaction(this);
+      const result = await update(transaction);
+
+      if (transaction.commit()) {
+        this.commits += 1;
+        return result;
+      }
+      this.retries += 1;
+    }
+
+    throw new Error('ABORTED: Too much contention on these documents.');
+  }
+
+  /**
+   * A document's data, for assertions
+   */
+  data(path) {
+    return copy(this.read(path).data);
+  }
+}
+
+/**
+ * Point admin.firestore() at a new, empty in-memory database
+ * @returns {FakeFirestore}
+ */
+export const installFakeFirestore = () => {
+  const db = new FakeFirestore();
+  const firestore = () => db;
+  firestore.FieldValue = { serverTimestamp: () => SERVER_TIMESTAMP };
+
+  // A getter on firebase-admin's namespace; shadow it on the instance
+  Object.defineProperty(admin, 'firestore', { value: firestore, configurable: true, writable: true });
+  return db;
+};
@@ -0,0 +1,82 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeFirestore } from './support/firestore.js';
+import { reserveGeneration, reserveCredits, getGenerationUsage } from '../db-firebase.js';
+
+const HOUR = 60 * 60 * 1000;
+
+// UTC+14 and UTC-11: on either side of the date line, a day apart
+const AHEAD = 'Pacific/Kiritimati';
+const BEHIND = 'Pacific/Pago_Pago';
+
+describe('quota timezones', () => {
+  let db;
+  let now;
+  const realNow = Date.now;
+  const log = console.log;
+
+  beforeEach(() => {
+    db = installFakeFirestore();
+    // 2026-10-20 19:00 in Kiritimati, 2026-10-19 18:00 in Pago Pago
+    now = Date.parse('2026-10-20T05:00:00Z');
+    Date.now = () => now;
+    console.log = () => {};
+  });
+
+  afterEach(() => {
+    Date.now = realNow;
+    console.log = log;
+  });
+
+  it("doesn't reset the daily count when the client alternates timezones", async () => {
+    const limits = { dailyLimit: 2, monthlyLimit: null };
+    const results = [];
+
+    for (let i = 0; i < 10; i += 1) {
+      results.push(await reserveGeneration('u1', limits, { timeZone: i % 2 ? BEHIND : AHEAD }));
+      now += 60 * 1000;
+    }
+
+    assert.equal(results.filter(({ reserved }) => reserved).length, 2);
+    assert.equal(db.data('users/u1').generationDate, '2026-10-20');
+  });
+
+  it('counts in the stored timezone and changes it at most once a day', async () => {
+    const limits = { dailyLimit: 5, monthlyLimit: null };
+
+    await reserveGeneration('u1', limits, { timeZone: AHEAD });
+    await reserveGeneration('u1', limits, { timeZone: BEHIND });
+    assert.equal(db.data('users/u1').timezone, AHEAD);
+
+    const usage = await getGenerationUsage('u1', { timeZone: BEHIND });
+    assert.equal(usage.timeZone, AHEAD);
+    assert.equal(usage.count, 2);
+
+    now += 25 * HOUR;
+    await reserveGeneration('u1', limits, { timeZone: BEHIND });
+    assert.equal(db.data('users/u1').timezone, BEHIND);
+
+    // Kiritimati's day (10-21) already started, so Pago Pago's 10-20 carries the count on
+    await reserveGeneration('u1', limits, { timeZone: BEHIND });
+    const data = db.data('users/u1');
+    assert.equal(data.generationDate, '2026-10-21');
+    assert.equal(data.generationCount, 2);
+  });
+
+  it("doesn't grant the monthly credits again when the client alternates timezones", async () => {
+    // 2026-11-01 14:30 in Kiritimati, 2026-10-31 13:30 in Pago Pago
+    now = Date.parse('2026-11-01T00:30:00Z');
+    const debit = { amount: 1, allowance: 10, feature: 'text-to-image' };
+
+    for (let i = 0; i < 6; i += 1) {
+      await reserveCredits('u1', debit, { timeZone: i % 2 ? BEHIND : AHEAD });
+    }
+
+    const ledger = [...db.docs.entries()]
+      .filter(([path, { data }]) => path.startsWith('users/u1/creditLedger/') && data)
+      .map(([, { data }]) => data);
+
+    assert.equal(ledger.filter(({ reason }) => reason === 'monthly-grant').length, 1);
+    assert.equal(db.data('users/u1').creditBalance, 4);
+  });
+});
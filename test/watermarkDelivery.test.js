@@ -0,0 +1,94 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeFirestore } from './support/firestore.js';
+import { reserveGeneration } from '../db-firebase.js';
+import { applyPredictionUpdate } from '../jobs.js';
+import { persistGeneratedImage } from '../storage-firebase.js';
+import { getMetrics } from '../metrics.js';
+
+const LIMITS = { dailyLimit: 5, monthlyLimit: null };
+const SOURCE_URL = 'https://replicate.delivery/clean.png';
+
+// Read on first use, so set before any rule is looked up
+process.env.WATERMARK_CONFIG = JSON.stringify({ default: { enabled: true } });
+
+// Marks are applied on the way into storage, so without a bucket marking always fails
+describe('watermarked deliveries', () => {
+  let db;
+  const log = { log: console.log, error: console.error };
+  const bucket = process.env.FIREBASE_STORAGE_BUCKET;
+
+  beforeEach(() => {
+    db = installFakeFirestore();
+    delete process.env.FIREBASE_STORAGE_BUCKET;
+    console.log = console.error = () => {};
+  });
+
+  afterEach(() => {
+    Object.assign(console, log);
+    if (bucket !== undefined) process.env.FIREBASE_STORAGE_BUCKET = bucket;
+  });
+
+  const createJob = async ({ isSubscribed }) => {
+    const { key } = await reserveGeneration('u1', LIMITS);
+    const jobRef = db.collection('jobs').doc('job1');
+    await jobRef.set({
+      userId: 'u1',
+      isSubscribed,
+      feature: 'text-to-image',
+      status: 'processing',
+      details: { prompt: 'a rose' },
+      quotaReservation: key,
+    });
+    return jobRef;
+  };
+
+  it("delivers a free user's generation unmarked rather than losing it, and counts the failure", async () => {
+    const failures = getMetrics().counters.watermark_failures || 0;
+
+    const image = await persistGeneratedImage({ userId: 'u1', generationId: 'g1', sourceUrl: SOURCE_URL, isSubscribed: false, feature: 'text-to-image' });
+
+    assert.equal(image.imageUrl, SOURCE_URL);
+    assert.equal(image.watermarked, false);
+    assert.equal(getMetrics().counters.watermark_failures, failures + 1);
+  });
+
+  it('still delivers a subscriber the provider URL', async () => {
+    const image = await persistGeneratedImage({ userId: 'u1', generationId: 'g1', sourceUrl: SOURCE_URL, isSubscribed: true, feature: 'text-to-image' });
+
+    assert.equal(image.imageUrl, SOURCE_URL);
+    assert.equal(image.watermarked, false);
+  });
+
+  it("completes a free user's job when its output can't be marked", async () => {
+    const jobRef = await createJob({ isSubscribed: false });
+
+    await applyPredictionUpdate(jobRef, { status: 'succeeded', output: [SOURCE_URL] });
+
+    const job = db.data('jobs/job1');
+    assert.equal(job.status, 'succeeded');
+    assert.equal(job.imageUrl, SOURCE_URL);
+    assert.equal(job.watermarked, false);
+    assert.equal(job.charged, true);
+    assert.equal(db.data('users/u1/generations/job1').watermarked, false);
+  });
+
+  it("ends the job when its result can't be written", async () => {
+    const jobRef = await createJob({ isSubscribed: true });
+
+    // The first write of the result fails, as an oversized document would
+    const runTransaction = db.runTransaction.bind(db);
+    let attempts = 0;
+    db.runTransaction = (update) => {
+      attempts += 1;
+      return attempts === 1 ? Promise.reject(new Error('INVALID_ARGUMENT: Document exceeds the maximum size')) : runTransaction(update);
+    };
+
+    await applyPredictionUpdate(jobRef, { status: 'succeeded', output: [SOURCE_URL] });
+
+    const job = db.data('jobs/job1');
+    assert.equal(job.status, 'failed');
+    assert.equal(job.errorCode, 'GENERATION_FAILED');
+    assert.equal(db.data('users/u1').generationCount, 0);
+  });
+});
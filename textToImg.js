@@ -1,114 +1,101 @@
-import { runReplicateModel } from './replicateService.js';
-import sharp from 'sharp';
+import { runModelWithFallbacks, runModelConcurrently } from './providers/index.js';
+import { resolveModelRequest } from './modelRegistry.js';
+import { createApiError } from './errorHandling.js';
 
 /**
- * Normalizes image by removing EXIF data and correcting orientation.
- * This prevents unexpected rotations from auto-orienting.
- * @param {string} base64Image - A base64 encoded image string
- * @returns {Promise<string>} A normalized base64 image string
+ * Builds the model request for a text-to-image generation without running it.
+ * Shared by the blocking route and async jobs. Only parameters the model registry
+ * allows are taken from the payload.
+ * 
+ * @param {object} inputPayload - The input object from the client (req.body)
+ * @returns {Promise<{provider: string, model: string, input: object, fallbacks: object[]}>} The model request
+ * @throws {Error} 400 INVALID_PARAMETER if a parameter is out of range
  */
-async function normalizeImageExif(base64Image) {
-    try {
-        // Remove 'data:image/jpeg;base64,' or similar prefix if present
-        const base64Data = base64Image.replace(/^data:image\/[^;]+;base64,/, '');
-        
-        // Convert base64 to buffer
-        const buffer = Buffer.from(base64Data, 'base64');
-
-        // Use sharp to:
-        // 1. Auto-orient the image based on EXIF data
-        // 2. Remove all EXIF metadata
-        // 3. Convert back to base64
-        const processedBuffer = await sharp(buffer)
-            .rotate() // Auto-rotates based on EXIF orientation, then removes EXIF
-            .toBuffer();
-
-        // Convert back to base64
-        const normalizedBase64 = processedBuffer.toString('base64');
-        
-        // Return with proper data URI prefix
-        return `data:image/jpeg;base64,${normalizedBase64}`;
-    } catch (error) {
-        console.error('Error normalizing EXIF data:', error);
-        // If normalization fails, return the original image
-        return base64Image;
+export async function prepareGenerateImage(inputPayload) {
+    // Validate input
+    if (!inputPayload || !inputPayload.prompt) {
+        throw createApiError(400, 'PROMPT_REQUIRED');
     }
+  
+    console.log("Starting image generation with payload:", inputPayload.prompt.substring(0, 50) + '...');
+
+    return resolveModelRequest('text-to-image', inputPayload, { prompt: inputPayload.prompt });
 }
 
 /**
- * Normalizes all images in the input payload if they exist
- * @param {object} inputPayload - The input object from the client
- * @returns {Promise<object>} The payload with normalized images
+ * The image URL from a model output: a URL or FileOutput, or a list of them (the first is used)
+ * @param {*} output - The model output
+ * @returns {string} Image URL
+ * @throws {Error} If the output has no image URL
  */
-async function normalizePayloadImages(inputPayload) {
-    if (!inputPayload) {
-        return inputPayload;
-    }
-
-    // Create a copy to avoid mutating the original
-    const normalizedPayload = { ...inputPayload };
+function extractOutputUrl(output) {
+    // Replicate output is usually an array of FileOutput objects
+    const imageOutput = Array.isArray(output) ? output[0] : output;
 
-    // Common image field names to check and normalize
-    const imageFields = ['image', 'image_input', 'reference_image', 'conditioning_image', 'mask_image'];
+    // Other providers may return plain URLs
+    if (typeof imageOutput === 'string') {
+        return imageOutput;
+    }
 
-    for (const field of imageFields) {
-        if (normalizedPayload[field]) {
-            if (typeof normalizedPayload[field] === 'string') {
-                // Single image string
-                console.log(`Normalizing EXIF data for field: ${field}`);
-                normalizedPayload[field] = await normalizeImageExif(normalizedPayload[field]);
-            } else if (Array.isArray(normalizedPayload[field])) {
-                // Array of images
-                console.log(`Normalizing EXIF data for array field: ${field}`);
-                normalizedPayload[field] = await Promise.all(
-                    normalizedPayload[field].map(img => 
-                        typeof img === 'string' ? normalizeImageExif(img) : img
-                    )
-                );
-            }
-        }
+    if (imageOutput && imageOutput.url) {
+        return imageOutput.url();
     }
 
-    return normalizedPayload;
+    // The model ran but didn't return a valid URL
+    throw new Error("Model ran successfully but returned no image URL.");
 }
 
 /**
- * Runs the image generation model with a given input payload.
- * Uses the replicateService for consistent error handling.
+ * Runs the image generation model with a given input payload, falling back to the
+ * registry's alternatives if it fails. Uses the provider layer for consistent error handling.
  * 
  * @param {object} inputPayload - The input object from the client (req.body)
- * @returns {Promise<string>} The URL of the generated image
- * @throws Will throw NSFW_BLOCKED or GENERATION_FAILED on error
+ * @param {object} [runOptions] - { signal, deadline } for the model call (see generationDeadlineMiddleware.js)
+ * @returns {Promise<{imageUrl: string, model: string}>} The URL of the generated image and the model that made it
+ * @throws Will throw NSFW_BLOCKED, GENERATION_FAILED or GENERATION_TIMEOUT on error
  */
-export async function generateImage(inputPayload) {
-    // Validate input
-    if (!inputPayload || !inputPayload.prompt) {
-        throw new Error('Prompt is required for image generation');
-    }
-  
-    console.log("Starting image generation with payload:", inputPayload.prompt.substring(0, 50) + '...');
-
-    // Normalize any images in the payload to fix EXIF rotation issues
-    console.log("Normalizing EXIF data in payload...");
-    const normalizedPayload = await normalizePayloadImages(inputPayload);
-
-    // The model identifier
-    const modelIdentifier = "google/imagen-4";
-    
-    console.log(`Running Replicate model: ${modelIdentifier}`);
+export async function generateImage(inputPayload, runOptions = {}) {
+    const request = await prepareGenerateImage(inputPayload);
     
-    // Use the service layer for error handling
-    const output = await runReplicateModel(modelIdentifier, normalizedPayload);
+    console.log(`Running ${request.provider} model: ${request.model}`);
     
-    // Replicate output is usually an array of FileOutput objects
-    const imageOutput = Array.isArray(output) ? output[0] : output;
+    // Use the provider layer for error handling and fallbacks
+    const { output, model } = await runModelWithFallbacks(request, runOptions);
 
-    if (imageOutput && imageOutput.url) {
-        // Return the URL for the Express route to send back to the client
-        console.log('Image generation successful');
-        return imageOutput.url();
-    } else {
-        // Throw an error if the model ran but didn't return a valid URL
-        throw new Error("Model ran successfully but returned no image URL.");
-    }
-}
\ No newline at end of file
+    const imageUrl = extractOutputUrl(output);
+    console.log('Image generation successful');
+
+    return { imageUrl, model };
+}
+
+/**
+ * Runs the same text-to-image generation `count` times at once, for multi-image requests.
+ * Each run succeeds or fails on its own.
+ *
+ * @param {object} inputPayload - The input object from the client (req.body)
+ * @param {number} count - Number of images
+ * @param {object} [runOptions] - { signal, deadline } for the model calls (see generationDeadlineMiddleware.js)
+ * @returns {Promise<{results: Array<{imageUrl: string, model: string}|{error: Error}>}>} One result per image
+ * @throws {Error} 400 errors from prepareGenerateImage
+ */
+export async function generateImages(inputPayload, count, runOptions = {}) {
+    const request = await prepareGenerateImage(inputPayload);
+
+    console.log(`Running ${request.provider} model: ${request.model} (${count} images)`);
+
+    const runs = await runModelConcurrently(request, count, runOptions);
+
+    const results = runs.map(({ output, model, error }) => {
+        if (error) {
+            return { error };
+        }
+
+        try {
+            return { imageUrl: extractOutputUrl(output), model };
+        } catch (extractError) {
+            return { error: extractError };
+        }
+    });
+
+    return { results };
+}
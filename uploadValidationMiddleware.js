@@ -0,0 +1,313 @@
+/**
+ * Upload validation
+ * Each generation route declares the files and text fields it accepts. Files are
+ * checked for size, for their real type (read from the file's magic bytes; the
+ * declared Content-Type is ignored) and for their pixel dimensions (read by sharp).
+ * Text fields are checked for length and characters.
+ *
+ * Every failing field is reported at once:
+ * { "success": false, "error": "INVALID_UPLOAD", "message": "...",
+ *   "fields": [{ "field": "image", "error": "IMAGE_TOO_SMALL", "message": "..." }] }
+ * The status is 413 if a file is too large, else 415 if a file has an unsupported
+ * type, else 400.
+ *
+ * Override rules with UPLOAD_RULES (JSON, merged per route and field), e.g.
+ * { "add-tattoo": { "files": { "originalPhoto": { "maxBytes": 5242880 } } },
+ *   "text-to-image": { "text": { "prompt": { "maxLength": 500 } } } }
+ */
+
+import multer from 'multer';
+import sharp from 'sharp';
+import { createApiError, sendError } from './errorHandling.js';
+import { translate, getRequestLocale } from './i18n.js';
+import { incrementMetric } from './metrics.js';
+import { loadJsonConfig } from './config.js';
+
+const MB = 1024 * 1024;
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/heic', 'image/heif', 'image/avif'];
+
+const DEFAULT_FILE_RULE = {
+  required: false,
+  maxBytes: 10 * MB,
+  types: IMAGE_TYPES,
+  minWidth: 64,
+  minHeight: 64,
+  maxWidth: 8192,
+  maxHeight: 8192,
+};
+
+const DEFAULT_TEXT_RULE = {
+  required: false,
+  minLength: 1,
+  maxLength: 1000,
+  allowNewlines: true,
+  // Optional regular expression the whole value must match
+  pattern: null,
+};
+
+const DEFAULT_RULES = {
+  'bg-removal': {
+    files: { image: { required: true } },
+    text: {},
+  },
+  'text-to-image': {
+    files: {},
+    text: { prompt: { required: true, maxLength: 2000 } },
+  },
+  'style-image-single': {
+    files: { image: { required: true } },
+    text: { style: { required: true, maxLength: 500 } },
+  },
+  'style-image': {
+    files: { image1: { required: true }, image2: {} },
+    text: { style: { required: true, maxLength: 500 } },
+  },
+  'add-tattoo': {
+    files: {
+      originalPhoto: { required: true },
+      // The mask is drawn by the app, so it's never a camera format.
+      // Not needed when the app sends a placement instead (see tattooMask.js)
+      resizedImage: { types: ['image/png', 'image/jpeg', 'image/webp'] },
+    },
+    text: { prompt: { required: true, maxLength: 1000 }, placement: { maxLength: 10000 } },
+  },
+  'tattoo-mask-preview': {
+    files: { originalPhoto: { required: true } },
+    text: { placement: { required: true, maxLength: 10000 } },
+  },
+  'back-in-time': {
+    files: { image1: {}, image2: {} },
+    text: { prompt: { required: true, maxLength: 2000 } },
+  },
+};
+
+// Multipart text fields other than the declared ones (model parameters, locale) stay small
+const MAX_FIELD_BYTES = 64 * 1024;
+
+// C0/C1 control characters other than tab and newlines, and bidi overrides
+const CONTROL_CHARACTERS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F\u202A-\u202E\u2066-\u2069]/;
+
+const mergeFields = (defaults, fieldOverrides = {}, base) => Object.fromEntries(
+  [...new Set([...Object.keys(defaults), ...Object.keys(fieldOverrides)])].map((name) => [
+    name,
+    { ...base, ...defaults[name], ...fieldOverrides[name] },
+  ])
+);
+
+const buildRules = (overrides) => Object.fromEntries(
+  Object.entries(DEFAULT_RULES).map(([route, rules]) => [route, {
+    files: mergeFields(rules.files, overrides[route]?.files, DEFAULT_FILE_RULE),
+    text: mergeFields(rules.text, overrides[route]?.text, DEFAULT_TEXT_RULE),
+  }])
+);
+
+/**
+ * Load the rules once, merging UPLOAD_RULES over the defaults and filling in each
+ * field's defaults
+ */
+export const getUploadRules = () => loadJsonConfig('UPLOAD_RULES', { build: buildRules });
+
+/**
+ * The image type of a file from its first bytes, or null if it isn't a known image format
+ * @param {Buffer} buffer
+ * @returns {string|null} A MIME type
+ */
+export const detectImageType = (buffer) => {
+  if (!buffer || buffer.length < 12) return null;
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (['GIF87a', 'GIF89a'].includes(buffer.toString('latin1', 0, 6))) return 'image/gif';
+  if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') return 'image/webp';
+
+  // ISO base media (HEIF family): "ftyp" box with the brand after it
+  if (buffer.toString('latin1', 4, 8) === 'ftyp') {
+    const brand = buffer.toString('latin1', 8, 12);
+    if (['avif', 'avis'].includes(brand)) return 'image/avif';
+    if (['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis'].includes(brand)) return 'image/heic';
+    if (['mif1', 'msf1'].includes(brand)) return 'image/heif';
+  }
+
+  return null;
+};
+
+const fieldError = (field, error, params, locale) => ({
+  field,
+  error,
+  message: translate(error, { field, ...params }, locale),
+});
+
+/**
+ * Check one uploaded file. On success the file's mimetype is replaced by the detected type.
+ * @returns {Promise<object|null>} The field error, or null
+ */
+const checkFile = async (field, file, rule, locale) => {
+  if (file.size > rule.maxBytes) {
+    return fieldError(field, 'FILE_TOO_LARGE', { maxMb: +(rule.maxBytes / MB).toFixed(1) }, locale);
+  }
+
+  const type = detectImageType(file.buffer);
+  if (!type || !rule.types.includes(type)) {
+    return fieldError(field, 'UNSUPPORTED_FILE_TYPE', { types: rule.types.join(', ') }, locale);
+  }
+
+  let width;
+  let height;
+  try {
+    const metadata = await sharp(file.buffer).metadata();
+    // As displayed: a portrait photo stored sideways with an EXIF rotation is portrait
+    ({ width, height } = metadata.autoOrient || metadata);
+  } catch (error) {
+    console.warn(`⚠️ Could not read ${field} (${type}):`, error.message);
+  }
+
+  if (!width || !height) {
+    return fieldError(field, 'IMAGE_UNREADABLE', {}, locale);
+  }
+  if (width < rule.minWidth || height < rule.minHeight) {
+    return fieldError(field, 'IMAGE_TOO_SMALL', { minWidth: rule.minWidth, minHeight: rule.minHeight }, locale);
+  }
+  if (width > rule.maxWidth || height > rule.maxHeight) {
+    return fieldError(field, 'IMAGE_TOO_LARGE', { maxWidth: rule.maxWidth, maxHeight: rule.maxHeight }, locale);
+  }
+
+  file.mimetype = type;
+  return null;
+};
+
+/**
+ * Check one text field
+ * @returns {object|null} The field error, or null
+ */
+const checkText = (field, value, rule, locale) => {
+  if (value === undefined || value === null || (typeof value === 'string' && !value.trim())) {
+    return rule.required ? fieldError(field, 'TEXT_REQUIRED', {}, locale) : null;
+  }
+
+  if (typeof value !== 'string') {
+    return fieldError(field, 'TEXT_INVALID', {}, locale);
+  }
+
+  // In characters, not UTF-16 units, so emoji count once
+  const length = [...value].length;
+  if (length < rule.minLength) {
+    return fieldError(field, 'TEXT_TOO_SHORT', { minLength: rule.minLength }, locale);
+  }
+  if (length > rule.maxLength) {
+    return fieldError(field, 'TEXT_TOO_LONG', { maxLength: rule.maxLength }, locale);
+  }
+
+  if (CONTROL_CHARACTERS.test(value) || (!rule.allowNewlines && /[\r\n]/.test(value))) {
+    return fieldError(field, 'TEXT_INVALID_CHARACTERS', {}, locale);
+  }
+  if (rule.pattern && !new RegExp(rule.pattern, 'u').test(value)) {
+    return fieldError(field, 'TEXT_INVALID_CHARACTERS', {}, locale);
+  }
+
+  return null;
+};
+
+/**
+ * The error for a list of failing fields: 413 if anything was too large,
+ * then 415 for unsupported types, otherwise 400
+ */
+const uploadError = (fields) => {
+  const names = fields.map(({ field }) => field).join(', ');
+  const codes = fields.map(({ error }) => error);
+
+  const statusCode = codes.some((code) => ['FILE_TOO_LARGE', 'FIELD_TOO_LARGE'].includes(code)) ? 413
+    : codes.includes('UNSUPPORTED_FILE_TYPE') ? 415
+      : 400;
+
+  return createApiError(statusCode, 'INVALID_UPLOAD', { params: { fields: names }, details: { fields } });
+};
+
+/**
+ * Field errors for multer's own limits, which stop parsing at the first violation
+ */
+const fromMulterError = (error, rules, locale) => {
+  switch (error.code) {
+    case 'LIMIT_FILE_SIZE':
+      return [fieldError(error.field, 'FILE_TOO_LARGE', {
+        maxMb: +((rules.files[error.field]?.maxBytes ?? DEFAULT_FILE_RULE.maxBytes) / MB).toFixed(1),
+      }, locale)];
+    case 'LIMIT_FIELD_VALUE':
+      return [fieldError(error.field, 'FIELD_TOO_LARGE', { maxKb: MAX_FIELD_BYTES / 1024 }, locale)];
+    case 'LIMIT_UNEXPECTED_FILE':
+    case 'LIMIT_FILE_COUNT':
+      return [fieldError(error.field || 'files', 'UNEXPECTED_FILE', {}, locale)];
+    default:
+      return [fieldError(error.field || 'body', 'MALFORMED_UPLOAD', {}, locale)];
+  }
+};
+
+/**
+ * Middleware factory that parses a route's multipart upload (if it takes files) and
+ * validates it against the route's rules before anything else runs, so a rejected
+ * upload never reserves quota or reaches a model.
+ * Files are buffered in memory, capped at the route's largest maxBytes.
+ *
+ * @param {string} route - Rules key (e.g. "add-tattoo")
+ */
+export const validateUpload = (route) => {
+  const rules = getUploadRules()[route];
+
+  if (!rules) {
+    throw new Error(`No upload rules are defined for "${route}"`);
+  }
+
+  const fileFields = Object.entries(rules.files);
+  const parse = fileFields.length
+    ? multer({
+      storage: multer.memoryStorage(),
+      limits: {
+        fileSize: Math.max(...fileFields.map(([, rule]) => rule.maxBytes)),
+        files: fileFields.length,
+        fieldSize: MAX_FIELD_BYTES,
+      },
+    }).fields(fileFields.map(([name]) => ({ name, maxCount: 1 })))
+    : (req, res, next) => next();
+
+  return (req, res, next) => {
+    parse(req, res, async (parseError) => {
+      try {
+        const locale = getRequestLocale(req);
+        let failures = [];
+
+        if (parseError instanceof multer.MulterError) {
+          failures = fromMulterError(parseError, rules, locale);
+        } else if (parseError) {
+          return next(parseError);
+        } else {
+          for (const [field, rule] of fileFields) {
+            const file = req.files?.[field]?.[0];
+
+            if (!file) {
+              if (rule.required) failures.push(fieldError(field, 'IMAGE_REQUIRED', {}, locale));
+              continue;
+            }
+
+            const failure = await checkFile(field, file, rule, locale);
+            if (failure) failures.push(failure);
+          }
+
+          for (const [field, rule] of Object.entries(rules.text)) {
+            const failure = checkText(field, req.body?.[field], rule, locale);
+            if (failure) failures.push(failure);
+          }
+        }
+
+        if (failures.length) {
+          console.warn(`🚫 Rejected ${route} upload:`, failures.map(({ field, error }) => `${field} ${error}`).join(', '));
+          incrementMetric('uploads_rejected');
+          return sendError(req, res, uploadError(failures));
+        }
+
+        next();
+      } catch (error) {
+        next(error);
+      }
+    });
+  };
+};
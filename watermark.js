@@ -0,0 +1,185 @@
+/**
+ * Watermarks
+ * Opt-in: when enabled, free-tier outputs are marked before they're stored or returned;
+ * subscribers get the clean image. The mark is text or an image, placed in a corner or
+ * the center, sized relative to the output's width.
+ *
+ * Configure with WATERMARK_CONFIG (JSON, merged per feature over "default"), e.g.
+ * {
+ *   "default": { "enabled": true, "text": "Made with MyApp", "opacity": 0.5 },
+ *   "add-tattoo": { "type": "image", "image": "assets/watermark.png", "position": "bottom-left" },
+ *   "bg-removal": { "enabled": false }
+ * }
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import sharp from 'sharp';
+import { incrementMetric } from './metrics.js';
+import { GENERATION_FEATURES } from './plans.js';
+import { loadJsonConfig } from './config.js';
+
+const DEFAULT_WATERMARK = {
+    enabled: false,
+    // 'text' or 'image'
+    type: 'text',
+    text: 'Made with AI',
+    color: '#ffffff',
+    // Path (relative to the working directory) or data URL of a PNG/WebP with transparency
+    image: null,
+    // top-left | top-right | bottom-left | bottom-right | center
+    position: 'bottom-right',
+    opacity: 0.6,
+    // Width of the mark as a fraction of the output's width
+    scale: 0.25,
+    // Distance from the edges as a fraction of the output's shorter side
+    margin: 0.03,
+};
+
+const DEFAULT_FEATURE_WATERMARKS = {
+    // Cutouts are an editing step; a mark would land on the subject
+    'bg-removal': { enabled: false },
+};
+
+const POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'center'];
+
+// Encoders for the formats models return; anything else is written as JPEG
+const ENCODERS = {
+    jpeg: { contentType: 'image/jpeg', options: { quality: 92, mozjpeg: true } },
+    png: { contentType: 'image/png', options: {} },
+    webp: { contentType: 'image/webp', options: { quality: 92 } },
+};
+
+const imageCache = new Map();
+
+const getConfig = () => loadJsonConfig('WATERMARK_CONFIG', {
+    build: (overrides) => ({ overrides, base: { ...DEFAULT_WATERMARK, ...overrides.default } }),
+});
+
+/**
+ * The watermark rule for a feature, or null if its outputs aren't marked
+ * @param {string} [feature] - Feature key (e.g. "add-tattoo")
+ */
+export const getWatermarkRule = (feature) => {
+    const { overrides, base } = getConfig();
+    const rule = { ...base, ...DEFAULT_FEATURE_WATERMARKS[feature], ...overrides[feature] };
+
+    return rule.enabled ? rule : null;
+};
+
+/**
+ * Whether any feature's outputs are marked. Marking happens on the way into storage,
+ * so it's skipped when there's no storage bucket.
+ * @returns {boolean}
+ */
+export const isWatermarkingEnabled = () =>
+    [...GENERATION_FEATURES, 'bg-removal'].some((feature) => getWatermarkRule(feature));
+
+const escapeXml = (text) =>
+    String(text).replace(/[<>&'"]/g, (character) => `&#${character.charCodeAt(0)};`);
+
+/**
+ * Render a text mark about `width` pixels wide
+ */
+const renderText = (rule, width) => {
+    const text = String(rule.text || '').trim() || DEFAULT_WATERMARK.text;
+    // Bold sans-serif glyphs average about two thirds of an em
+    const fontSize = Math.max(8, Math.round(width / (text.length * 0.68)));
+    const height = Math.round(fontSize * 1.4);
+
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+        <text x="50%" y="50%" text-anchor="middle" dominant-baseline="central"
+            font-family="sans-serif" font-weight="bold" font-size="${fontSize}"
+            fill="${escapeXml(rule.color)}" fill-opacity="${rule.opacity}"
+            stroke="#000000" stroke-opacity="${rule.opacity * 0.35}" stroke-width="${Math.max(1, fontSize / 24)}">${escapeXml(text)}</text>
+    </svg>`;
+
+    return sharp(Buffer.from(svg)).png().toBuffer();
+};
+
+/**
+ * Load an image mark once per process
+ */
+const loadImage = async (source) => {
+    if (!imageCache.has(source)) {
+        const loading = source.startsWith('data:')
+            ? Promise.resolve(Buffer.from(source.replace(/^data:[^;,]*;base64,/, ''), 'base64'))
+            : fs.readFile(path.resolve(source));
+
+        // Don't cache failures, so a fixed file is picked up on the next generation
+        imageCache.set(source, loading.catch((error) => {
+            imageCache.delete(source);
+            throw error;
+        }));
+    }
+
+    return imageCache.get(source);
+};
+
+/**
+ * Render an image mark `width` pixels wide at the rule's opacity
+ */
+const renderImage = async (rule, width) => {
+    const source = await loadImage(rule.image);
+
+    return sharp(source)
+        .resize({ width })
+        .ensureAlpha()
+        .linear([1, 1, 1, rule.opacity], [0, 0, 0, 0])
+        .png()
+        .toBuffer();
+};
+
+const placeMark = (position, output, mark, margin) => {
+    const right = output.width - mark.width - margin;
+    const bottom = output.height - mark.height - margin;
+
+    switch (POSITIONS.includes(position) ? position : DEFAULT_WATERMARK.position) {
+        case 'top-left': return { left: margin, top: margin };
+        case 'top-right': return { left: right, top: margin };
+        case 'bottom-left': return { left: margin, top: bottom };
+        case 'center': return {
+            left: Math.round((output.width - mark.width) / 2),
+            top: Math.round((output.height - mark.height) / 2),
+        };
+        default: return { left: right, top: bottom };
+    }
+};
+
+/**
+ * Composite a feature's watermark onto an output image
+ *
+ * @param {Buffer} buffer - The generated image
+ * @param {object} rule - From getWatermarkRule
+ * @returns {Promise<{buffer: Buffer, contentType: string}>} The marked image, in the input's
+ *   format when it's JPEG, PNG or WebP
+ * @throws {Error} If the image or the mark can't be read
+ */
+export const applyWatermark = async (buffer, rule) => {
+    const image = sharp(buffer);
+    const { width, height, format } = await image.metadata();
+
+    // Never wider than the output, with the margin on both sides
+    const margin = Math.round(Math.min(width, height) * rule.margin);
+    const markWidth = Math.max(1, Math.min(Math.round(width * rule.scale), width - 2 * margin));
+
+    let mark = await (rule.type === 'image' && rule.image ? renderImage(rule, markWidth) : renderText(rule, markWidth));
+    let markSize = await sharp(mark).metadata();
+
+    // A tall mark on a wide output: fit it in the height as well
+    if (markSize.height > height - 2 * margin) {
+        mark = await sharp(mark).resize({ height: Math.max(1, height - 2 * margin) }).png().toBuffer();
+        markSize = await sharp(mark).metadata();
+    }
+
+    const { left, top } = placeMark(rule.position, { width, height }, markSize, margin);
+    const encoder = ENCODERS[format] || ENCODERS.jpeg;
+
+    const output = await image
+        .composite([{ input: mark, left: Math.max(0, left), top: Math.max(0, top) }])
+        .toFormat(ENCODERS[format] ? format : 'jpeg', encoder.options)
+        .toBuffer();
+
+    incrementMetric('watermarks_applied');
+    return { buffer: output, contentType: encoder.contentType };
+};